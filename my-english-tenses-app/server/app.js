@@ -0,0 +1,129 @@
+const express = require('express');
+const createRateLimiter = require('./rateLimiter');
+const { callGemini, streamGemini } = require('./gemini');
+const { buildPrompt } = require('./requests');
+
+// Express app exposing /api/generate and /api/review, and their streaming
+// variants /api/generate/stream and /api/review/stream, which answer with
+// server-sent events: { text } for each new piece of text, then "done", or an
+// "error" event with { status, error } if the model fails midway. The browser
+// sends a structured request (requests.js) and the prompt is built here; the
+// API key never leaves the server. Requests are rate limited per user: the
+// Firebase ID token in "Authorization: Bearer <token>" is checked with
+// `verifyIdToken` and its uid is the key. Calls without a valid token get 401;
+// there is no IP fallback, since behind a reverse proxy every client would
+// share the proxy's address.
+const createApp = ({ apiKey, model, apiBase, corsOrigin, rateLimit, verifyIdToken, complete = callGemini, stream = streamGemini }) => {
+    const app = express();
+    const limiter = createRateLimiter(rateLimit);
+    setInterval(limiter.prune, rateLimit.windowMs).unref();
+
+    app.use(express.json({ limit: '64kb' }));
+
+    if (corsOrigin) {
+        app.use((req, res, next) => {
+            res.set('Access-Control-Allow-Origin', corsOrigin);
+            res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+            if (req.method === 'OPTIONS') return res.sendStatus(204);
+            next();
+        });
+    }
+
+    // Resolves to the rate limit key, or null when the token is missing or not valid
+    const requestKey = async (req) => {
+        const token = /^Bearer (.+)$/.exec(req.get('Authorization') || '')?.[1];
+        if (!token) return null;
+        try {
+            const decoded = await verifyIdToken(token);
+            return `uid:${decoded.uid}`;
+        } catch {
+            return null;
+        }
+    };
+
+    const rateLimitByUser = async (req, res, next) => {
+        const key = await requestKey(req);
+        if (key === null) {
+            return res.status(401).json({ error: { message: 'A valid Firebase ID token is required.' } });
+        }
+        const { allowed, retryAfterMs } = limiter.hit(key);
+        if (!allowed) {
+            res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+            return res.status(429).json({ error: { message: 'Too many requests, please slow down.' } });
+        }
+        next();
+    };
+
+    // The prompt for the request body, or null after answering 400
+    const validPrompt = async (req, res, endpoint) => {
+        const { prompt, json, error } = await buildPrompt(req.body, endpoint);
+        if (error) {
+            res.status(400).json({ error: { message: error } });
+            return null;
+        }
+        return { prompt, json };
+    };
+
+    // Pass rate limiting through so the client backs off; hide other upstream details
+    const clientError = (error) => (error.status === 429
+        ? { status: 429, error: { message: 'Model is rate limited, try again later.' } }
+        : { status: 502, error: { message: 'Model request failed.' } });
+
+    const promptHandler = (endpoint) => async (req, res) => {
+        const request = await validPrompt(req, res, endpoint);
+        if (request === null) return;
+        const { prompt, json } = request;
+        try {
+            const text = await complete({ apiBase, apiKey, model, prompt, json });
+            res.json({ text });
+        } catch (error) {
+            console.error('Upstream request failed:', error);
+            const { status, ...body } = clientError(error);
+            res.status(status).json(body);
+        }
+    };
+
+    const streamHandler = (endpoint) => async (req, res) => {
+        const request = await validPrompt(req, res, endpoint);
+        if (request === null) return;
+        const { prompt, json } = request;
+        // The upstream request is dropped when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        const send = (event, data) => {
+            if (!res.headersSent) {
+                res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+                res.flushHeaders();
+            }
+            res.write(`${event === 'message' ? '' : `event: ${event}\n`}data: ${JSON.stringify(data)}\n\n`);
+        };
+        try {
+            await stream({ apiBase, apiKey, model, prompt, json, signal: controller.signal, onText: text => send('message', { text }) });
+            send('done', {});
+            res.end();
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('Upstream request failed:', error);
+            const { status, ...body } = clientError(error);
+            // Before anything was streamed the failure is a plain HTTP error
+            if (!res.headersSent) return res.status(status).json(body);
+            send('error', { status, ...body });
+            res.end();
+        }
+    };
+
+    app.post('/api/generate', rateLimitByUser, promptHandler('generate'));
+    app.post('/api/review', rateLimitByUser, promptHandler('review'));
+    app.post('/api/generate/stream', rateLimitByUser, streamHandler('generate'));
+    app.post('/api/review/stream', rateLimitByUser, streamHandler('review'));
+
+    app.get('/api/health', (req, res) => res.json({ ok: true }));
+
+    return app;
+};
+
+module.exports = createApp;
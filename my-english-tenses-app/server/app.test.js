@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const createApp = require('./app');
+
+let stub;
+let proxy;
+let proxyUrl;
+const stubRequests = [];
+
+// Local stand-in for the Gemini API
+before(async () => {
+    stub = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            stubRequests.push({ url: req.url, body: JSON.parse(body) });
+            if (req.url.includes(':streamGenerateContent')) {
+                res.setHeader('Content-Type', 'text/event-stream');
+                for (const text of ['{"isCorrect": ', 'true}']) {
+                    res.write(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`);
+                }
+                return res.end();
+            }
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Я спав. [Past Simple]' }] } }] }));
+        });
+    });
+    await new Promise(resolve => stub.listen(0, resolve));
+
+    const app = createApp({
+        apiKey: 'server-secret',
+        model: 'test-model',
+        apiBase: `http://localhost:${stub.address().port}`,
+        rateLimit: { max: 2, windowMs: 60000 },
+        // Tokens of the form "token-<uid>" are valid
+        verifyIdToken: async (token) => {
+            if (!token.startsWith('token-')) throw new Error('invalid token');
+            return { uid: token.slice('token-'.length) };
+        }
+    });
+    proxy = app.listen(0);
+    await new Promise(resolve => proxy.once('listening', resolve));
+    proxyUrl = `http://localhost:${proxy.address().port}`;
+});
+
+after(() => {
+    stub.close();
+    proxy.close();
+});
+
+const post = (path, body, token) => fetch(`${proxyUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: JSON.stringify(body)
+});
+
+const review = { type: 'review', originalSentence: 'Я спав.', userAnswer: 'I sleep.', direction: 'uk-en', explanationLocale: 'en' };
+const sentences = { type: 'sentences', tenses: ['Past Simple'], themes: 'сон', count: 1 };
+const stubPrompt = (request) => request.body.contents[0].parts[0].text;
+
+test('builds the prompt on the server and forwards it with the server-side key', async () => {
+    const response = await post('/api/review', review, 'token-user-a');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { text: 'Я спав. [Past Simple]' });
+    const last = stubRequests[stubRequests.length - 1];
+    assert.strictEqual(last.url, '/test-model:generateContent?key=server-secret');
+    assert.strictEqual(last.body.generationConfig.responseMimeType, 'application/json');
+    assert.match(stubPrompt(last), /Оригінальне речення українською: "Я спав."/);
+    assert.match(stubPrompt(last), /англійською/);
+});
+
+test('rejects prompts and malformed requests', async () => {
+    const rejected = [
+        ['/api/generate', {}],
+        ['/api/generate', { prompt: 'Напиши вірш' }],
+        ['/api/generate', { ...sentences, tenses: ['Poetry'] }],
+        ['/api/generate', { ...sentences, count: 500 }],
+        ['/api/generate', review],
+        ['/api/generate', { type: 'exercises', kind: 'translation', tenses: ['Past Simple'], count: 1 }],
+        ['/api/review', { ...review, userAnswer: 'x'.repeat(501) }]
+    ];
+    // A user each, to stay under the rate limit
+    for (const [index, [path, body]] of rejected.entries()) {
+        assert.strictEqual((await post(path, body, `token-user-b${index}`)).status, 400);
+    }
+});
+
+test('rate limits per verified user and rejects requests without a valid token', async () => {
+    assert.strictEqual((await post('/api/generate', sentences, 'token-user-c')).status, 200);
+    assert.strictEqual((await post('/api/generate', sentences, 'token-user-c')).status, 200);
+    const limited = await post('/api/generate', sentences, 'token-user-c');
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+    assert.strictEqual((await post('/api/generate', sentences, 'token-user-d')).status, 200);
+    assert.strictEqual((await post('/api/generate', sentences, 'forged-user-c')).status, 401);
+    assert.strictEqual((await post('/api/generate', sentences)).status, 401);
+    assert.strictEqual((await post('/api/review/stream', review)).status, 401);
+});
+
+test('streams reviews as server-sent events', async () => {
+    const response = await post('/api/review/stream', review, 'token-user-e');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+    assert.strictEqual(
+        await response.text(),
+        'data: {"text":"{\\"isCorrect\\": "}\n\ndata: {"text":"true}"}\n\nevent: done\ndata: {}\n\n'
+    );
+    const last = stubRequests[stubRequests.length - 1];
+    assert.strictEqual(last.url, '/test-model:streamGenerateContent?alt=sse&key=server-secret');
+});
@@ -0,0 +1,69 @@
+const buildPayload = (prompt, json) => {
+    const payload = { contents: [{ role: 'user', parts: [{ text: prompt }] }] };
+    if (json) {
+        payload.generationConfig = { responseMimeType: 'application/json' };
+    }
+    return payload;
+};
+
+const upstreamError = async (response) => {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(`Upstream error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    error.status = response.status;
+    return error;
+};
+
+const textOf = (result) => result.candidates?.[0]?.content?.parts?.[0]?.text;
+
+// Sends a prompt to the Gemini generateContent endpoint and returns the text.
+// `apiBase` can point at a local stub for tests.
+const callGemini = async ({ apiBase, apiKey, model, prompt, json }) => {
+    const response = await fetch(`${apiBase}/${model}:generateContent?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildPayload(prompt, json))
+    });
+
+    if (!response.ok) {
+        throw await upstreamError(response);
+    }
+
+    const text = textOf(await response.json());
+    if (typeof text !== 'string') {
+        throw new Error('Unexpected response structure from Gemini or no content generated.');
+    }
+    return text;
+};
+
+// Same through streamGenerateContent: `onText(chunk)` gets each new piece of
+// text as Gemini sends it (server-sent events). Aborting `signal` stops the
+// upstream request.
+const streamGemini = async ({ apiBase, apiKey, model, prompt, json, onText, signal }) => {
+    const response = await fetch(`${apiBase}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildPayload(prompt, json)),
+        signal
+    });
+
+    if (!response.ok) {
+        throw await upstreamError(response);
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const text = textOf(JSON.parse(line.slice(5)));
+        if (text) onText(text);
+    };
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+};
+
+module.exports = { callGemini, streamGemini };
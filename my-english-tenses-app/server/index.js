@@ -0,0 +1,34 @@
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const createApp = require('./app');
+
+// Configuration comes from the environment, never from the client
+const config = {
+    port: Number(process.env.PORT) || 3001,
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+    apiBase: process.env.GEMINI_API_BASE || 'https://generativelanguage.googleapis.com/v1beta/models',
+    corsOrigin: process.env.CORS_ORIGIN || '',
+    firebaseProjectId: process.env.FIREBASE_PROJECT_ID,
+    rateLimit: {
+        max: Number(process.env.RATE_LIMIT_MAX) || 30,
+        windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000
+    }
+};
+
+if (!config.apiKey) {
+    console.error('GEMINI_API_KEY is not set. Put it in the environment before starting the proxy.');
+    process.exit(1);
+}
+
+if (!config.firebaseProjectId) {
+    console.error('FIREBASE_PROJECT_ID is not set. It is needed to check the ID tokens of signed-in users.');
+    process.exit(1);
+}
+
+// Checking ID tokens only needs the project id, not a service account
+const auth = getAuth(initializeApp({ projectId: config.firebaseProjectId }));
+
+createApp({ ...config, verifyIdToken: token => auth.verifyIdToken(token) }).listen(config.port, () => {
+    console.log(`Proxy listening on http://localhost:${config.port} (model ${config.model})`);
+});
@@ -0,0 +1,42 @@
+// Fixed-window rate limiter kept in memory, one counter per key.
+// Good enough for a single proxy instance; use a shared store if scaled out.
+// At most `maxKeys` counters are kept: when full, expired ones are dropped
+// first, then the oldest.
+const createRateLimiter = ({ max, windowMs, maxKeys = 10000, now = Date.now }) => {
+    const windows = new Map();
+
+    // Returns { allowed, retryAfterMs } and counts the hit when allowed
+    const hit = (key) => {
+        const time = now();
+        let entry = windows.get(key);
+        if (!entry || time >= entry.resetAt) {
+            windows.delete(key);
+            if (windows.size >= maxKeys) makeRoom();
+            entry = { count: 0, resetAt: time + windowMs };
+            windows.set(key, entry);
+        }
+        if (entry.count >= max) {
+            return { allowed: false, retryAfterMs: entry.resetAt - time };
+        }
+        entry.count += 1;
+        return { allowed: true, retryAfterMs: 0 };
+    };
+
+    // Drops expired windows so the map doesn't grow with one-off users
+    const prune = () => {
+        const time = now();
+        for (const [key, entry] of windows) {
+            if (time >= entry.resetAt) windows.delete(key);
+        }
+    };
+
+    // Counters are kept in insertion order, so the first one is the oldest
+    const makeRoom = () => {
+        prune();
+        if (windows.size >= maxKeys) windows.delete(windows.keys().next().value);
+    };
+
+    return { hit, prune, size: () => windows.size };
+};
+
+module.exports = createRateLimiter;
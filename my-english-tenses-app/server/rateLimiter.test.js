@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const createRateLimiter = require('./rateLimiter');
+
+test('keeps at most maxKeys counters, dropping the oldest', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ max: 1, windowMs: 1000, maxKeys: 2, now: () => time });
+    assert.strictEqual(limiter.hit('a').allowed, true);
+    assert.strictEqual(limiter.hit('b').allowed, true);
+    assert.strictEqual(limiter.hit('c').allowed, true);
+    assert.strictEqual(limiter.size(), 2);
+    assert.strictEqual(limiter.hit('b').allowed, false);
+    // "a" was dropped to make room for "c"
+    assert.strictEqual(limiter.hit('a').allowed, true);
+
+    time = 1000;
+    assert.strictEqual(limiter.hit('d').allowed, true);
+    assert.strictEqual(limiter.size(), 1);
+});
@@ -0,0 +1,105 @@
+const path = require('node:path');
+const { register } = require('node:module');
+const { pathToFileURL } = require('node:url');
+
+// The browser sends structured requests, never prompts: the prompts are built
+// here with the app's own builders (src/llm/prompts.js), so the proxy only
+// ever asks the model for sentences, exercises and reviews.
+register(pathToFileURL(path.join(__dirname, 'srcLoader.mjs')));
+
+const srcModule = (file) => import(pathToFileURL(path.join(__dirname, '..', 'src', file)).href);
+
+let shared = null;
+const loadShared = () => {
+    shared = shared || Promise.all([srcModule('llm/prompts.js'), srcModule('tenses.js'), srcModule('i18n/index.js')])
+        .then(([prompts, { allTenses }, { isSupportedLocale }]) => ({ ...prompts, allTenses, isSupportedLocale }));
+    return shared;
+};
+
+const MAX_COUNT = 20;
+const MAX_EXCLUDED = 30;
+const MAX_TEXT_LENGTH = 500;
+const MAX_THEMES_LENGTH = 200;
+const DIRECTIONS = ['uk-en', 'en-uk'];
+
+const isText = (value, maxLength = MAX_TEXT_LENGTH) => typeof value === 'string' && value.trim() !== '' && value.length <= maxLength;
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+const isCount = (value) => Number.isInteger(value) && value > 0 && value <= MAX_COUNT;
+const isListOf = (value, check, maxLength) => Array.isArray(value) && value.length <= maxLength && value.every(check);
+
+// Checks of each request type's parameters; each returns an error message or ''
+const checks = ({ allTenses, generatedExerciseKinds, isSupportedLocale }) => {
+    const isTense = (value) => allTenses.includes(value);
+    const tenseList = ({ tenses }) => (Array.isArray(tenses) && tenses.length > 0 && isListOf(tenses, isTense, allTenses.length)
+        ? ''
+        : '"tenses" must be a non-empty list of tense names.');
+    const common = ({ themes, count, excludeSentences }) => {
+        if (!isOptional(themes, value => typeof value === 'string' && value.length <= MAX_THEMES_LENGTH)) return `"themes" must be a string of at most ${MAX_THEMES_LENGTH} characters.`;
+        if (!isCount(count)) return `"count" must be a whole number from 1 to ${MAX_COUNT}.`;
+        if (!isOptional(excludeSentences, value => isListOf(value, isText, MAX_EXCLUDED))) return `"excludeSentences" must be a list of at most ${MAX_EXCLUDED} sentences.`;
+        return '';
+    };
+    const direction = ({ direction: value }) => (isOptional(value, v => DIRECTIONS.includes(v)) ? '' : `"direction" must be one of ${DIRECTIONS.join(', ')}.`);
+    const answer = ({ userAnswer, explanationLocale }) => {
+        if (!isText(userAnswer)) return `"userAnswer" must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters.`;
+        if (!isOptional(explanationLocale, isSupportedLocale)) return '"explanationLocale" is not a supported locale.';
+        return '';
+    };
+
+    return {
+        sentences: (params) => {
+            if (params.plan !== undefined && params.plan !== null) {
+                if (!(Array.isArray(params.plan) && params.plan.length > 0 && isListOf(params.plan, isTense, MAX_COUNT))) return '"plan" must be a non-empty list of tense names.';
+                return common({ ...params, count: params.plan.length }) || direction(params);
+            }
+            return tenseList(params) || common(params) || direction(params);
+        },
+        exercises: (params) => (generatedExerciseKinds.includes(params.kind)
+            ? tenseList(params) || common(params)
+            : `"kind" must be one of ${generatedExerciseKinds.join(', ')}.`),
+        review: (params) => {
+            if (!isText(params.originalSentence)) return `"originalSentence" must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters.`;
+            if (!isOptional(params.referenceTranslation, isText)) return `"referenceTranslation" must be a string of at most ${MAX_TEXT_LENGTH} characters.`;
+            return direction(params) || answer(params);
+        },
+        exerciseReview: (params) => {
+            const { exercise } = params;
+            if (!(exercise && isText(exercise.sentence) && isText(exercise.answer) && isTense(exercise.targetTense))) {
+                return '"exercise" must have "sentence", "answer" and a "targetTense".';
+            }
+            return answer(params);
+        }
+    };
+};
+
+// Builds the prompt for a request body sent to `endpoint` ('generate' or
+// 'review'): resolves to { prompt, json }, or { error } for a bad request
+const buildPrompt = async (body, endpoint) => {
+    const modules = await loadShared();
+    if (!body || modules.requestEndpoint(body.type) !== endpoint) {
+        return { error: `"type" must name a ${endpoint} request.` };
+    }
+    const error = checks(modules)[body.type](body);
+    if (error) return { error };
+
+    // Only the known parameters reach the prompt
+    const { type, tenses, themes, count, plan, excludeSentences, direction, kind, originalSentence, userAnswer, referenceTranslation, explanationLocale, exercise } = body;
+    const { prompt, json } = modules.buildRequestPrompt({
+        type,
+        tenses,
+        themes: themes || '',
+        count,
+        plan: plan || null,
+        excludeSentences: excludeSentences || [],
+        direction: direction || undefined,
+        kind,
+        originalSentence,
+        userAnswer,
+        referenceTranslation: referenceTranslation || null,
+        explanationLocale: explanationLocale || undefined,
+        exercise: exercise && { sentence: exercise.sentence, targetTense: exercise.targetTense, answer: exercise.answer }
+    });
+    return { prompt, json };
+};
+
+module.exports = { buildPrompt };
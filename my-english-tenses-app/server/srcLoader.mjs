@@ -0,0 +1,22 @@
+// Module hooks that let Node import the app's own modules from src/ (see
+// requests.js). They are ES modules written for the bundler: .js files in a
+// package without "type": "module", imported without file extensions.
+const srcUrl = new URL('../src/', import.meta.url).href;
+
+const isRelative = (specifier) => specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.';
+
+export const resolve = async (specifier, context, nextResolve) => {
+    if (!context.parentURL?.startsWith(srcUrl) || !isRelative(specifier) || /\.m?js$/.test(specifier)) {
+        return nextResolve(specifier, context);
+    }
+    // "./prompts" is ./prompts.js, "../i18n" is ../i18n/index.js
+    try {
+        return await nextResolve(`${specifier}.js`, context);
+    } catch {
+        return nextResolve(`${specifier.replace(/\/$/, '')}/index.js`, context);
+    }
+};
+
+export const load = (url, context, nextLoad) => (url.startsWith(srcUrl)
+    ? nextLoad(url, { ...context, format: 'module' })
+    : nextLoad(url, context));
@@ -0,0 +1,181 @@
+import { normaliseTenseName } from '../tenses';
+import { translationDirections } from '../directions';
+import { translate } from '../i18n';
+
+// Classes, assignments and submissions. They live in the shared store
+// (storage/index.js createSharedStore) so teacher and students see the same data:
+//   classes/{id}:      { id, name, teacherId, joinCode, createdAt }
+//   classMembers/{classId}_{userId}: { id, classId, userId, name, joinedAt }
+//   joinCodes/{code}:  { classId }
+//   assignments/{id}:  { id, classId, title, items, settings, createdAt }
+//   submissions/{assignmentId}_{userId}: { id, assignmentId, classId, userId, studentName, session, submittedAt }
+// Each student writes only their own member document, so students joining at
+// the same time don't overwrite each other. A student's own list of classes is
+// kept in their user store:
+//   classMemberships/{classId}: { classId, className, studentName, joinedAt }
+const CLASSES = 'classes';
+const CLASS_MEMBERS = 'classMembers';
+const JOIN_CODES = 'joinCodes';
+const ASSIGNMENTS = 'assignments';
+const SUBMISSIONS = 'submissions';
+const MEMBERSHIPS = 'classMemberships';
+
+// No 0/O or 1/I, so codes can be read out loud or copied from a board
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const randomId = () => crypto.randomUUID();
+
+export const generateJoinCode = (random = Math.random) =>
+    Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)]).join('');
+
+export const normaliseJoinCode = (code) => (typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+
+export const createClass = async (shared, { name, teacherId, now = new Date(), random = Math.random, newId = randomId }) => {
+    let joinCode = generateJoinCode(random);
+    // Codes are short, so make sure this one isn't taken
+    while (await shared.get(JOIN_CODES, joinCode)) joinCode = generateJoinCode(random);
+
+    const classInfo = { id: newId(), name: name.trim(), teacherId, joinCode, createdAt: now.toISOString() };
+    await shared.put(CLASSES, classInfo.id, classInfo);
+    await shared.put(JOIN_CODES, joinCode, { classId: classInfo.id });
+    return { ...classInfo, students: {} };
+};
+
+const memberId = (classId, userId) => `${classId}_${userId}`;
+
+// Students of the class as { [userId]: { name, joinedAt } }
+export const listClassStudents = async (shared, classId) => {
+    const members = await shared.list(CLASS_MEMBERS, { classId });
+    return Object.fromEntries(members.map(({ userId, name, joinedAt }) => [userId, { name, joinedAt }]));
+};
+
+// Classes are returned with their `students` (listClassStudents)
+const withStudents = async (shared, classInfo) => classInfo && { ...classInfo, students: await listClassStudents(shared, classInfo.id) };
+
+export const getClass = async (shared, classId) => withStudents(shared, await shared.get(CLASSES, classId));
+
+// Classes created by the teacher, newest first
+export const listTeacherClasses = async (shared, teacherId) => {
+    const classes = await shared.list(CLASSES, { teacherId });
+    classes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return Promise.all(classes.map(classInfo => withStudents(shared, classInfo)));
+};
+
+// Adds the student to the class found by its join code; throws if there is none,
+// with a message from `t`
+export const joinClass = async (shared, userStore, { code, userId, studentName, now = new Date() }, t = translate) => {
+    const link = await shared.get(JOIN_CODES, normaliseJoinCode(code));
+    const classInfo = link && await shared.get(CLASSES, link.classId);
+    if (!classInfo) throw new Error(t('classroom.errors.classNotFound'));
+
+    const joinedAt = now.toISOString();
+    const id = memberId(classInfo.id, userId);
+    await shared.put(CLASS_MEMBERS, id, { id, classId: classInfo.id, userId, name: studentName.trim(), joinedAt });
+    const membership = { classId: classInfo.id, className: classInfo.name, studentName: studentName.trim(), joinedAt };
+    await userStore.put(MEMBERSHIPS, classInfo.id, membership);
+    return membership;
+};
+
+export const listMemberships = async (userStore) => {
+    const memberships = await userStore.list(MEMBERSHIPS);
+    return memberships.sort((a, b) => a.className.localeCompare(b.className, 'uk'));
+};
+
+// Hand-written assignment sentences, one per line: "Речення | Past Simple".
+// Returns { items, errors } with the line numbers that could not be read.
+export const parseAssignmentSentences = (text, direction = 'uk-en') => {
+    const items = [];
+    const errors = [];
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        const [sentence, tenseLabel] = line.split('|').map(part => part.trim());
+        const tense = normaliseTenseName(tenseLabel);
+        if (!sentence || !tense) {
+            errors.push(index + 1);
+            return;
+        }
+        items.push({ originalSentence: sentence, tenseUsed: tense, direction: translationDirections.includes(direction) ? direction : 'uk-en' });
+    });
+    return { items, errors };
+};
+
+// Items are stored without answers; `settings` are the session options the
+// students practise with (e.g. showTenseInPractice)
+export const createAssignment = async (shared, { classId, title, items, settings = {}, now = new Date(), newId = randomId }) => {
+    const assignment = {
+        id: newId(),
+        classId,
+        title: title.trim(),
+        items: items.map(({ originalSentence, tenseUsed, direction, exercise }) => ({
+            originalSentence,
+            tenseUsed,
+            direction: exercise ? null : direction || 'uk-en',
+            ...(exercise ? { exercise } : {})
+        })),
+        settings,
+        createdAt: now.toISOString()
+    };
+    await shared.put(ASSIGNMENTS, assignment.id, assignment);
+    return assignment;
+};
+
+// Newest first
+export const listAssignments = async (shared, classId) => {
+    const assignments = await shared.list(ASSIGNMENTS, { classId });
+    return assignments.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const deleteAssignment = (shared, assignmentId) => shared.remove(ASSIGNMENTS, assignmentId);
+
+// Session items for practising an assignment
+export const assignmentSessionItems = (assignment) => assignment.items.map(item => ({
+    originalSentence: item.originalSentence,
+    userAnswer: '',
+    geminiReview: null,
+    tenseUsed: item.tenseUsed,
+    kind: item.exercise ? item.exercise.kind : 'translation',
+    direction: item.exercise ? null : item.direction || 'uk-en',
+    exercise: item.exercise || null
+}));
+
+const submissionId = (assignmentId, userId) => `${assignmentId}_${userId}`;
+
+// Stores a finished session (storage/sessions.js buildSession) as the
+// student's result; a later attempt replaces the earlier one
+export const submitAssignment = async (shared, { assignment, userId, studentName, session, now = new Date() }) => {
+    const submission = {
+        id: submissionId(assignment.id, userId),
+        assignmentId: assignment.id,
+        classId: assignment.classId,
+        userId,
+        studentName,
+        session,
+        submittedAt: now.toISOString()
+    };
+    await shared.put(SUBMISSIONS, submission.id, submission);
+    return submission;
+};
+
+
+// A student's own submissions to the assignments of a class
+export const listStudentSubmissions = (shared, classId, userId) => shared.list(SUBMISSIONS, { classId, userId });
+
+// The class's assignments, newest first, each with the student's submission
+// or null: [{ assignment, submission }]. Submissions are found with one query
+// for the student's own, not read one by one: most don't exist yet, and the
+// security rules don't let a missing document be read.
+export const listStudentAssignments = async (shared, classId, userId) => {
+    const [assignments, submissions] = await Promise.all([listAssignments(shared, classId), listStudentSubmissions(shared, classId, userId)]);
+    return assignments.map(assignment => ({
+        assignment,
+        submission: submissions.find(submission => submission.assignmentId === assignment.id) || null
+    }));
+};
+
+// For the teacher, sorted by student name. The class is part of the query so
+// the security rules (firestore.rules) can check that they teach it.
+export const listSubmissions = async (shared, classId, assignmentId) => {
+    const submissions = await shared.list(SUBMISSIONS, { classId, assignmentId });
+    return submissions.sort((a, b) => a.studentName.localeCompare(b.studentName, 'uk'));
+};
@@ -0,0 +1,153 @@
+import createLocalStore from '../storage/localStore';
+import { buildSession } from '../storage/sessions';
+import { toCsv } from '../csv';
+import {
+    assignmentSessionItems,
+    createAssignment,
+    createClass,
+    getClass,
+    joinClass,
+    listAssignments,
+    listMemberships,
+    listStudentAssignments,
+    listSubmissions,
+    listTeacherClasses,
+    normaliseJoinCode,
+    parseAssignmentSentences,
+    submitAssignment
+} from './classroom';
+import { buildResultsTable, resultsToCsv } from './results';
+
+const sharedStore = (appId) => createLocalStore({ appId, userId: 'public', storage: window.localStorage });
+const userStore = (appId, userId) => createLocalStore({ appId, userId, storage: window.localStorage });
+
+// Deterministic ids and join codes
+const sequence = (prefix) => {
+    let count = 0;
+    return () => `${prefix}${++count}`;
+};
+const constantRandom = (value) => () => value;
+
+const answered = (originalSentence, tenseUsed, isCorrect) => ({
+    originalSentence,
+    tenseUsed,
+    userAnswer: 'answer',
+    geminiReview: { isCorrect, correctedSentence: 'Corrected, "quoted".', errors: [], explanation: '' }
+});
+
+test('a student joins a class by its code and sees it in their memberships', async () => {
+    const shared = sharedStore('class-join');
+    const student = userStore('class-join', 'student1');
+    const classInfo = await createClass(shared, { name: ' 7-А ', teacherId: 'teacher', random: constantRandom(0), newId: sequence('class') });
+
+    expect(classInfo).toMatchObject({ id: 'class1', name: '7-А', joinCode: 'AAAAAA', students: {} });
+    expect(normaliseJoinCode(' aaa-aaa ')).toBe('AAAAAA');
+
+    const membership = await joinClass(shared, student, { code: 'aaa aaa', userId: 'student1', studentName: 'Оля ' });
+    expect(membership).toMatchObject({ classId: 'class1', className: '7-А', studentName: 'Оля' });
+    expect((await getClass(shared, 'class1')).students.student1.name).toBe('Оля');
+    expect(await listMemberships(student)).toHaveLength(1);
+    expect(await listTeacherClasses(shared, 'teacher')).toHaveLength(1);
+    expect(await listTeacherClasses(shared, 'someone else')).toEqual([]);
+
+    await expect(joinClass(shared, student, { code: 'ZZZZZZ', userId: 'student1', studentName: 'Оля' })).rejects.toThrow();
+});
+
+test('students joining at the same time are all kept', async () => {
+    const shared = sharedStore('class-concurrent');
+    await createClass(shared, { name: '8-Б', teacherId: 'teacher', random: constantRandom(0), newId: sequence('class') });
+
+    await Promise.all(['s1', 's2'].map(userId =>
+        joinClass(shared, userStore('class-concurrent', userId), { code: 'AAAAAA', userId, studentName: `Учень ${userId}` })));
+    expect(Object.keys((await getClass(shared, 'class1')).students).sort()).toEqual(['s1', 's2']);
+    expect((await listTeacherClasses(shared, 'teacher'))[0].students.s2.name).toBe('Учень s2');
+});
+
+test('a taken join code is not reused', async () => {
+    const shared = sharedStore('class-codes');
+    const newId = sequence('class');
+    const first = await createClass(shared, { name: 'A', teacherId: 't', random: constantRandom(0), newId });
+    const values = [0, 0, 0, 0, 0, 0, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5];
+    const second = await createClass(shared, { name: 'B', teacherId: 't', random: () => values.shift(), newId });
+    expect(first.joinCode).toBe('AAAAAA');
+    expect(second.joinCode).not.toBe(first.joinCode);
+});
+
+test('hand-written assignment sentences are parsed line by line', () => {
+    const { items, errors } = parseAssignmentSentences('Я читаю книгу. | present continuous\n\nБез часу\nВона пішла. | Minecraft\nМи пішли. | Past Simple');
+    expect(items).toEqual([
+        { originalSentence: 'Я читаю книгу.', tenseUsed: 'Present Continuous', direction: 'uk-en' },
+        { originalSentence: 'Ми пішли.', tenseUsed: 'Past Simple', direction: 'uk-en' }
+    ]);
+    expect(errors).toEqual([3, 4]);
+});
+
+test('submissions are turned into a results table and CSV', async () => {
+    const shared = sharedStore('class-results');
+    const assignment = await createAssignment(shared, {
+        classId: 'class1',
+        title: 'Минулий час',
+        items: [
+            { originalSentence: 'Я спав.', tenseUsed: 'Past Simple', direction: 'uk-en', userAnswer: 'ignored' },
+            { originalSentence: 'Я спав, коли ти прийшов.', tenseUsed: 'Past Continuous', direction: 'uk-en' }
+        ],
+        newId: sequence('assignment')
+    });
+    expect(assignment.items[0]).not.toHaveProperty('userAnswer');
+    expect(await listAssignments(shared, 'class1')).toHaveLength(1);
+
+    const [first, second] = assignmentSessionItems(assignment);
+    const session = buildSession({
+        id: 's1',
+        startedAt: '2025-03-01T10:00:00.000Z',
+        settings: {},
+        sentences: [answered(first.originalSentence, first.tenseUsed, true), answered(second.originalSentence, second.tenseUsed, false)]
+    });
+    await submitAssignment(shared, { assignment, userId: 'u1', studentName: 'Богдан', session, now: new Date('2025-03-01T10:10:00.000Z') });
+    const submissions = await listSubmissions(shared, 'class1', assignment.id);
+    expect(await listSubmissions(shared, 'class2', assignment.id)).toEqual([]);
+
+    const table = buildResultsTable(assignment, submissions, { u1: { name: 'Богдан' }, u2: { name: 'Аня' } });
+    expect(table.map(row => row.studentName)).toEqual(['Аня', 'Богдан']);
+    expect(table[0]).toMatchObject({ submittedAt: null, correct: 0, total: 0 });
+    expect(table[1]).toMatchObject({ correct: 1, total: 2 });
+    expect(table[1].byTense['Past Continuous']).toEqual({ correct: 0, total: 1 });
+
+    const lines = resultsToCsv(submissions).split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toContain('"Я спав, коли ти прийшов."');
+    expect(lines[2]).toContain('"Corrected, ""quoted""."');
+});
+
+test('a student sees assignments they have not submitted yet', async () => {
+    const local = sharedStore('class-unsubmitted');
+    // Like the security rules: a submission that doesn't exist can't be read
+    const shared = {
+        ...local,
+        get: async (name, id) => {
+            const found = await local.get(name, id);
+            if (name === 'submissions' && !found) throw new Error('Missing or insufficient permissions.');
+            return found;
+        }
+    };
+    const newId = sequence('assignment');
+    const done = await createAssignment(shared, { classId: 'class1', title: 'Done', items: [], newId, now: new Date('2025-03-01') });
+    await createAssignment(shared, { classId: 'class1', title: 'New', items: [], newId, now: new Date('2025-03-02') });
+    const session = buildSession({ id: 's1', startedAt: '2025-03-01T10:00:00.000Z', settings: {}, sentences: [] });
+    await submitAssignment(shared, { assignment: done, userId: 'u1', studentName: 'Оля', session });
+    await submitAssignment(shared, { assignment: done, userId: 'u2', studentName: 'Петро', session });
+
+    const entries = await listStudentAssignments(shared, 'class1', 'u1');
+    expect(entries.map(({ assignment, submission }) => [assignment.title, submission?.userId || null])).toEqual([['New', null], ['Done', 'u1']]);
+});
+
+test('CSV fields are quoted only when needed', () => {
+    expect(toCsv([['a', 'b,c', 'd"e', 'f\ng', null, 3]])).toBe('a,"b,c","d""e","f\ng",,3');
+});
+
+test('exported text that a spreadsheet would run as a formula stays text', () => {
+    expect(toCsv([['=HYPERLINK("http://x")', '+1', '-', '@SUM(A1)', 'a=b', -2]])).toBe('"\'=HYPERLINK(""http://x"")",\'+1,\'-,\'@SUM(A1),a=b,-2');
+    const session = buildSession({ id: 's1', startedAt: '2025-03-01T10:00:00.000Z', settings: {}, sentences: [{ ...answered('Я спав.', 'Past Simple', false), userAnswer: '=1+1' }] });
+    expect(resultsToCsv([{ studentName: '@Оля', session, submittedAt: '2025-03-01T10:10:00.000Z' }])).toContain("'@Оля,");
+    expect(resultsToCsv([{ studentName: 'Оля', session, submittedAt: '2025-03-01T10:10:00.000Z' }])).toContain(",'=1+1,");
+});
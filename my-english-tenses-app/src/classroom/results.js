@@ -0,0 +1,49 @@
+import { tenseAccuracy } from '../stats/statistics';
+import { toCsv } from '../csv';
+import { sentenceCsvHeader, sentenceCsvRow } from '../practice/sessionExport';
+import { translate } from '../i18n';
+
+// Assignment results for the teacher, built from submissions (see classroom.js)
+
+// Tenses practised in the assignment, in its own order
+export const assignmentTenses = (assignment) => [...new Set(assignment.items.map(item => item.tenseUsed))];
+
+// One row per student: { userId, studentName, submittedAt, correct, total, byTense: { [tense]: { correct, total } } }.
+// Students of the class without a submission get a row with `submittedAt: null`.
+export const buildResultsTable = (assignment, submissions, students = {}) => {
+    const tenses = assignmentTenses(assignment);
+    const rows = submissions.map(submission => {
+        const stats = tenseAccuracy([submission.session]);
+        const byTense = Object.fromEntries(tenses.map(tense => [tense, stats[tense] || { correct: 0, total: 0 }]));
+        return {
+            userId: submission.userId,
+            studentName: submission.studentName,
+            submittedAt: submission.submittedAt,
+            correct: submission.session.correctCount,
+            total: submission.session.sentences.length,
+            byTense
+        };
+    });
+    const submitted = new Set(rows.map(row => row.userId));
+    const missing = Object.entries(students)
+        .filter(([userId]) => !submitted.has(userId))
+        .map(([userId, student]) => ({
+            userId,
+            studentName: student.name,
+            submittedAt: null,
+            correct: 0,
+            total: 0,
+            byTense: Object.fromEntries(tenses.map(tense => [tense, { correct: 0, total: 0 }]))
+        }));
+    return [...rows, ...missing].sort((a, b) => a.studentName.localeCompare(b.studentName, 'uk'));
+};
+
+// CSV with one line per student answer, headed in the language of `t`
+export const resultsToCsv = (submissions, t = translate) => toCsv([
+    [t('sessionExport.columns.student'), ...sentenceCsvHeader(t), t('sessionExport.columns.submittedAt')],
+    ...submissions.flatMap(submission => submission.session.sentences.map(item => [
+        submission.studentName,
+        ...sentenceCsvRow(item, t),
+        submission.submittedAt
+    ]))
+]);
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { allTenses } from '../tenses';
+import { parseAssignmentSentences } from '../classroom/classroom';
+import { validateSessionOptions } from '../practice/sessionFlow';
+import { challengeModes, defaultTimeLimits } from '../game/challenge';
+import { useTranslation } from '../i18n/I18nContext';
+
+const checkboxClassName = 'form-checkbox h-4 w-4 text-indigo-600 rounded focus:ring-indigo-500';
+const fieldClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500';
+
+// New assignment: a fixed sentence set, either generated by the model for the
+// chosen tenses or written by the teacher ("Речення | Past Simple" per line).
+// `onGenerate(options)` resolves to session items; `onCreate(assignment)` to
+// whether it was saved, and the form is cleared only if it was.
+const AssignmentForm = ({ onGenerate, onCreate }) => {
+    const t = useTranslation();
+    const [title, setTitle] = useState('');
+    const [source, setSource] = useState('generate'); // 'generate' or 'manual'
+    const [tenses, setTenses] = useState([]);
+    const [themes, setThemes] = useState('');
+    const [count, setCount] = useState(5);
+    const [manualText, setManualText] = useState('');
+    const [showTenseInPractice, setShowTenseInPractice] = useState(false);
+    const [challengeMode, setChallengeMode] = useState('off');
+    const [timeLimitSeconds, setTimeLimitSeconds] = useState(defaultTimeLimits.sentence);
+    const [items, setItems] = useState([]);
+    const [isBusy, setIsBusy] = useState(false);
+    const [errorMessage, setErrorMessage] = useState('');
+
+    const toggleTense = (tense) => setTenses(prev => (prev.includes(tense) ? prev.filter(item => item !== tense) : [...prev, tense]));
+
+    const handleGenerate = async () => {
+        const validationError = validateSessionOptions({ tenses, numSentences: count }, 0, t);
+        if (validationError) {
+            setErrorMessage(validationError);
+            return;
+        }
+        setIsBusy(true);
+        setErrorMessage('');
+        try {
+            setItems(await onGenerate({ tenses, themes, numSentences: count }));
+        } catch (error) {
+            console.error("Assignment generation error:", error);
+            setErrorMessage(t('app.errors.generation', { message: error.message }));
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleManualChange = (text) => {
+        setManualText(text);
+        const parsed = parseAssignmentSentences(text);
+        setItems(parsed.items);
+        setErrorMessage(parsed.errors.length > 0 ? t('assignmentForm.unreadableLines', { lines: parsed.errors.join(', ') }) : '');
+    };
+
+    const handleCreate = async () => {
+        setIsBusy(true);
+        try {
+            const saved = await onCreate({ title, items, settings: { showTenseInPractice, challengeMode, timeLimitSeconds } });
+            if (saved) {
+                setTitle('');
+                setItems([]);
+                setManualText('');
+            }
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    return (
+        <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <h3 className="text-lg font-bold text-gray-800 mb-3">{t('assignmentForm.title')}</h3>
+            <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder={t('assignmentForm.titlePlaceholder')}
+                className={`${fieldClassName} mb-3`}
+            />
+
+            <div className="flex gap-4 mb-3">
+                <label className="flex items-center space-x-2 cursor-pointer">
+                    <input type="radio" checked={source === 'generate'} onChange={() => { setSource('generate'); setItems([]); }} />
+                    <span>{t('assignmentForm.generate')}</span>
+                </label>
+                <label className="flex items-center space-x-2 cursor-pointer">
+                    <input type="radio" checked={source === 'manual'} onChange={() => { setSource('manual'); handleManualChange(manualText); }} />
+                    <span>{t('assignmentForm.manual')}</span>
+                </label>
+            </div>
+
+            {source === 'generate' ? (
+                <>
+                    <div className="grid grid-cols-2 gap-2 mb-3">
+                        {allTenses.map(tense => (
+                            <label key={tense} className="flex items-center space-x-2 text-sm cursor-pointer">
+                                <input type="checkbox" checked={tenses.includes(tense)} onChange={() => toggleTense(tense)} className={checkboxClassName} />
+                                <span>{tense}</span>
+                            </label>
+                        ))}
+                    </div>
+                    <input
+                        type="text"
+                        value={themes}
+                        onChange={(e) => setThemes(e.target.value)}
+                        placeholder={t('assignmentForm.themesPlaceholder')}
+                        className={`${fieldClassName} mb-3`}
+                    />
+                    <div className="flex gap-2 mb-3">
+                        <input
+                            type="number"
+                            min="1"
+                            max="20"
+                            value={count}
+                            onChange={(e) => setCount(parseInt(e.target.value))}
+                            className={`${fieldClassName} w-24 text-center`}
+                        />
+                        <button
+                            onClick={handleGenerate}
+                            disabled={isBusy}
+                            className="flex-1 py-2 px-4 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-50"
+                        >
+                            {isBusy ? t('common.loading') : t('assignmentForm.generateSentences')}
+                        </button>
+                    </div>
+                </>
+            ) : (
+                <textarea
+                    value={manualText}
+                    onChange={(e) => handleManualChange(e.target.value)}
+                    placeholder={t('assignmentForm.manualPlaceholder')}
+                    className={`${fieldClassName} h-32 mb-3`}
+                ></textarea>
+            )}
+
+            {items.length > 0 && (
+                <ol className="list-decimal list-inside text-sm text-gray-800 mb-3 space-y-1">
+                    {items.map((item, index) => (
+                        <li key={index}>{item.originalSentence} <span className="text-gray-500">({item.tenseUsed})</span></li>
+                    ))}
+                </ol>
+            )}
+
+            <label className="flex items-center space-x-2 mb-3 cursor-pointer">
+                <input type="checkbox" checked={showTenseInPractice} onChange={(e) => setShowTenseInPractice(e.target.checked)} className={checkboxClassName} />
+                <span>{t('assignmentForm.showTense')}</span>
+            </label>
+
+            <div className="flex gap-2 items-center mb-3">
+                <label className="text-sm text-gray-700">{t('assignmentForm.challenge')}</label>
+                <select
+                    value={challengeMode}
+                    onChange={(e) => {
+                        setChallengeMode(e.target.value);
+                        if (defaultTimeLimits[e.target.value]) setTimeLimitSeconds(defaultTimeLimits[e.target.value]);
+                    }}
+                    className={`${fieldClassName} flex-1`}
+                >
+                    {challengeModes.map(mode => (
+                        <option key={mode} value={mode}>{t(`challenge.modes.${mode}`)}</option>
+                    ))}
+                </select>
+                {challengeMode !== 'off' && (
+                    <input
+                        type="number"
+                        min="5"
+                        max="3600"
+                        value={timeLimitSeconds}
+                        onChange={(e) => setTimeLimitSeconds(parseInt(e.target.value))}
+                        className={`${fieldClassName} w-24 text-center`}
+                    />
+                )}
+            </div>
+
+            {errorMessage && <p className="text-red-600 text-sm mb-3">{errorMessage}</p>}
+
+            <button
+                onClick={handleCreate}
+                disabled={isBusy || !title.trim() || items.length === 0 || (challengeMode !== 'off' && !(timeLimitSeconds > 0))}
+                className="w-full py-2 px-4 rounded-lg text-white font-semibold bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300"
+            >
+                {t('assignmentForm.create')}
+            </button>
+        </div>
+    );
+};
+
+export default AssignmentForm;
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import ReviewPanel from './ReviewPanel';
+import { answerLabelFor, sourceLabelFor } from '../exercises/exerciseKinds';
+import { listSubmissions } from '../classroom/classroom';
+import { assignmentTenses, buildResultsTable, resultsToCsv } from '../classroom/results';
+import { downloadFile } from '../download';
+import { useTranslation } from '../i18n/I18nContext';
+
+const scoreText = ({ correct, total }) => (total > 0 ? `${correct}/${total}` : '—');
+
+// Teacher's view of one assignment: per-student scores by tense, each
+// student's answers with reviews, and CSV export
+const AssignmentResults = ({ sharedStore, assignment, students, onBack }) => {
+    const t = useTranslation();
+    const [submissions, setSubmissions] = useState([]);
+    const [selectedUserId, setSelectedUserId] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(''); // Message of the failed request
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        listSubmissions(sharedStore, assignment.classId, assignment.id)
+            .then(result => {
+                if (!cancelled) setSubmissions(result);
+            })
+            .catch(error => {
+                console.error("Failed to load results:", error);
+                if (!cancelled) setLoadError(error.message);
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [sharedStore, assignment.classId, assignment.id]);
+
+    const tenses = assignmentTenses(assignment);
+    const rows = buildResultsTable(assignment, submissions, students);
+    const selectedSubmission = submissions.find(submission => submission.userId === selectedUserId);
+
+    const handleExport = () => {
+        downloadFile(`${assignment.title || 'results'}.csv`, resultsToCsv(submissions, t), 'text/csv');
+    };
+
+    if (selectedSubmission) {
+        return (
+            <div>
+                <h3 className="text-xl font-bold text-gray-800 mb-2">{selectedSubmission.studentName}</h3>
+                <p className="text-gray-600 mb-4">
+                    {t('assignmentResults.submitted', {
+                        date: t.formatDate(selectedSubmission.submittedAt),
+                        correct: selectedSubmission.session.correctCount,
+                        total: selectedSubmission.session.sentences.length
+                    })}
+                </p>
+                {selectedSubmission.session.sentences.map((item, index) => (
+                    <div key={index} className="mb-6">
+                        <div className="mb-3 bg-indigo-50 p-4 rounded-lg border border-indigo-200">
+                            <p className="text-sm text-gray-600 mb-1">
+                                {index + 1}. {item.tenseUsed} · {sourceLabelFor(item, t)}
+                            </p>
+                            <p className="text-lg font-medium text-gray-900">{item.originalSentence}</p>
+                            <p className="text-base text-gray-700 mt-2">
+                                <span className="font-semibold">{answerLabelFor(item, t)}:</span> {item.userAnswer || '—'}
+                            </p>
+                        </div>
+                        {item.review && <ReviewPanel review={item.review} userAnswer={item.userAnswer} />}
+                    </div>
+                ))}
+                <button
+                    onClick={() => setSelectedUserId(null)}
+                    className="w-full mb-3 py-3 px-6 rounded-lg text-indigo-700 font-bold text-lg border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+                >
+                    {t('assignmentResults.backToTable')}
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <h3 className="text-xl font-bold text-gray-800 mb-4">{t('assignmentResults.title', { title: assignment.title })}</h3>
+
+            {loadError && (
+                <p className="text-red-600 text-center mb-4">{t('assignmentResults.errors.load', { message: loadError })}</p>
+            )}
+            {isLoading && (
+                <div className="text-center text-indigo-600 text-xl font-semibold my-6">{t('common.loading')}</div>
+            )}
+
+            {!isLoading && rows.length === 0 && (
+                <p className="text-center text-gray-600 mb-6">{t('assignmentResults.nobody')}</p>
+            )}
+
+            {rows.length > 0 && (
+                <div className="overflow-x-auto mb-4">
+                    <table className="w-full text-sm text-left border border-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="p-2 border-b">{t('sessionExport.columns.student')}</th>
+                                <th className="p-2 border-b">{t('assignmentResults.total')}</th>
+                                {tenses.map(tense => (
+                                    <th key={tense} className="p-2 border-b">{tense}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr key={row.userId} className="border-b">
+                                    <td className="p-2">
+                                        {row.submittedAt ? (
+                                            <button onClick={() => setSelectedUserId(row.userId)} className="text-indigo-700 font-semibold hover:underline">
+                                                {row.studentName}
+                                            </button>
+                                        ) : (
+                                            <span className="text-gray-500">{t('assignmentResults.notSubmitted', { name: row.studentName })}</span>
+                                        )}
+                                    </td>
+                                    <td className="p-2 font-semibold">{scoreText(row)}</td>
+                                    {tenses.map(tense => (
+                                        <td key={tense} className="p-2">{scoreText(row.byTense[tense])}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <button
+                onClick={handleExport}
+                disabled={submissions.length === 0}
+                className="w-full mb-3 py-2 px-6 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+            >
+                {t('assignmentResults.exportCsv')}
+            </button>
+            <button
+                onClick={onBack}
+                className="w-full mb-3 py-2 px-6 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+            >
+                {t('assignmentResults.backToClass')}
+            </button>
+        </div>
+    );
+};
+
+export default AssignmentResults;
@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from '../i18n/I18nContext';
+
+const TICK_MS = 250;
+
+const formatTime = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Countdown of a timed challenge (game/challenge.js challengeDeadline).
+// `onExpire` is called when the time is up while `active`, i.e. while the
+// learner is answering; a review already requested is allowed to finish.
+const ChallengeTimer = ({ deadline, totalSeconds, points, active, onExpire }) => {
+    const t = useTranslation();
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    const remainingMs = Math.max(0, deadline - now);
+    const isUp = remainingMs === 0;
+
+    useEffect(() => {
+        if (isUp && active) onExpire();
+    }, [isUp, active, onExpire]);
+
+    const share = Math.min(1, remainingMs / (totalSeconds * 1000));
+    return (
+        <div className="mb-6">
+            <div className="flex justify-between text-lg font-semibold mb-1">
+                <span className={share < 0.2 ? 'text-red-600' : 'text-gray-700'}>
+                    {isUp ? t('challenge.timeUp') : t('challenge.timeLeft', { time: formatTime(remainingMs) })}
+                </span>
+                <span className="text-indigo-700">{t('challenge.points', { points })}</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                    className={`h-full ${share < 0.2 ? 'bg-red-500' : 'bg-indigo-500'} transition-all duration-200 ease-linear`}
+                    style={{ width: `${share * 100}%` }}
+                ></div>
+            </div>
+        </div>
+    );
+};
+
+export default ChallengeTimer;
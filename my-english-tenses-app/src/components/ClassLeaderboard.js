@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { listClassLeaderboard } from '../game/leaderboard';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Students of a class ranked by the points of their assignment results
+// (game/leaderboard.js); `userId` marks the viewer's own row
+const ClassLeaderboard = ({ sharedStore, classId, userId }) => {
+    const t = useTranslation();
+    const [rows, setRows] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        listClassLeaderboard(sharedStore, classId)
+            .then(result => {
+                if (!cancelled) setRows(result);
+            })
+            .catch(error => console.error("Failed to load the class leaderboard:", error));
+        return () => {
+            cancelled = true;
+        };
+    }, [sharedStore, classId]);
+
+    const hasResults = rows.some(row => row.assignments > 0);
+    return (
+        <div className="mt-4">
+            <h4 className="text-base font-bold text-gray-800 mb-2">{t('leaderboard.classTitle')}</h4>
+            {!hasResults ? (
+                <p className="text-gray-600 text-sm">{t('leaderboard.empty')}</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-600 border-b">
+                            <th className="py-1 pr-2">#</th>
+                            <th className="py-1 pr-2">{t('leaderboard.player')}</th>
+                            <th className="py-1 pr-2 text-right">{t('leaderboard.points')}</th>
+                            <th className="py-1 pr-2 text-right">{t('leaderboard.correct')}</th>
+                            <th className="py-1 text-right">{t('leaderboard.assignments')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((row, index) => (
+                            <tr key={row.userId} className={`border-b last:border-0 ${row.userId === userId ? 'bg-indigo-50 font-semibold' : ''}`}>
+                                <td className="py-1 pr-2">{index + 1}</td>
+                                <td className="py-1 pr-2">{row.studentName}{row.userId === userId && t('leaderboard.you')}</td>
+                                <td className="py-1 pr-2 text-right">{row.points}</td>
+                                <td className="py-1 pr-2 text-right">{t('common.outOf', { correct: row.correct, total: row.total })}</td>
+                                <td className="py-1 text-right">{row.assignments}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default ClassLeaderboard;
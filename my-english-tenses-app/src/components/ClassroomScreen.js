@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import StudentClassroom from './StudentClassroom';
+import TeacherClassroom from './TeacherClassroom';
+import { useTranslation } from '../i18n/I18nContext';
+
+const tabs = ['student', 'teacher'];
+
+// Classroom mode: students join classes and do assignments, teachers create
+// classes and assignments and see the results (see classroom/classroom.js)
+const ClassroomScreen = ({ store, sharedStore, userId, onGenerate, onStartAssignment, onBack }) => {
+    const t = useTranslation();
+    const [tab, setTab] = useState('student');
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4 font-inter">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-3xl">
+                <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">{t('classroom.title')}</h1>
+
+                <div className="flex mb-6 border-b border-gray-200">
+                    {tabs.map(item => (
+                        <button
+                            key={item}
+                            onClick={() => setTab(item)}
+                            className={`flex-1 py-2 font-semibold ${tab === item ? 'text-indigo-700 border-b-2 border-indigo-600' : 'text-gray-600 hover:text-indigo-700'}`}
+                        >
+                            {t(`classroom.tabs.${item}`)}
+                        </button>
+                    ))}
+                </div>
+
+                {tab === 'student' ? (
+                    <StudentClassroom sharedStore={sharedStore} store={store} userId={userId} onStartAssignment={onStartAssignment} />
+                ) : (
+                    <TeacherClassroom sharedStore={sharedStore} userId={userId} onGenerate={onGenerate} />
+                )}
+
+                <button
+                    onClick={onBack}
+                    className="w-full mt-3 py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out bg-indigo-600 hover:bg-indigo-700 hover:scale-105"
+                >
+                    {t('common.home')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ClassroomScreen;
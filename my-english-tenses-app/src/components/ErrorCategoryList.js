@@ -0,0 +1,21 @@
+import React from 'react';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Most common error categories with their counts
+const ErrorCategoryList = ({ counts }) => {
+    const t = useTranslation();
+    return counts.length === 0 ? (
+        <p className="text-gray-600">{t('errorList.empty')}</p>
+    ) : (
+        <ul className="space-y-1">
+            {counts.map(({ category, count }) => (
+                <li key={category} className="flex justify-between text-gray-800">
+                    <span>{t(`errorCategories.${category}`)}</span>
+                    <span className="font-semibold">{count}</span>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default ErrorCategoryList;
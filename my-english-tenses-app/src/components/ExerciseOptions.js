@@ -0,0 +1,22 @@
+import React from 'react';
+
+// Answer buttons for multiple-choice exercises
+const ExerciseOptions = ({ options, selected, onSelect, disabled }) => (
+    <div className="grid grid-cols-2 gap-3">
+        {options.map(option => (
+            <button
+                key={option}
+                type="button"
+                onClick={() => onSelect(option)}
+                disabled={disabled}
+                className={`p-3 rounded-lg border text-lg transition duration-150 ease-in-out
+                            ${selected === option ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-800 border-gray-300 hover:bg-indigo-50'}
+                            ${disabled ? 'cursor-not-allowed opacity-75' : ''}`}
+            >
+                {option}
+            </button>
+        ))}
+    </div>
+);
+
+export default ExerciseOptions;
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from 'react';
+import { listSessions } from '../storage/sessions';
+import ReviewPanel from './ReviewPanel';
+import SessionExport from './SessionExport';
+import { answerLabelFor, sourceLabelFor } from '../exercises/exerciseKinds';
+import { useTranslation } from '../i18n/I18nContext';
+
+// List of past sessions; selecting one shows its sentences, answers and reviews
+const HistoryScreen = ({ store, onBack }) => {
+    const t = useTranslation();
+    const [sessions, setSessions] = useState([]);
+    const [selectedSession, setSelectedSession] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(''); // Message of the failed request
+
+    useEffect(() => {
+        if (!store) return;
+        let cancelled = false;
+        setIsLoading(true);
+        listSessions(store)
+            .then(result => {
+                if (!cancelled) setSessions(result);
+            })
+            .catch(error => {
+                console.error("Failed to load history:", error);
+                if (!cancelled) setLoadError(error.message);
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [store]);
+
+    const renderSessionList = () => (
+        <>
+            {isLoading && (
+                <div className="text-center text-indigo-600 text-xl font-semibold my-10">{t('common.loading')}</div>
+            )}
+            {!isLoading && sessions.length === 0 && (
+                <p className="text-center text-gray-600 mb-6">{t('history.empty')}</p>
+            )}
+            <ul className="space-y-3 mb-6">
+                {sessions.map(session => (
+                    <li key={session.id}>
+                        <button
+                            onClick={() => setSelectedSession(session)}
+                            className="w-full text-left p-4 bg-gray-50 rounded-lg border border-gray-200 hover:bg-indigo-50 transition duration-150 ease-in-out"
+                        >
+                            <p className="font-semibold text-gray-800">{t.formatDate(session.startedAt)}</p>
+                            <p className="text-sm text-gray-600">{session.settings.tenses.join(', ')}</p>
+                            <p className="text-sm text-gray-600">
+                                {t('common.score', { correct: session.correctCount, total: session.sentences.length })}
+                            </p>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </>
+    );
+
+    const renderSessionDetails = () => (
+        <>
+            <p className="text-center text-gray-600 mb-6">
+                {t('history.details', { date: t.formatDate(selectedSession.startedAt), correct: selectedSession.correctCount, total: selectedSession.sentences.length })}
+            </p>
+            {selectedSession.sentences.map((item, index) => (
+                <div key={index} className="mb-6">
+                    <div className="mb-3 bg-indigo-50 p-4 rounded-lg border border-indigo-200">
+                        <p className="text-sm text-gray-600 mb-1">
+                            {index + 1}. {item.tenseUsed} · {sourceLabelFor(item, t)}
+                        </p>
+                        <p className="text-lg font-medium text-gray-900">{item.originalSentence}</p>
+                        <p className="text-base text-gray-700 mt-2">
+                            <span className="font-semibold">{answerLabelFor(item, t)}:</span> {item.userAnswer || '—'}
+                        </p>
+                    </div>
+                    {item.review && <ReviewPanel review={item.review} userAnswer={item.userAnswer} />}
+                </div>
+            ))}
+            <div className="mb-6">
+                <SessionExport session={selectedSession} />
+            </div>
+            <button
+                onClick={() => setSelectedSession(null)}
+                className="w-full mb-3 py-3 px-6 rounded-lg text-indigo-700 font-bold text-lg border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+            >
+                {t('history.backToList')}
+            </button>
+        </>
+    );
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4 font-inter">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-2xl">
+                <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">{t('history.title')}</h1>
+
+                {loadError && (
+                    <p className="text-red-600 text-center mb-4">{t('history.errors.load', { message: loadError })}</p>
+                )}
+
+                {selectedSession ? renderSessionDetails() : renderSessionList()}
+
+                <button
+                    onClick={onBack}
+                    className="w-full py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out bg-indigo-600 hover:bg-indigo-700 hover:scale-105"
+                >
+                    {t('common.home')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default HistoryScreen;
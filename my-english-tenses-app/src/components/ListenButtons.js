@@ -0,0 +1,29 @@
+import React from 'react';
+import { isSpeechSynthesisSupported, speak } from '../speech/synthesis';
+import { useTranslation } from '../i18n/I18nContext';
+
+const SLOW_RATE = 0.7;
+
+// Reads a sentence aloud at normal and slow speed for listening practice;
+// hidden where the browser has no speech synthesis
+const ListenButtons = ({ text, lang }) => {
+    const t = useTranslation();
+    if (!text || !isSpeechSynthesisSupported()) return null;
+
+    const handleListen = (rate) => {
+        speak(text, { lang, rate }).catch(error => console.error("Speech synthesis error:", error));
+    };
+
+    return (
+        <span className="inline-flex gap-2 ml-2 align-middle">
+            <button type="button" onClick={() => handleListen(1)} className="text-sm text-indigo-700 border border-indigo-300 rounded px-2 py-0.5 hover:bg-indigo-50">
+                {t('speech.listen')}
+            </button>
+            <button type="button" onClick={() => handleListen(SLOW_RATE)} className="text-sm text-indigo-700 border border-indigo-300 rounded px-2 py-0.5 hover:bg-indigo-50">
+                {t('speech.listenSlowly')}
+            </button>
+        </span>
+    );
+};
+
+export default ListenButtons;
@@ -0,0 +1,157 @@
+import React from 'react';
+import ReviewPanel from './ReviewPanel';
+import ExerciseOptions from './ExerciseOptions';
+import SpeechInputButton from './SpeechInputButton';
+import ChallengeTimer from './ChallengeTimer';
+import { answerLabelFor, hidesTense, isChoiceKind, sourceLabelFor } from '../exercises/exerciseKinds';
+import { canAdvance, currentItem, isLastItem, isReviewPending } from '../practice/practiceReducer';
+import { acceptsSpokenAnswer, answerSpeechLang } from '../speech';
+import { challengeDeadline } from '../game/challenge';
+import { scoreSentences } from '../game/scoring';
+import { useTranslation } from '../i18n/I18nContext';
+
+const emptyReview = { isCorrect: null, correctedSentence: '', errors: [], explanation: '' };
+
+// Practice screen: the current sentence, the answer field and its review.
+// `practice` is the state from practice/practiceReducer.js. A pending review
+// is shown as it streams in and can be cancelled. With a `recognizer`
+// (speech/recognition.js) the answer can be spoken; the transcript goes
+// straight to review through `onSpokenAnswer`. In a timed challenge a
+// countdown is shown and `onTimeUp` is called when the answer runs out of time.
+const PracticeScreen = ({ practice, showTenseInPractice, userId, isAuthReady, recognizer, onAnswerChange, onSpokenAnswer, onSubmit, onCancelReview, onTimeUp, onNext, onHome }) => {
+    const t = useTranslation();
+    const item = currentItem(practice) || {};
+    const review = item.geminiReview || null;
+    const answer = practice.status === 'reviewing' ? item.userAnswer : practice.answer;
+    const pending = isReviewPending(practice);
+    const canSubmit = practice.status === 'answering' && Boolean(answer.trim());
+    const speechLang = answerSpeechLang(item);
+    const settings = practice.session?.settings || {};
+    const deadline = challengeDeadline(practice);
+    // A sentence's own clock stops once it is answered; a session's keeps running
+    const showsTimer = deadline !== null && (settings.challengeMode === 'session' || practice.status === 'answering');
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4 font-inter">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-2xl">
+                <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">
+                    {t('practice.title', { index: practice.index + 1, total: practice.items.length })}
+                </h1>
+
+                {/* userId message */}
+                {isAuthReady && userId && (
+                    <p className="text-sm text-center text-gray-600 mb-4 break-all">
+                        {t('common.userId')} <span className="font-mono bg-gray-200 px-2 py-1 rounded-md">{userId}</span>
+                    </p>
+                )}
+
+                {showsTimer && (
+                    <ChallengeTimer
+                        key={deadline}
+                        deadline={deadline}
+                        totalSeconds={settings.timeLimitSeconds}
+                        points={scoreSentences(practice.items, settings).points}
+                        active={practice.status === 'answering'}
+                        onExpire={onTimeUp}
+                    />
+                )}
+
+                {practice.error && (
+                    <p className="text-red-600 text-center mb-4">{practice.error}</p>
+                )}
+
+                <div className="mb-6 bg-indigo-50 p-4 rounded-lg border border-indigo-200">
+                    <p className="text-lg text-gray-700 mb-2">
+                        <span className="font-semibold">{sourceLabelFor(item, t)}:</span>
+                        {/* Conditionally display tense */}
+                        {item.fromReviewQueue && (
+                            <span className="ml-2 text-sm font-semibold text-yellow-700 bg-yellow-100 rounded px-2 py-0.5">{t('practice.fromReviewQueue')}</span>
+                        )}
+                        {showTenseInPractice && !hidesTense(item) && (
+                            <span className="font-semibold ml-2">({item.tenseUsed || t('practice.unknownTense')})</span>
+                        )}
+                    </p>
+                    <p className="text-xl font-medium text-gray-900 leading-relaxed">
+                        {item.originalSentence || t('practice.sentenceMissing')}
+                    </p>
+                </div>
+
+                <div className="mb-6">
+                    <label htmlFor="userAnswer" className="block text-lg font-semibold text-gray-700 mb-3">
+                        {answerLabelFor(item, t)}:
+                    </label>
+                    {isChoiceKind(item.kind) ? (
+                        <ExerciseOptions
+                            options={item.exercise.options}
+                            selected={answer}
+                            onSelect={onAnswerChange}
+                            disabled={practice.status !== 'answering'}
+                        />
+                    ) : (
+                        <textarea
+                            id="userAnswer"
+                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ease-in-out text-lg h-24 resize-y"
+                            value={answer}
+                            onChange={(e) => onAnswerChange(e.target.value)}
+                            readOnly={practice.status !== 'answering'}
+                            placeholder={t('practice.answerPlaceholder')}
+                        ></textarea>
+                    )}
+                    {recognizer?.isSupported && acceptsSpokenAnswer(item) && (
+                        <SpeechInputButton
+                            key={practice.index}
+                            recognizer={recognizer}
+                            lang={speechLang}
+                            disabled={practice.status !== 'answering'}
+                            onPartial={onAnswerChange}
+                            onFinal={onSpokenAnswer}
+                        />
+                    )}
+                </div>
+
+                <button
+                    onClick={() => onSubmit()}
+                    disabled={!canSubmit}
+                    className={`w-full py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out
+                                ${!canSubmit ? 'bg-green-400 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700 hover:scale-105'}`}
+                >
+                    {pending ? t('practice.checking') : t(item.exercise ? 'practice.check' : 'practice.getReview')}
+                </button>
+
+                {pending && (
+                    <>
+                        <ReviewPanel review={practice.reviewDraft || emptyReview} userAnswer={item.userAnswer} isStreaming />
+                        <button
+                            onClick={onCancelReview}
+                            className="w-full -mt-4 mb-6 py-2 px-6 rounded-lg text-gray-700 font-semibold border border-gray-300 hover:bg-gray-50 transition duration-300 ease-in-out"
+                        >
+                            {t('practice.cancelReview')}
+                        </button>
+                    </>
+                )}
+
+                {review && (
+                    <ReviewPanel review={review} userAnswer={item.userAnswer} speechLang={speechLang} />
+                )}
+
+                <button
+                    onClick={onNext}
+                    disabled={!canAdvance(practice)} // Can only proceed after getting a review
+                    className={`w-full py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out
+                                ${!canAdvance(practice) ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 hover:scale-105'}`}
+                >
+                    {t(isLastItem(practice) ? 'practice.finish' : 'practice.next')}
+                </button>
+
+                <button
+                    onClick={onHome}
+                    className="w-full mt-3 py-2 px-6 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+                >
+                    {t('common.home')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PracticeScreen;
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import { deletePreset, listPresets, savePreset } from '../storage/presets';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Named presets of the start-screen options: apply, save the current options, delete
+const PresetPanel = ({ store, options, onApply }) => {
+    const t = useTranslation();
+    const [presets, setPresets] = useState([]);
+    const [name, setName] = useState('');
+    const [errorMessage, setErrorMessage] = useState('');
+
+    useEffect(() => {
+        if (!store) return;
+        let cancelled = false;
+        listPresets(store)
+            .then(result => {
+                if (!cancelled) setPresets(result);
+            })
+            .catch(error => console.error("Failed to load presets:", error));
+        return () => {
+            cancelled = true;
+        };
+    }, [store]);
+
+    const handleSave = async () => {
+        if (!store || !name.trim()) return;
+        try {
+            await savePreset(store, name, options);
+            setPresets(await listPresets(store));
+            setName('');
+            setErrorMessage('');
+        } catch (error) {
+            console.error("Failed to save preset:", error);
+            setErrorMessage(t('presets.errors.save', { message: error.message }));
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await deletePreset(store, id);
+            setPresets(prev => prev.filter(preset => preset.id !== id));
+        } catch (error) {
+            console.error("Failed to delete preset:", error);
+            setErrorMessage(t('presets.errors.delete', { message: error.message }));
+        }
+    };
+
+    return (
+        <div className="mb-6 p-3 bg-gray-50 rounded-lg border border-gray-200">
+            <label className="block text-lg font-semibold text-gray-700 mb-3">{t('presets.title')}</label>
+            {presets.length > 0 && (
+                <ul className="flex flex-wrap gap-2 mb-3">
+                    {presets.map(preset => (
+                        <li key={preset.id} className="flex items-center bg-white border border-indigo-300 rounded-lg">
+                            <button
+                                onClick={() => onApply(preset.options)}
+                                className="px-3 py-1 text-indigo-700 font-semibold hover:bg-indigo-50 rounded-l-lg"
+                            >
+                                {preset.name}
+                            </button>
+                            <button
+                                onClick={() => handleDelete(preset.id)}
+                                title={t('presets.delete')}
+                                className="px-2 py-1 text-gray-500 hover:text-red-600"
+                            >
+                                ×
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder={t('presets.namePlaceholder')}
+                    className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <button
+                    onClick={handleSave}
+                    disabled={!store || !name.trim()}
+                    className="px-4 py-2 rounded-lg text-white font-semibold bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300"
+                >
+                    {t('common.save')}
+                </button>
+            </div>
+            {errorMessage && <p className="text-red-600 text-sm mt-2">{errorMessage}</p>}
+        </div>
+    );
+};
+
+export default PresetPanel;
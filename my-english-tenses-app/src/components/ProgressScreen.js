@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { achievements } from '../game/achievements';
+import { emptyProgress, loadProgress } from '../game/progress';
+import { levelForXp } from '../game/scoring';
+import { listLeaderboard } from '../game/leaderboard';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Level and XP, achievements and the timed challenge records of this device
+const ProgressScreen = ({ store, deviceStore, userId, onBack }) => {
+    const t = useTranslation();
+    const [progress, setProgress] = useState(emptyProgress);
+    const [leaderboard, setLeaderboard] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(''); // Message of the failed request
+
+    useEffect(() => {
+        if (!store) return;
+        let cancelled = false;
+        Promise.all([loadProgress(store), listLeaderboard(deviceStore)])
+            .then(([savedProgress, entries]) => {
+                if (cancelled) return;
+                setProgress(savedProgress);
+                setLeaderboard(entries);
+            })
+            .catch(error => {
+                console.error("Failed to load progress:", error);
+                if (!cancelled) setLoadError(error.message);
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [store, deviceStore]);
+
+    const { level, levelXp, nextLevelXp } = levelForXp(progress.xp);
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4 font-inter">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-2xl">
+                <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">{t('progress.title')}</h1>
+
+                {loadError && (
+                    <p className="text-red-600 text-center mb-4">{t('progress.errors.load', { message: loadError })}</p>
+                )}
+
+                {isLoading ? (
+                    <div className="text-center text-indigo-600 text-xl font-semibold my-10">{t('common.loading')}</div>
+                ) : (
+                    <>
+                        <div className="mb-8 p-4 bg-indigo-50 rounded-lg border border-indigo-200 text-center">
+                            <p className="text-2xl font-bold text-indigo-700 mb-2">{t('progress.level', { level })}</p>
+                            <div className="h-3 bg-white rounded-full overflow-hidden border border-indigo-200 mb-1">
+                                <div
+                                    className="h-full bg-indigo-500"
+                                    style={{ width: `${((progress.xp - levelXp) / (nextLevelXp - levelXp)) * 100}%` }}
+                                ></div>
+                            </div>
+                            <p className="text-sm text-gray-600">{t('progress.xp', { xp: progress.xp - levelXp, next: nextLevelXp - levelXp })}</p>
+                        </div>
+
+                        <div className="mb-8">
+                            <h2 className="text-xl font-bold text-gray-800 mb-3">{t('progress.achievements')}</h2>
+                            <ul className="grid grid-cols-2 gap-3">
+                                {achievements.map(({ id }) => {
+                                    const unlockedAt = progress.achievements[id];
+                                    return (
+                                        <li
+                                            key={id}
+                                            className={`p-3 rounded-lg border ${unlockedAt ? 'bg-yellow-50 border-yellow-300' : 'bg-gray-50 border-gray-200 opacity-60'}`}
+                                        >
+                                            <p className="font-semibold text-gray-800">{t(`achievements.${id}.title`)}</p>
+                                            <p className="text-sm text-gray-600">{t(`achievements.${id}.description`)}</p>
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                {unlockedAt ? t('progress.unlockedAt', { date: t.formatDate(unlockedAt) }) : t('progress.locked')}
+                                            </p>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </div>
+
+                        <div className="mb-8">
+                            <h2 className="text-xl font-bold text-gray-800 mb-3">{t('progress.leaderboard')}</h2>
+                            {leaderboard.length === 0 ? (
+                                <p className="text-gray-600">{t('progress.noResults')}</p>
+                            ) : (
+                                <table className="w-full text-sm text-left">
+                                    <thead>
+                                        <tr className="text-gray-600">
+                                            <th className="py-1">#</th>
+                                            <th className="py-1">{t('leaderboard.player')}</th>
+                                            <th className="py-1 text-right">{t('leaderboard.points')}</th>
+                                            <th className="py-1 text-right">{t('leaderboard.correct')}</th>
+                                            <th className="py-1 pl-3">{t('leaderboard.mode')}</th>
+                                            <th className="py-1">{t('leaderboard.date')}</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {leaderboard.map((entry, index) => (
+                                            <tr key={entry.id} className={`border-t border-gray-100 text-gray-800 ${entry.userId === userId ? 'bg-indigo-50 font-semibold' : ''}`}>
+                                                <td className="py-1">{index + 1}</td>
+                                                <td className="py-1">
+                                                    {entry.playerName || t('leaderboard.anonymous')}
+                                                    {entry.userId === userId && t('leaderboard.you')}
+                                                </td>
+                                                <td className="py-1 text-right">{entry.points}</td>
+                                                <td className="py-1 text-right">{t('common.outOf', { correct: entry.correct, total: entry.total })}</td>
+                                                <td className="py-1 pl-3">{t(`challenge.limits.${entry.challengeMode}`, { seconds: entry.timeLimitSeconds })}</td>
+                                                <td className="py-1">{t.formatDate(entry.finishedAt)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    </>
+                )}
+
+                <button
+                    onClick={onBack}
+                    className="w-full py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out bg-indigo-600 hover:bg-indigo-700 hover:scale-105"
+                >
+                    {t('common.home')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ProgressScreen;
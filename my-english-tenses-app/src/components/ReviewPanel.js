@@ -0,0 +1,143 @@
+import React from 'react';
+import { diffWords } from '../review/diff';
+import { useTranslation } from '../i18n/I18nContext';
+import ListenButtons from './ListenButtons';
+
+// Highlight colour per error category
+const categoryColors = {
+    tense: 'bg-red-200',
+    article: 'bg-yellow-200',
+    word_order: 'bg-purple-200',
+    preposition: 'bg-orange-200',
+    agreement: 'bg-pink-200',
+    vocabulary: 'bg-blue-200',
+    spelling: 'bg-teal-200',
+    punctuation: 'bg-gray-300',
+    other: 'bg-red-100'
+};
+
+// Splits the answer into plain and highlighted segments using the error spans
+const buildAnswerSegments = (answer, errors) => {
+    const spans = errors
+        .filter(error => error.start !== null && error.end > error.start)
+        .sort((a, b) => a.start - b.start);
+    const segments = [];
+    let position = 0;
+    for (const error of spans) {
+        if (error.start < position) continue; // Skip overlapping spans
+        if (error.start > position) {
+            segments.push({ text: answer.slice(position, error.start) });
+        }
+        segments.push({ text: answer.slice(error.start, error.end), error });
+        position = error.end;
+    }
+    if (position < answer.length) {
+        segments.push({ text: answer.slice(position) });
+    }
+    return segments;
+};
+
+// Heading per review source; other reviews come from the model
+const titleKeys = {
+    local: 'review.localTitle',
+    timer: 'review.timerTitle'
+};
+
+// Review panel: verdict, user's answer with highlighted mistakes,
+// the corrected sentence as a word diff and the list of errors.
+// `isStreaming`: the review is still arriving (review/reviewSchema.js
+// parsePartialReview), so fields may be missing or cut off.
+// `speechLang`: language to read the right sentence aloud in; no playback without it.
+const ReviewPanel = ({ review, userAnswer, isStreaming = false, speechLang = '' }) => {
+    const t = useTranslation();
+    const hasCorrection = review.correctedSentence && review.isCorrect === false;
+    const sentenceToListen = hasCorrection ? review.correctedSentence : (review.isCorrect && userAnswer);
+    const isEmpty = review.isCorrect === null && !review.correctedSentence && review.errors.length === 0 && !review.explanation;
+
+    return (
+        <div className="mb-8 bg-blue-50 p-4 rounded-lg border border-blue-200">
+            <p className="text-lg text-gray-700 mb-2 font-semibold">
+                {t(titleKeys[review.source] || 'review.modelTitle')}
+            </p>
+
+            {isStreaming && isEmpty && (
+                <p className="text-base text-indigo-600 animate-pulse mb-3">{t('review.writing')}</p>
+            )}
+
+            {review.isCorrect !== null && (
+                <p className={`text-base font-semibold mb-3 ${review.isCorrect ? 'text-green-700' : 'text-red-700'}`}>
+                    {t(review.isCorrect ? 'review.correct' : 'review.incorrect')}
+                    {speechLang && !isStreaming && <ListenButtons text={sentenceToListen} lang={speechLang} />}
+                </p>
+            )}
+
+            {userAnswer && review.errors.length > 0 && (
+                <div className="mb-3">
+                    <p className="text-sm font-semibold text-gray-600 mb-1">{t('review.yourAnswer')}</p>
+                    <p className="text-base text-gray-800 leading-relaxed">
+                        {buildAnswerSegments(userAnswer, review.errors).map((segment, index) => (
+                            segment.error ? (
+                                <mark
+                                    key={index}
+                                    title={`${t(`errorCategories.${segment.error.category}`)}: ${segment.error.explanation}`}
+                                    className={`${categoryColors[segment.error.category]} rounded px-0.5`}
+                                >
+                                    {segment.text}
+                                </mark>
+                            ) : (
+                                <span key={index}>{segment.text}</span>
+                            )
+                        ))}
+                    </p>
+                </div>
+            )}
+
+            {hasCorrection && isStreaming && (
+                <div className="mb-3">
+                    <p className="text-sm font-semibold text-gray-600 mb-1">{t('review.corrected')}</p>
+                    <p className="text-base text-gray-800 leading-relaxed">{review.correctedSentence}</p>
+                </div>
+            )}
+
+            {hasCorrection && !isStreaming && (
+                <div className="mb-3">
+                    <p className="text-sm font-semibold text-gray-600 mb-1">{t('review.corrected')}</p>
+                    <p className="text-base text-gray-800 leading-relaxed">
+                        {diffWords(userAnswer, review.correctedSentence).map((part, index) => (
+                            <React.Fragment key={index}>
+                                {part.type === 'removed' && <del className="text-red-600">{part.text}</del>}
+                                {part.type === 'added' && <ins className="text-green-700 font-semibold no-underline bg-green-100 rounded px-0.5">{part.text}</ins>}
+                                {part.type === 'same' && <span>{part.text}</span>}
+                                {' '}
+                            </React.Fragment>
+                        ))}
+                    </p>
+                </div>
+            )}
+
+            {review.errors.length > 0 && (
+                <ul className="mb-3 space-y-1">
+                    {review.errors.map((error, index) => (
+                        <li key={index} className="text-base text-gray-800">
+                            <span className={`${categoryColors[error.category]} text-sm font-semibold rounded px-2 py-0.5 mr-2`}>
+                                {t(`errorCategories.${error.category}`)}
+                            </span>
+                            {error.text && <span className="line-through mr-1">{error.text}</span>}
+                            {error.correction && <span className="font-semibold mr-1">→ {error.correction}</span>}
+                            {error.explanation && <span className="text-gray-700">— {error.explanation}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {review.explanation && (
+                <p className="text-base text-gray-800 leading-relaxed">
+                    {review.explanation}
+                    {isStreaming && <span className="animate-pulse">▍</span>}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default ReviewPanel;
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { MAX_IMPORTED_SENTENCES, parseSentenceImport } from '../practice/sentenceImport';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Loads a custom sentence list from a CSV or JSON file (see practice/sentenceImport.js)
+const SentenceImport = ({ onImport }) => {
+    const t = useTranslation();
+    const [message, setMessage] = useState('');
+    const [errorMessage, setErrorMessage] = useState('');
+
+    const handleFile = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Lets the same file be picked again
+        if (!file) return;
+        try {
+            const { items, errors, truncated } = parseSentenceImport(await file.text(), file.name, t);
+            onImport(items, file.name);
+            setErrorMessage('');
+            setMessage([
+                errors.length > 0 ? t('sentenceImport.skipped', { entries: errors.join(', ') }) : '',
+                truncated > 0 ? t('sentenceImport.truncated', { count: truncated, max: MAX_IMPORTED_SENTENCES }) : ''
+            ].filter(Boolean).join(' '));
+        } catch (error) {
+            console.error("Sentence import error:", error);
+            setMessage('');
+            setErrorMessage(t('sentenceImport.failed', { file: file.name, message: error.message }));
+        }
+    };
+
+    return (
+        <div className="mb-6 p-3 bg-gray-50 rounded-lg border border-gray-200">
+            <label className="block text-lg font-semibold text-gray-700 mb-1">{t('sentenceImport.title')}</label>
+            <p className="text-sm text-gray-600 mb-2">
+                {t('sentenceImport.hint')}
+            </p>
+            <input type="file" accept=".csv,.json,.txt,text/csv,application/json" onChange={handleFile} className="w-full text-sm" />
+            {message && <p className="text-yellow-700 text-sm mt-2">{message}</p>}
+            {errorMessage && <p className="text-red-600 text-sm mt-2">{errorMessage}</p>}
+        </div>
+    );
+};
+
+export default SentenceImport;
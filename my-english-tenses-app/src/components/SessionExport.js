@@ -0,0 +1,30 @@
+import React from 'react';
+import { downloadFile, printHtml } from '../download';
+import { sessionFileName, sessionReportHtml, sessionToCsv, sessionToJson } from '../practice/sessionExport';
+import { useTranslation } from '../i18n/I18nContext';
+
+const buttonClassName = 'flex-1 py-2 px-3 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out';
+
+// Downloads a finished session as CSV or JSON, or opens it as a printable report,
+// labelled in the interface language
+const SessionExport = ({ session }) => {
+    const t = useTranslation();
+    return (
+        <div>
+            <p className="text-sm font-semibold text-gray-700 mb-2">{t('sessionExport.title')}</p>
+            <div className="flex gap-2">
+                <button onClick={() => downloadFile(sessionFileName(session, 'csv'), sessionToCsv(session, t), 'text/csv')} className={buttonClassName}>
+                    CSV
+                </button>
+                <button onClick={() => downloadFile(sessionFileName(session, 'json'), sessionToJson(session), 'application/json')} className={buttonClassName}>
+                    JSON
+                </button>
+                <button onClick={() => printHtml(sessionFileName(session, 'html'), sessionReportHtml(session, t))} className={buttonClassName}>
+                    {t('sessionExport.report')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SessionExport;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { errorCategoryCounts, tenseAccuracy } from '../stats/statistics';
+import TenseAccuracyTable from './TenseAccuracyTable';
+import ErrorCategoryList from './ErrorCategoryList';
+import ShareLink from './ShareLink';
+import SessionExport from './SessionExport';
+import { sessionLinkParams } from '../practice/sessionLink';
+import { scoreSession } from '../game/scoring';
+import { useTranslation } from '../i18n/I18nContext';
+
+// End-of-session summary: score, points, accuracy per practised tense and
+// error types. `progressUpdate` (game/progress.js recordSessionProgress plus
+// the device leaderboard `rank`, if any) arrives once the session is saved.
+const SessionSummary = ({ session, progressUpdate, onHome, onDashboard, onProgress }) => {
+    const t = useTranslation();
+    const score = scoreSession(session);
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4 font-inter">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-2xl">
+                <h1 className="text-3xl font-bold text-center text-gray-800 mb-2">{t('summary.title')}</h1>
+                <p className="text-xl text-center text-gray-700 mb-6">
+                    {t('common.score', { correct: session.correctCount, total: session.sentences.length })}
+                </p>
+
+                <div className="mb-6 p-4 bg-indigo-50 rounded-lg border border-indigo-200 text-center">
+                    <p className="text-2xl font-bold text-indigo-700">{t('summary.points', { points: score.points })}</p>
+                    {progressUpdate && (
+                        <>
+                            <p className="text-gray-700">{t('summary.xpGained', { xp: progressUpdate.score.points, level: progressUpdate.level })}</p>
+                            {progressUpdate.level > progressUpdate.levelBefore && (
+                                <p className="text-lg font-bold text-green-700 mt-1">{t('summary.levelUp', { level: progressUpdate.level })}</p>
+                            )}
+                            {progressUpdate.rank && (
+                                <p className="text-gray-700 mt-1">{t('summary.rank', { rank: progressUpdate.rank })}</p>
+                            )}
+                            {progressUpdate.newAchievements.length > 0 && (
+                                <div className="mt-3">
+                                    <p className="font-semibold text-gray-800">{t('summary.newAchievements')}</p>
+                                    <ul>
+                                        {progressUpdate.newAchievements.map(id => (
+                                            <li key={id} className="text-yellow-800">
+                                                <span className="font-semibold">{t(`achievements.${id}.title`)}</span>: {t(`achievements.${id}.description`)}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                <div className="mb-6">
+                    <TenseAccuracyTable stats={tenseAccuracy([session])} hideEmpty />
+                </div>
+
+                <div className="mb-8">
+                    <h3 className="text-lg font-bold text-gray-800 mb-2">{t('summary.errorTypes')}</h3>
+                    <ErrorCategoryList counts={errorCategoryCounts([session])} />
+                </div>
+
+                <div className="mb-6">
+                    <ShareLink
+                        params={sessionLinkParams(session.settings, session.sentences)}
+                        label={t('summary.share')}
+                    />
+                </div>
+
+                <div className="mb-6">
+                    <SessionExport session={session} />
+                </div>
+
+                <button
+                    onClick={onHome}
+                    className="w-full py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out bg-indigo-600 hover:bg-indigo-700 hover:scale-105"
+                >
+                    {t('common.home')}
+                </button>
+                <button
+                    onClick={onDashboard}
+                    className="w-full mt-3 py-3 px-6 rounded-lg text-indigo-700 font-bold text-lg border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+                >
+                    {t('summary.stats')}
+                </button>
+                <button
+                    onClick={onProgress}
+                    className="w-full mt-3 py-3 px-6 rounded-lg text-indigo-700 font-bold text-lg border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+                >
+                    {t('summary.progress')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SessionSummary;
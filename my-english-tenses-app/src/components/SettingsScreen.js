@@ -0,0 +1,97 @@
+import React from 'react';
+import { availableProviders } from '../llm';
+import { locales } from '../i18n';
+import { createWebSpeechRecognizer } from '../speech/recognition';
+import { useTranslation } from '../i18n/I18nContext';
+
+const checkboxClassName = 'form-checkbox h-5 w-5 text-indigo-600 rounded focus:ring-indigo-500 transition duration-150 ease-in-out';
+const fieldClassName = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ease-in-out text-lg';
+
+// App preferences, see settings.js; changes apply immediately
+const SettingsScreen = ({ settings, onChange, onBack }) => {
+    const t = useTranslation();
+    const canRecognizeSpeech = createWebSpeechRecognizer().isSupported;
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4 font-inter">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-md">
+                <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">{t('settings.title')}</h1>
+
+                <div className="mb-6">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('settings.locale')}</label>
+                    <select value={settings.locale} onChange={(e) => onChange({ locale: e.target.value })} className={fieldClassName}>
+                        {Object.entries(locales).map(([id, locale]) => (
+                            <option key={id} value={id}>{locale.name}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="mb-6">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('settings.explanationLocale')}</label>
+                    <select value={settings.explanationLocale} onChange={(e) => onChange({ explanationLocale: e.target.value })} className={fieldClassName}>
+                        <option value="">{t('settings.sameAsInterface')}</option>
+                        {Object.entries(locales).map(([id, locale]) => (
+                            <option key={id} value={id}>{locale.name}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="mb-6">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('settings.playerName')}</label>
+                    <input
+                        type="text"
+                        value={settings.playerName}
+                        onChange={(e) => onChange({ playerName: e.target.value })}
+                        placeholder={t('settings.playerNamePlaceholder')}
+                        className={fieldClassName}
+                    />
+                </div>
+
+                <div className="mb-6">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('settings.provider')}</label>
+                    <select value={settings.providerId} onChange={(e) => onChange({ providerId: e.target.value })} className={fieldClassName}>
+                        {availableProviders.map(provider => (
+                            <option key={provider} value={provider}>{t(`settings.providers.${provider}`)}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="mb-6">
+                    <label className="flex items-center space-x-2 text-gray-800 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={settings.localTenseCheck}
+                            onChange={(e) => onChange({ localTenseCheck: e.target.checked })}
+                            className={checkboxClassName}
+                        />
+                        <span className="text-lg font-semibold">{t('settings.localTenseCheck')}</span>
+                    </label>
+                </div>
+
+                <div className="mb-8">
+                    <label className="flex items-center space-x-2 text-gray-800 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={settings.voiceInput && canRecognizeSpeech}
+                            onChange={(e) => onChange({ voiceInput: e.target.checked })}
+                            disabled={!canRecognizeSpeech}
+                            className={checkboxClassName}
+                        />
+                        <span className="text-lg font-semibold">{t('settings.voiceInput')}</span>
+                    </label>
+                    {!canRecognizeSpeech && (
+                        <p className="text-sm text-gray-600 mt-2">{t('settings.voiceInputUnsupported')}</p>
+                    )}
+                </div>
+
+                <button
+                    onClick={onBack}
+                    className="w-full py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out bg-indigo-600 hover:bg-indigo-700 hover:scale-105"
+                >
+                    {t('common.home')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SettingsScreen;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { sessionLinkUrl } from '../practice/sessionLink';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Button that builds a session link (see practice/sessionLink.js), copies it
+// to the clipboard and shows it for manual copying
+const ShareLink = ({ params, label }) => {
+    const t = useTranslation();
+    const [link, setLink] = useState('');
+    const [copied, setCopied] = useState(false);
+
+    const handleShare = async () => {
+        const url = sessionLinkUrl(params);
+        setLink(url);
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopied(true);
+        } catch (error) {
+            // Clipboard access can be denied; the link is still shown below
+            setCopied(false);
+        }
+    };
+
+    return (
+        <div>
+            <button
+                onClick={handleShare}
+                className="w-full py-2 px-6 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+            >
+                {label}
+            </button>
+            {link && (
+                <>
+                    <input
+                        type="text"
+                        readOnly
+                        value={link}
+                        onFocus={(e) => e.target.select()}
+                        className="w-full mt-2 p-2 border border-gray-300 rounded-lg text-sm text-gray-700"
+                    />
+                    {copied && <p className="text-sm text-green-700 mt-1">{t('shareLink.copied')}</p>}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ShareLink;
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { isAbortError } from '../llm/retry';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Recognition error codes with their own message; others get a generic one
+const errorMessageKeys = {
+    'not-allowed': 'speech.errors.notAllowed',
+    'service-not-allowed': 'speech.errors.notAllowed',
+    'audio-capture': 'speech.errors.noMicrophone',
+    network: 'speech.errors.network'
+};
+
+// Dictation button for the answer field. `recognizer` is a speech/recognition.js
+// adapter; the transcript is reported through `onPartial` while the learner
+// speaks and through `onFinal` when they stop.
+const SpeechInputButton = ({ recognizer, lang, disabled, onPartial, onFinal }) => {
+    const t = useTranslation();
+    const [listening, setListening] = useState(false);
+    const [errorKey, setErrorKey] = useState('');
+    const session = useRef(null);
+
+    // Leaving the screen discards a recognition in progress, and so does the
+    // answer being closed meanwhile (e.g. a timed challenge running out)
+    useEffect(() => () => session.current?.abort(), []);
+    useEffect(() => {
+        if (disabled) session.current?.abort();
+    }, [disabled]);
+
+    const handleStart = async () => {
+        setErrorKey('');
+        setListening(true);
+        let current = null;
+        try {
+            // Starting can throw right away (e.g. the browser is already listening)
+            current = recognizer.start({ lang, onPartial });
+            session.current = current;
+            const transcript = await current.result;
+            if (transcript) onFinal(transcript);
+            else setErrorKey('speech.errors.noSpeech');
+        } catch (error) {
+            if (!current) setListening(false);
+            if (isAbortError(error)) return;
+            console.error("Speech recognition error:", error);
+            setErrorKey(errorMessageKeys[error.code] || 'speech.errors.failed');
+        } finally {
+            if (session.current === current) {
+                session.current = null;
+                setListening(false);
+            }
+        }
+    };
+
+    return (
+        <div className="mt-3">
+            <button
+                type="button"
+                onClick={listening ? () => session.current?.stop() : handleStart}
+                disabled={disabled && !listening}
+                className={`w-full py-2 px-6 rounded-lg font-semibold border transition duration-300 ease-in-out
+                            ${listening ? 'text-white bg-red-600 border-red-600 hover:bg-red-700 animate-pulse' : 'text-indigo-700 border-indigo-300 hover:bg-indigo-50'}
+                            ${disabled && !listening ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+                {t(listening ? 'speech.stop' : 'speech.speak')}
+            </button>
+            {errorKey && <p className="text-red-600 text-sm mt-2">{t(errorKey)}</p>}
+        </div>
+    );
+};
+
+export default SpeechInputButton;
@@ -0,0 +1,295 @@
+import React, { useEffect, useState } from 'react';
+import { availableTenses } from '../tenses';
+import { directionModes } from '../directions';
+import { exerciseKinds } from '../exercises/exerciseKinds';
+import { listDueItems } from '../storage/reviewQueue';
+import { challengeModes, defaultTimeLimits } from '../game/challenge';
+import PresetPanel from './PresetPanel';
+import ShareLink from './ShareLink';
+import SentenceImport from './SentenceImport';
+import { sessionLinkParams } from '../practice/sessionLink';
+import { useTranslation } from '../i18n/I18nContext';
+
+const checkboxClassName = 'form-checkbox h-5 w-5 text-indigo-600 rounded focus:ring-indigo-500 transition duration-150 ease-in-out';
+const fieldClassName = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ease-in-out text-lg';
+const secondaryButtonClassName = 'w-full mt-3 py-3 px-6 rounded-lg text-indigo-700 font-bold text-lg border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out';
+
+// Start screen: options of the next session (see practice/sessionFlow.js
+// defaultPracticeOptions) and links to the other screens
+const StartScreen = ({ options, onOptionsChange, store, userId, isAuthReady, isBusy, errorMessage, hasActiveSession, savedSession, onContinueSaved, onDiscardSaved, sharedItemCount, sharedItemsFile, onImportItems, onDropShared, onStart, onCancelGeneration, onResume, onNavigate }) => {
+    const t = useTranslation();
+
+    // Spaced-repetition items due for review, offered at the start of the session
+    const [dueItems, setDueItems] = useState([]);
+
+    useEffect(() => {
+        if (!store) return;
+        let cancelled = false;
+        listDueItems(store)
+            .then(items => {
+                if (!cancelled) setDueItems(items);
+            })
+            .catch(error => console.error("Failed to load review queue:", error));
+        return () => {
+            cancelled = true;
+        };
+    }, [store]);
+
+    const handleTenseChange = (tense) => {
+        onOptionsChange({
+            tenses: options.tenses.includes(tense) ? options.tenses.filter(item => item !== tense) : [...options.tenses, tense]
+        });
+    };
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4 font-inter">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-md">
+                <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">{t('start.title')}</h1>
+
+                {/* userId message */}
+                {isAuthReady && userId && (
+                    <p className="text-sm text-center text-gray-600 mb-4 break-all">
+                        {t('common.userId')} <span className="font-mono bg-gray-200 px-2 py-1 rounded-md">{userId}</span>
+                    </p>
+                )}
+
+                {hasActiveSession && (
+                    <button
+                        onClick={onResume}
+                        className="w-full mb-6 py-3 px-6 rounded-lg text-yellow-800 font-bold text-lg border border-yellow-300 bg-yellow-50 hover:bg-yellow-100 transition duration-300 ease-in-out"
+                    >
+                        {t('start.resume')}
+                    </button>
+                )}
+
+                {savedSession && (
+                    <div className="mb-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200">
+                        <p className="text-gray-800 mb-3">
+                            {t('start.savedSession', { index: savedSession.state.index + 1, total: savedSession.state.items.length })}
+                            {savedSession.savedAt && t('start.savedAt', { date: t.formatDate(savedSession.savedAt) })}.
+                        </p>
+                        <button
+                            onClick={onContinueSaved}
+                            className="w-full py-3 px-6 rounded-lg text-white font-bold text-lg bg-yellow-600 hover:bg-yellow-700 transition duration-300 ease-in-out"
+                        >
+                            {t('start.continueSaved')}
+                        </button>
+                        <button
+                            onClick={onDiscardSaved}
+                            className="w-full mt-2 py-2 px-6 rounded-lg text-yellow-800 font-semibold border border-yellow-300 hover:bg-yellow-100 transition duration-300 ease-in-out"
+                        >
+                            {t('common.delete')}
+                        </button>
+                    </div>
+                )}
+
+                {sharedItemCount > 0 && (
+                    <div className="mb-6 p-4 bg-indigo-50 rounded-lg border border-indigo-200">
+                        <p className="text-gray-800 mb-3">
+                            {sharedItemsFile
+                                ? t('start.importedItems', { file: sharedItemsFile, count: sharedItemCount })
+                                : t('start.linkedItems', { count: sharedItemCount })}
+                        </p>
+                        <button
+                            onClick={onDropShared}
+                            className="w-full py-2 px-6 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-100 transition duration-300 ease-in-out"
+                        >
+                            {t('start.generateNew')}
+                        </button>
+                    </div>
+                )}
+
+                <PresetPanel store={store} options={options} onApply={onOptionsChange} />
+
+                <SentenceImport onImport={onImportItems} />
+
+                <div className="mb-6">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('start.tenses')}</label>
+                    {/* Iterate over tense groups */}
+                    {availableTenses.map(tenseGroup => (
+                        <div key={tenseGroup.group} className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+                            <h3 className="text-xl font-bold text-gray-800 mb-3">{tenseGroup.group}</h3>
+                            <div className="grid grid-cols-2 gap-3">
+                                {/* Iterate over tenses within each group */}
+                                {tenseGroup.tenses.map(tense => (
+                                    <label key={tense} className="flex items-center space-x-2 text-gray-800 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={options.tenses.includes(tense)}
+                                            onChange={() => handleTenseChange(tense)}
+                                            className={checkboxClassName}
+                                        />
+                                        <span className="text-base">{tense}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="mb-6">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('start.themes')}</label>
+                    <input
+                        type="text"
+                        value={options.themes}
+                        onChange={(e) => onOptionsChange({ themes: e.target.value })}
+                        placeholder={t('start.themesPlaceholder')}
+                        className={fieldClassName}
+                    />
+                </div>
+
+                {dueItems.length > 0 && (
+                    <div className="mb-6 p-3 bg-yellow-50 rounded-lg border border-yellow-200">
+                        <label className="flex items-center space-x-2 text-gray-800 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={options.includeDueItems}
+                                onChange={(e) => onOptionsChange({ includeDueItems: e.target.checked })}
+                                className={checkboxClassName}
+                            />
+                            <span className="text-lg font-semibold">{t('start.dueItems', { count: dueItems.length })}</span>
+                        </label>
+                    </div>
+                )}
+
+                <div className="mb-6">
+                    <label className="flex items-center space-x-2 text-gray-800 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={options.adaptiveMode}
+                            onChange={(e) => onOptionsChange({ adaptiveMode: e.target.checked })}
+                            className={checkboxClassName}
+                        />
+                        <span className="text-lg font-semibold">{t('start.adaptiveMode')}</span>
+                    </label>
+                </div>
+
+                <div className="mb-6">
+                    <label className="flex items-center space-x-2 text-gray-800 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={options.showTenseInPractice}
+                            onChange={(e) => onOptionsChange({ showTenseInPractice: e.target.checked })}
+                            className={checkboxClassName}
+                        />
+                        <span className="text-lg font-semibold">{t('start.showTense')}</span>
+                    </label>
+                </div>
+
+                <div className="mb-6">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('start.exerciseKind')}</label>
+                    <select
+                        value={options.exerciseKind}
+                        onChange={(e) => onOptionsChange({ exerciseKind: e.target.value })}
+                        className={fieldClassName}
+                    >
+                        {exerciseKinds.map(kind => (
+                            <option key={kind} value={kind}>{t(`exerciseKinds.${kind}.label`)}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {options.exerciseKind === 'translation' && (
+                    <div className="mb-6">
+                        <label className="block text-lg font-semibold text-gray-700 mb-3">{t('start.direction')}</label>
+                        <select
+                            value={options.directionMode}
+                            onChange={(e) => onOptionsChange({ directionMode: e.target.value })}
+                            className={fieldClassName}
+                        >
+                            {directionModes.map(mode => (
+                                <option key={mode} value={mode}>{t(`directions.${mode}.mode`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                <div className="mb-6">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('start.numSentences')}</label>
+                    <input
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={options.numSentences}
+                        onChange={(e) => onOptionsChange({ numSentences: parseInt(e.target.value) })}
+                        className={`${fieldClassName} text-center`}
+                    />
+                </div>
+
+                <div className="mb-8">
+                    <label className="block text-lg font-semibold text-gray-700 mb-3">{t('start.challengeMode')}</label>
+                    <select
+                        value={options.challengeMode}
+                        onChange={(e) => onOptionsChange({
+                            challengeMode: e.target.value,
+                            ...(defaultTimeLimits[e.target.value] ? { timeLimitSeconds: defaultTimeLimits[e.target.value] } : {})
+                        })}
+                        className={fieldClassName}
+                    >
+                        {challengeModes.map(mode => (
+                            <option key={mode} value={mode}>{t(`challenge.modes.${mode}`)}</option>
+                        ))}
+                    </select>
+                    {options.challengeMode !== 'off' && (
+                        <>
+                            <label className="block text-lg font-semibold text-gray-700 mt-3 mb-3">{t('start.timeLimit')}</label>
+                            <input
+                                type="number"
+                                min="5"
+                                max="3600"
+                                value={options.timeLimitSeconds}
+                                onChange={(e) => onOptionsChange({ timeLimitSeconds: parseInt(e.target.value) })}
+                                className={`${fieldClassName} text-center`}
+                            />
+                        </>
+                    )}
+                </div>
+
+                <div className="mb-6">
+                    <ShareLink params={sessionLinkParams(options)} label={t('start.shareLink')} />
+                </div>
+
+                {errorMessage && (
+                    <p className="text-red-600 text-center mb-4">{errorMessage}</p>
+                )}
+
+                <button
+                    onClick={() => onStart(dueItems)}
+                    disabled={isBusy || !isAuthReady}
+                    className={`w-full py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out
+                                ${isBusy || !isAuthReady ? 'bg-indigo-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 hover:scale-105'}`}
+                >
+                    {isBusy ? t('common.loading') : t('start.start')}
+                </button>
+
+                {isBusy && (
+                    <button onClick={onCancelGeneration} className={secondaryButtonClassName}>
+                        {t('common.cancel')}
+                    </button>
+                )}
+
+                <button onClick={() => onNavigate('history')} disabled={!store} className={secondaryButtonClassName}>
+                    {t('start.history')}
+                </button>
+
+                <button onClick={() => onNavigate('stats')} disabled={!store} className={secondaryButtonClassName}>
+                    {t('start.stats')}
+                </button>
+
+                <button onClick={() => onNavigate('progress')} disabled={!store} className={secondaryButtonClassName}>
+                    {t('start.progress')}
+                </button>
+
+                <button onClick={() => onNavigate('classroom')} disabled={!store} className={secondaryButtonClassName}>
+                    {t('start.classroom')}
+                </button>
+
+                <button onClick={() => onNavigate('settings')} className={secondaryButtonClassName}>
+                    {t('start.settings')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default StartScreen;
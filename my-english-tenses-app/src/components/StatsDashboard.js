@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import { availableTenses } from '../tenses';
+import { listSessions } from '../storage/sessions';
+import { accuracy, errorCategoryCounts, groupTrends, streaks, tenseAccuracy } from '../stats/statistics';
+import TenseAccuracyTable from './TenseAccuracyTable';
+import ErrorCategoryList from './ErrorCategoryList';
+import { useTranslation } from '../i18n/I18nContext';
+
+const TREND_DAYS = 10;
+
+const formatPercent = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
+// Cumulative progress across all stored sessions
+const StatsDashboard = ({ store, onBack }) => {
+    const t = useTranslation();
+    const [sessions, setSessions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(''); // Message of the failed request
+
+    useEffect(() => {
+        if (!store) return;
+        let cancelled = false;
+        listSessions(store)
+            .then(result => {
+                if (!cancelled) setSessions(result);
+            })
+            .catch(error => {
+                console.error("Failed to load statistics:", error);
+                if (!cancelled) setLoadError(error.message);
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [store]);
+
+    const streak = streaks(sessions);
+    const trends = groupTrends(sessions).slice(-TREND_DAYS);
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4 font-inter">
+            <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-3xl">
+                <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">{t('stats.title')}</h1>
+
+                {loadError && (
+                    <p className="text-red-600 text-center mb-4">{t('stats.errors.load', { message: loadError })}</p>
+                )}
+
+                {isLoading ? (
+                    <div className="text-center text-indigo-600 text-xl font-semibold my-10">{t('common.loading')}</div>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-3 gap-3 mb-8 text-center">
+                            <div className="p-3 bg-indigo-50 rounded-lg border border-indigo-200">
+                                <p className="text-2xl font-bold text-indigo-700">{streak.currentDays}</p>
+                                <p className="text-sm text-gray-600">{t('stats.currentStreak', { count: streak.currentDays })}</p>
+                            </div>
+                            <div className="p-3 bg-indigo-50 rounded-lg border border-indigo-200">
+                                <p className="text-2xl font-bold text-indigo-700">{streak.longestDays}</p>
+                                <p className="text-sm text-gray-600">{t('stats.longestStreak', { count: streak.longestDays })}</p>
+                            </div>
+                            <div className="p-3 bg-indigo-50 rounded-lg border border-indigo-200">
+                                <p className="text-2xl font-bold text-indigo-700">{streak.longestCorrect}</p>
+                                <p className="text-sm text-gray-600">{t('stats.longestCorrect', { count: streak.longestCorrect })}</p>
+                            </div>
+                        </div>
+
+                        <div className="mb-8">
+                            <h2 className="text-xl font-bold text-gray-800 mb-3">{t('stats.tenseAccuracy')}</h2>
+                            <TenseAccuracyTable stats={tenseAccuracy(sessions)} />
+                        </div>
+
+                        <div className="mb-8">
+                            <h2 className="text-xl font-bold text-gray-800 mb-3">{t('stats.trends')}</h2>
+                            {trends.length === 0 ? (
+                                <p className="text-gray-600">{t('stats.noData')}</p>
+                            ) : (
+                                <table className="w-full text-sm text-left">
+                                    <thead>
+                                        <tr className="text-gray-600">
+                                            <th className="py-1">{t('stats.date')}</th>
+                                            {availableTenses.map(group => <th key={group.group} className="py-1">{group.group}</th>)}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {trends.map(entry => (
+                                            <tr key={entry.day} className="border-t border-gray-100 text-gray-800">
+                                                <td className="py-1">{entry.day}</td>
+                                                {availableTenses.map(group => (
+                                                    <td key={group.group} className="py-1">{formatPercent(accuracy(entry.groups[group.group]))}</td>
+                                                ))}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+
+                        <div className="mb-8">
+                            <h2 className="text-xl font-bold text-gray-800 mb-3">{t('stats.topErrors')}</h2>
+                            <ErrorCategoryList counts={errorCategoryCounts(sessions)} />
+                        </div>
+                    </>
+                )}
+
+                <button
+                    onClick={onBack}
+                    className="w-full py-3 px-6 rounded-lg text-white font-bold text-lg shadow-lg transform transition duration-300 ease-in-out bg-indigo-600 hover:bg-indigo-700 hover:scale-105"
+                >
+                    {t('common.home')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from 'react';
+import ClassLeaderboard from './ClassLeaderboard';
+import { joinClass, listMemberships, listStudentAssignments } from '../classroom/classroom';
+import { isChallenge } from '../game/challenge';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Student's side of the classroom: join a class by code, see its assignments and start them
+const StudentClassroom = ({ sharedStore, store, userId, onStartAssignment }) => {
+    const t = useTranslation();
+    const [memberships, setMemberships] = useState([]);
+    const [assignmentsByClass, setAssignmentsByClass] = useState({}); // { [classId]: [{ assignment, submission }] }
+    const [code, setCode] = useState('');
+    const [studentName, setStudentName] = useState('');
+    const [errorMessage, setErrorMessage] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        listMemberships(store)
+            .then(result => {
+                if (!cancelled) setMemberships(result);
+            })
+            .catch(error => console.error("Failed to load classes:", error));
+        return () => {
+            cancelled = true;
+        };
+    }, [store]);
+
+    // Assignments of every joined class with this student's submission, if any
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all(memberships.map(async membership => [
+            membership.classId,
+            await listStudentAssignments(sharedStore, membership.classId, userId)
+        ]))
+            .then(entries => {
+                if (!cancelled) setAssignmentsByClass(Object.fromEntries(entries));
+            })
+            .catch(error => console.error("Failed to load assignments:", error));
+        return () => {
+            cancelled = true;
+        };
+    }, [sharedStore, memberships, userId]);
+
+    const handleJoin = async () => {
+        try {
+            const membership = await joinClass(sharedStore, store, { code, userId, studentName }, t);
+            setMemberships(prev => [...prev.filter(item => item.classId !== membership.classId), membership]);
+            setCode('');
+            setErrorMessage('');
+        } catch (error) {
+            console.error("Failed to join class:", error);
+            setErrorMessage(error.message);
+        }
+    };
+
+    return (
+        <div>
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <h3 className="text-lg font-bold text-gray-800 mb-3">{t('student.join')}</h3>
+                <input
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder={t('student.codePlaceholder')}
+                    className="w-full mb-2 p-2 border border-gray-300 rounded-lg font-mono uppercase focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <input
+                    type="text"
+                    value={studentName}
+                    onChange={(e) => setStudentName(e.target.value)}
+                    placeholder={t('student.namePlaceholder')}
+                    className="w-full mb-2 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <button
+                    onClick={handleJoin}
+                    disabled={!code.trim() || !studentName.trim()}
+                    className="w-full py-2 px-4 rounded-lg text-white font-semibold bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300"
+                >
+                    {t('student.joinButton')}
+                </button>
+                {errorMessage && <p className="text-red-600 text-sm mt-2">{errorMessage}</p>}
+            </div>
+
+            {memberships.length === 0 && <p className="text-center text-gray-600 mb-6">{t('student.noClasses')}</p>}
+            {memberships.map(membership => (
+                <div key={membership.classId} className="mb-6">
+                    <h3 className="text-lg font-bold text-gray-800 mb-2">{membership.className}</h3>
+                    {(assignmentsByClass[membership.classId] || []).length === 0 && (
+                        <p className="text-gray-600">{t('student.noAssignments')}</p>
+                    )}
+                    <ul className="space-y-2">
+                        {(assignmentsByClass[membership.classId] || []).map(({ assignment, submission }) => (
+                            <li key={assignment.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg border border-gray-200">
+                                <div>
+                                    <p className="font-semibold text-gray-800">{assignment.title}</p>
+                                    <p className="text-sm text-gray-600">
+                                        {t('common.sentences', { count: assignment.items.length })}
+                                        {isChallenge(assignment.settings) && ` · ${t(`challenge.limits.${assignment.settings.challengeMode}`, { seconds: assignment.settings.timeLimitSeconds })}`}
+                                        {submission && t('student.done', { correct: submission.session.correctCount, total: submission.session.sentences.length })}
+                                    </p>
+                                </div>
+                                <button
+                                    onClick={() => onStartAssignment(assignment, membership)}
+                                    className="px-3 py-1 rounded-lg text-white font-semibold bg-indigo-600 hover:bg-indigo-700"
+                                >
+                                    {t(submission ? 'student.retry' : 'student.start')}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <ClassLeaderboard sharedStore={sharedStore} classId={membership.classId} userId={userId} />
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default StudentClassroom;
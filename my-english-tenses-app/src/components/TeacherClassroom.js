@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import AssignmentForm from './AssignmentForm';
+import AssignmentResults from './AssignmentResults';
+import ClassLeaderboard from './ClassLeaderboard';
+import { createAssignment, createClass, deleteAssignment, listAssignments, listTeacherClasses } from '../classroom/classroom';
+import { isChallenge } from '../game/challenge';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Teacher's side of the classroom: classes with join codes, their assignments and results
+const TeacherClassroom = ({ sharedStore, userId, onGenerate }) => {
+    const t = useTranslation();
+    const [classes, setClasses] = useState([]);
+    const [selectedClassId, setSelectedClassId] = useState(null);
+    const [assignments, setAssignments] = useState([]);
+    const [resultsAssignment, setResultsAssignment] = useState(null);
+    const [newClassName, setNewClassName] = useState('');
+    const [errorMessage, setErrorMessage] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        listTeacherClasses(sharedStore, userId)
+            .then(result => {
+                if (!cancelled) setClasses(result);
+            })
+            .catch(error => {
+                console.error("Failed to load classes:", error);
+                if (!cancelled) setErrorMessage(t('teacher.errors.loadClasses', { message: error.message }));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [sharedStore, userId, t]);
+
+    useEffect(() => {
+        if (!selectedClassId) return;
+        let cancelled = false;
+        listAssignments(sharedStore, selectedClassId)
+            .then(result => {
+                if (!cancelled) setAssignments(result);
+            })
+            .catch(error => console.error("Failed to load assignments:", error));
+        return () => {
+            cancelled = true;
+        };
+    }, [sharedStore, selectedClassId]);
+
+    const selectedClass = classes.find(classInfo => classInfo.id === selectedClassId);
+
+    const handleCreateClass = async () => {
+        try {
+            const classInfo = await createClass(sharedStore, { name: newClassName, teacherId: userId });
+            setClasses(prev => [classInfo, ...prev]);
+            setSelectedClassId(classInfo.id);
+            setNewClassName('');
+            setErrorMessage('');
+        } catch (error) {
+            console.error("Failed to create class:", error);
+            setErrorMessage(t('teacher.errors.createClass', { message: error.message }));
+        }
+    };
+
+    // Resolves to whether the assignment was saved, so the form keeps its
+    // contents when it wasn't
+    const handleCreateAssignment = async ({ title, items, settings }) => {
+        try {
+            const assignment = await createAssignment(sharedStore, { classId: selectedClassId, title, items, settings });
+            setAssignments(prev => [assignment, ...prev]);
+            setErrorMessage('');
+            return true;
+        } catch (error) {
+            console.error("Failed to create assignment:", error);
+            setErrorMessage(t('teacher.errors.createAssignment', { message: error.message }));
+            return false;
+        }
+    };
+
+    const handleDeleteAssignment = async (assignmentId) => {
+        try {
+            await deleteAssignment(sharedStore, assignmentId);
+            setAssignments(prev => prev.filter(assignment => assignment.id !== assignmentId));
+        } catch (error) {
+            console.error("Failed to delete assignment:", error);
+            setErrorMessage(t('teacher.errors.deleteAssignment', { message: error.message }));
+        }
+    };
+
+    if (selectedClass && resultsAssignment) {
+        return (
+            <AssignmentResults
+                sharedStore={sharedStore}
+                assignment={resultsAssignment}
+                students={selectedClass.students}
+                onBack={() => setResultsAssignment(null)}
+            />
+        );
+    }
+
+    if (selectedClass) {
+        return (
+            <div>
+                <h3 className="text-xl font-bold text-gray-800 mb-1">{selectedClass.name}</h3>
+                <p className="text-gray-700 mb-1">
+                    {t('teacher.joinCode')} <span className="font-mono text-lg font-bold bg-gray-200 px-2 py-1 rounded-md">{selectedClass.joinCode}</span>
+                </p>
+                <p className="text-sm text-gray-600 mb-4">{t('classroom.students', { count: Object.keys(selectedClass.students).length })}</p>
+
+                {errorMessage && <p className="text-red-600 text-center mb-4">{errorMessage}</p>}
+
+                <AssignmentForm onGenerate={onGenerate} onCreate={handleCreateAssignment} />
+
+                <h3 className="text-lg font-bold text-gray-800 mb-2">{t('teacher.assignments')}</h3>
+                {assignments.length === 0 && <p className="text-gray-600 mb-4">{t('teacher.noAssignments')}</p>}
+                <ul className="space-y-2 mb-6">
+                    {assignments.map(assignment => (
+                        <li key={assignment.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg border border-gray-200">
+                            <div>
+                                <p className="font-semibold text-gray-800">{assignment.title}</p>
+                                <p className="text-sm text-gray-600">
+                                    {t('common.sentences', { count: assignment.items.length })} · {t.formatDate(assignment.createdAt)}
+                                    {isChallenge(assignment.settings) && ` · ${t(`challenge.limits.${assignment.settings.challengeMode}`, { seconds: assignment.settings.timeLimitSeconds })}`}
+                                </p>
+                            </div>
+                            <div className="flex gap-2">
+                                <button onClick={() => setResultsAssignment(assignment)} className="px-3 py-1 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-50">
+                                    {t('teacher.results')}
+                                </button>
+                                <button onClick={() => handleDeleteAssignment(assignment.id)} title={t('teacher.deleteAssignment')} className="px-2 py-1 text-gray-500 hover:text-red-600">
+                                    ×
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="mb-6">
+                    <ClassLeaderboard sharedStore={sharedStore} classId={selectedClass.id} userId={userId} />
+                </div>
+
+                <button
+                    onClick={() => setSelectedClassId(null)}
+                    className="w-full mb-3 py-2 px-6 rounded-lg text-indigo-700 font-semibold border border-indigo-300 hover:bg-indigo-50 transition duration-300 ease-in-out"
+                >
+                    {t('teacher.backToClasses')}
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            {errorMessage && <p className="text-red-600 text-center mb-4">{errorMessage}</p>}
+            <div className="flex gap-2 mb-6">
+                <input
+                    type="text"
+                    value={newClassName}
+                    onChange={(e) => setNewClassName(e.target.value)}
+                    placeholder={t('teacher.classNamePlaceholder')}
+                    className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <button
+                    onClick={handleCreateClass}
+                    disabled={!newClassName.trim()}
+                    className="px-4 py-2 rounded-lg text-white font-semibold bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300"
+                >
+                    {t('teacher.createClass')}
+                </button>
+            </div>
+            {classes.length === 0 && <p className="text-center text-gray-600 mb-6">{t('teacher.noClasses')}</p>}
+            <ul className="space-y-3 mb-6">
+                {classes.map(classInfo => (
+                    <li key={classInfo.id}>
+                        <button
+                            onClick={() => setSelectedClassId(classInfo.id)}
+                            className="w-full text-left p-4 bg-gray-50 rounded-lg border border-gray-200 hover:bg-indigo-50 transition duration-150 ease-in-out"
+                        >
+                            <p className="font-semibold text-gray-800">{classInfo.name}</p>
+                            <p className="text-sm text-gray-600">{t('teacher.classCode', { code: classInfo.joinCode })} · {t('classroom.students', { count: Object.keys(classInfo.students).length })}</p>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default TeacherClassroom;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { availableTenses } from '../tenses';
+import { accuracy } from '../stats/statistics';
+
+// Bar colour by accuracy so weak tenses stand out
+const barColor = (value) => {
+    if (value === null) return 'bg-gray-300';
+    if (value < 0.5) return 'bg-red-500';
+    if (value < 0.8) return 'bg-yellow-400';
+    return 'bg-green-500';
+};
+
+// Accuracy bars for the twelve tenses, grouped like the start screen
+const TenseAccuracyTable = ({ stats, hideEmpty = false }) => (
+    <div className="space-y-4">
+        {availableTenses.map(tenseGroup => {
+            const tenses = tenseGroup.tenses.filter(tense => !hideEmpty || stats[tense].total > 0);
+            if (tenses.length === 0) return null;
+            return (
+                <div key={tenseGroup.group}>
+                    <h3 className="text-lg font-bold text-gray-800 mb-2">{tenseGroup.group}</h3>
+                    {tenses.map(tense => {
+                        const value = accuracy(stats[tense]);
+                        return (
+                            <div key={tense} className="flex items-center mb-1">
+                                <span className="w-56 text-sm text-gray-800">{tense}</span>
+                                <div className="flex-1 h-4 bg-gray-100 rounded">
+                                    <div
+                                        className={`h-4 rounded ${barColor(value)}`}
+                                        style={{ width: `${value === null ? 0 : Math.round(value * 100)}%` }}
+                                    />
+                                </div>
+                                <span className="w-24 text-right text-sm text-gray-600">
+                                    {value === null ? '—' : `${stats[tense].correct}/${stats[tense].total}`}
+                                </span>
+                            </div>
+                        );
+                    })}
+                </div>
+            );
+        })}
+    </div>
+);
+
+export default TenseAccuracyTable;
@@ -0,0 +1,66 @@
+// CSV helpers (RFC 4180: comma-separated, fields with commas, quotes or line
+// breaks are quoted, quotes inside doubled)
+
+// Spreadsheet apps run text starting with these as a formula ("=HYPERLINK(...)"),
+// so exported text that does gets a leading apostrophe and stays plain text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of arrays; the first row is usually the header
+export const toCsv = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n');
+
+// Delimiter of the first line: spreadsheet apps in Ukrainian locales save with ';'
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const count = (char) => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+};
+
+// Parses CSV text into an array of rows (arrays of strings). Quoted fields may
+// contain delimiters, doubled quotes and line breaks; a leading BOM and blank
+// lines are dropped.
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
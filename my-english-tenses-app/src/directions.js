@@ -0,0 +1,31 @@
+// Translation directions. 'uk-en': the learner translates a Ukrainian sentence
+// into English; 'en-uk': an English sentence into Ukrainian. Labels are in the
+// i18n catalogues under `directions.<id>`.
+export const translationDirections = ['uk-en', 'en-uk'];
+
+export const defaultDirection = 'uk-en';
+
+// Modes selectable on the start screen; 'mixed' alternates both directions
+export const directionModes = ['uk-en', 'en-uk', 'mixed'];
+
+// Direction of each of `count` sentences for a mode
+export const directionsForSession = (mode, count) =>
+    Array.from({ length: count }, (_, index) => {
+        if (mode === 'mixed') return index % 2 === 0 ? 'uk-en' : 'en-uk';
+        return mode;
+    });
+
+// Merges sentences generated per direction back into the session order.
+// If a direction came back short, the remaining sentences of the other one follow.
+export const interleaveByDirection = (directions, byDirection) => {
+    const queues = Object.fromEntries(Object.entries(byDirection).map(([direction, items]) => [direction, [...items]]));
+    const result = [];
+    for (const direction of directions) {
+        const item = queues[direction]?.shift();
+        if (item) result.push({ ...item, direction });
+    }
+    for (const [direction, items] of Object.entries(queues)) {
+        result.push(...items.map(item => ({ ...item, direction })));
+    }
+    return result;
+};
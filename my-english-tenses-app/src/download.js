@@ -0,0 +1,27 @@
+// Saves generated content as a file in the browser
+export const downloadFile = (fileName, content, type = 'text/plain') => {
+    // A BOM lets spreadsheet apps detect UTF-8 in Ukrainian CSV files
+    const blob = new Blob([type.startsWith('text/csv') ? '\uFEFF' : '', content], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Opens an HTML document in a new tab and starts printing it, so it can be
+// saved as PDF; falls back to downloading the file when pop-ups are blocked
+export const printHtml = (fileName, html) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        downloadFile(fileName, html, 'text/html');
+        return;
+    }
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+};
@@ -0,0 +1,87 @@
+import { allTenses } from '../tenses';
+import { normaliseSentence } from '../llm/parsing';
+import { defaultDirection } from '../directions';
+import { translate } from '../i18n';
+
+// Exercise kinds selectable on the start screen. 'translation' is the
+// original free translation flow; the others are graded locally where possible.
+// Labels, instructions and answer-field labels are in the i18n catalogues
+// under `exerciseKinds.<id>`.
+export const exerciseKinds = ['translation', 'gap-fill', 'choose-form', 'identify-tense', 'transform'];
+
+export const isExerciseKind = (kind) => exerciseKinds.includes(kind);
+
+// Heading above the sentence of a practice item
+export const sourceLabelFor = (item, t = translate) => {
+    if (!item.exercise) return t(`directions.${item.direction || defaultDirection}.source`);
+    const instruction = t(`exerciseKinds.${item.exercise.kind}.instruction`);
+    return item.exercise.kind === 'transform' ? `${instruction}: ${item.exercise.targetTense}` : instruction;
+};
+
+// Label of the answer field of a practice item
+export const answerLabelFor = (item, t = translate) => (
+    item.exercise ? t(`exerciseKinds.${item.exercise.kind}.answer`) : t(`directions.${item.direction || defaultDirection}.answer`)
+);
+
+// Whether showing the tense would give the answer away (or repeat the instruction)
+export const hidesTense = (item) => Boolean(item.exercise) && item.exercise.kind !== 'gap-fill';
+
+// Kinds answered by picking one of `options` instead of typing
+export const isChoiceKind = (kind) => kind === 'choose-form' || kind === 'identify-tense';
+
+// Gap marker with the base verb in brackets: "She ___ (work) here."
+const GAP_PATTERN = /_{2,}\s*(\([^)]*\))?/;
+
+// Sentence with the gap filled in
+export const fillGap = (sentence, answer) => sentence.replace(GAP_PATTERN, answer);
+
+// Four tense options for identify-tense: the right one plus its neighbours
+// in the tense list, so distractors are plausible (same group or aspect).
+// Tenses at the end of the list have fewer neighbours; the nearest other
+// tenses make up the four.
+export const tenseOptions = (tense) => {
+    const index = allTenses.indexOf(tense);
+    const nearest = allTenses.map((_, i) => i).sort((a, b) => Math.abs(a - index) - Math.abs(b - index));
+    const distractors = [index - 1, index + 1, index + 4, index - 4, index + 2, ...nearest]
+        .filter(i => i >= 0 && i < allTenses.length && i !== index)
+        .map(i => allTenses[i]);
+    const options = [tense, ...new Set(distractors)].slice(0, 4);
+    // Deterministic shuffle so the answer isn't always first
+    return options.map((option, i) => options[(i + index) % options.length]);
+};
+
+const sameAnswer = (a, b) => normaliseSentence(a) === normaliseSentence(b);
+
+const localReview = (isCorrect, correctedSentence, exercise, t) => ({
+    isCorrect,
+    correctedSentence,
+    errors: [],
+    explanation: isCorrect
+        ? t('localReview.correct', { tense: exercise.tense })
+        : t('localReview.wrong', { answer: correctedSentence, tense: exercise.tense })
+});
+
+// Grades an exercise answer without a model call. Returns a review in the
+// shape of review/reviewSchema.js, or null when a model has to judge it
+// (translations, and transformations that differ from the reference answer).
+// `t` is the translator of the explanation language.
+export const gradeExerciseLocally = (exercise, userAnswer, t = translate) => {
+    switch (exercise.kind) {
+        case 'gap-fill': {
+            const accepted = [exercise.answer, ...(exercise.acceptedAnswers || [])];
+            const isCorrect = accepted.some(answer => sameAnswer(answer, userAnswer));
+            const params = { answer: exercise.answer, sentence: fillGap(exercise.sentence, exercise.answer), tense: exercise.tense };
+            return {
+                ...localReview(isCorrect, exercise.answer, exercise, t),
+                explanation: isCorrect ? t('localReview.gapCorrect', params) : t('localReview.gapWrong', params)
+            };
+        }
+        case 'choose-form':
+        case 'identify-tense':
+            return localReview(userAnswer === exercise.answer, exercise.answer, exercise, t);
+        case 'transform':
+            return sameAnswer(exercise.answer, userAnswer) ? localReview(true, userAnswer.trim(), exercise, t) : null;
+        default:
+            return null;
+    }
+};
@@ -0,0 +1,82 @@
+import { normaliseTenseName } from '../tenses';
+import { normaliseSentence } from '../llm/parsing';
+import { tenseOptions } from './exerciseKinds';
+
+// Exercise item:
+// { kind, sentence, answer, tense, options?, targetTense?, acceptedAnswers? }
+// `sentence` is what the learner sees; for gap exercises it contains "___ (verb)".
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Non-empty strings of a list; anything else is an empty list
+const texts = (value) => (Array.isArray(value) ? value.map(text).filter(Boolean) : []);
+
+// Finds a JSON array in model output, with or without a markdown fence
+const extractJsonArray = (rawText) => {
+    const fenced = rawText.match(/```(?:json)?\s*([\s\S]*?)```/);
+    for (const candidate of [fenced?.[1], rawText, rawText.match(/\[[\s\S]*\]/)?.[0]]) {
+        if (!candidate) continue;
+        try {
+            const parsed = JSON.parse(candidate.trim());
+            if (Array.isArray(parsed)) return parsed;
+            if (Array.isArray(parsed?.exercises)) return parsed.exercises;
+        } catch (e) {
+            // Try the next candidate
+        }
+    }
+    return [];
+};
+
+// Validates one raw item for the kind; null if it is unusable
+export const normaliseExercise = (kind, raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const sentence = text(raw.sentence);
+    if (!sentence) return null;
+
+    switch (kind) {
+        case 'gap-fill':
+        case 'choose-form': {
+            const tense = normaliseTenseName(raw.tense);
+            const answer = text(raw.answer);
+            if (!tense || !answer || !/_{2,}/.test(sentence)) return null;
+            if (kind === 'gap-fill') {
+                return { kind, sentence, answer, tense, acceptedAnswers: texts(raw.acceptedAnswers) };
+            }
+            const options = [...new Set(texts(raw.options))];
+            if (!options.includes(answer)) options.push(answer);
+            if (options.length < 2) return null;
+            return { kind, sentence, answer, tense, options };
+        }
+        case 'identify-tense': {
+            const tense = normaliseTenseName(raw.tense);
+            if (!tense) return null;
+            return { kind, sentence, answer: tense, tense, options: tenseOptions(tense) };
+        }
+        case 'transform': {
+            const targetTense = normaliseTenseName(raw.targetTense || raw.tense);
+            const answer = text(raw.answer);
+            if (!targetTense || !answer) return null;
+            return { kind, sentence, answer, tense: targetTense, targetTense };
+        }
+        default:
+            return null;
+    }
+};
+
+// Parses a model's JSON array of exercises, dropping invalid items and
+// sentences already in usedSentences (normalised keys, updated in place)
+export const parseExercises = (rawText, kind, usedSentences = new Set()) => {
+    const exercises = [];
+    for (const raw of extractJsonArray(rawText)) {
+        const exercise = normaliseExercise(kind, raw);
+        if (!exercise) {
+            console.warn("Skipping invalid exercise:", raw);
+            continue;
+        }
+        const key = normaliseSentence(exercise.sentence);
+        if (usedSentences.has(key)) continue;
+        usedSentences.add(key);
+        exercises.push(exercise);
+    }
+    return exercises;
+};
@@ -0,0 +1,52 @@
+import { gradeExerciseLocally, tenseOptions } from './exerciseKinds';
+import { parseExercises } from './exerciseSchema';
+import createMockProvider from '../llm/mockProvider';
+import { allTenses } from '../tenses';
+
+test('grades gap, choice and transformation exercises locally', () => {
+    const gap = { kind: 'gap-fill', sentence: 'It ___ (be) sunny tomorrow.', answer: 'will be', acceptedAnswers: ["'ll be"], tense: 'Future Simple' };
+    expect(gradeExerciseLocally(gap, 'Will be')).toMatchObject({ isCorrect: true });
+    expect(gradeExerciseLocally(gap, 'is')).toMatchObject({ isCorrect: false, correctedSentence: 'will be' });
+
+    const choice = { kind: 'identify-tense', sentence: 'I had left.', answer: 'Past Perfect', tense: 'Past Perfect', options: tenseOptions('Past Perfect') };
+    expect(choice.options).toHaveLength(4);
+    expect(choice.options).toContain('Past Perfect');
+    expect(gradeExerciseLocally(choice, 'Past Simple').isCorrect).toBe(false);
+
+    const transform = { kind: 'transform', sentence: 'I call him.', targetTense: 'Past Simple', answer: 'I called him.', tense: 'Past Simple' };
+    expect(gradeExerciseLocally(transform, 'i called him')).toMatchObject({ isCorrect: true });
+    expect(gradeExerciseLocally(transform, 'I have called him.')).toBeNull();
+});
+
+test('offers four different tenses for the first and last tense too', () => {
+    [allTenses[0], allTenses[allTenses.length - 1]].forEach(tense => {
+        const options = tenseOptions(tense);
+        expect(options).toHaveLength(4);
+        expect(new Set(options).size).toBe(4);
+        expect(options).toContain(tense);
+    });
+});
+
+test('parses model exercises and drops invalid items', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const raw = JSON.stringify([
+        { sentence: 'By June I ___ (work) here.', options: ['will work', 'have worked'], answer: 'will have been working', tense: 'future perfect continuous' },
+        { sentence: 'No gap here.', options: ['a', 'b'], answer: 'a', tense: 'Past Simple' }
+    ]);
+    expect(parseExercises(raw, 'choose-form')).toEqual([{
+        kind: 'choose-form',
+        sentence: 'By June I ___ (work) here.',
+        options: ['will work', 'have worked', 'will have been working'],
+        answer: 'will have been working',
+        tense: 'Future Perfect Continuous'
+    }]);
+});
+
+test('mock provider generates every exercise kind for the requested tenses', async () => {
+    const provider = createMockProvider();
+    for (const kind of ['gap-fill', 'choose-form', 'identify-tense', 'transform']) {
+        const exercises = await provider.generateExercises({ kind, tenses: ['Past Perfect'], count: 1, usedSentences: new Set() });
+        expect(exercises).toHaveLength(1);
+        expect(exercises[0]).toMatchObject({ kind, tense: 'Past Perfect' });
+    }
+});
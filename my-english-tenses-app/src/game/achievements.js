@@ -0,0 +1,26 @@
+import { isChallenge } from './challenge';
+import { levelForXp } from './scoring';
+import { streaks } from '../stats/statistics';
+
+// Achievements, checked after every finished session. `check` gets the
+// session (storage/sessions.js), its score (scoring.js scoreSession) and the
+// player's progress with the session already counted (progress.js).
+// Titles and descriptions are in the i18n catalogues under `achievements.<id>`.
+export const achievements = [
+    { id: 'first-session', check: ({ progress }) => progress.sessionCount >= 1 },
+    { id: 'perfect-session', check: ({ score }) => score.total >= 5 && score.correct === score.total },
+    { id: 'first-challenge', check: ({ score }) => score.isChallenge },
+    { id: 'beat-the-clock', check: ({ score }) => score.isChallenge && score.total >= 5 && score.timedOut === 0 },
+    {
+        id: 'quick-answer',
+        check: ({ session }) => isChallenge(session.settings) && session.sentences.some(item => item.isCorrect === true && item.answerSeconds <= 5)
+    },
+    { id: 'ten-in-a-row', check: ({ session }) => streaks([session]).longestCorrect >= 10 },
+    { id: 'level-5', check: ({ progress }) => levelForXp(progress.xp).level >= 5 },
+    { id: 'sessions-25', check: ({ progress }) => progress.sessionCount >= 25 }
+];
+
+// Ids of the achievements the session unlocks that `progress` doesn't have yet
+export const newAchievements = (context) => achievements
+    .filter(achievement => !context.progress.achievements[achievement.id] && achievement.check(context))
+    .map(achievement => achievement.id);
@@ -0,0 +1,30 @@
+import { translate } from '../i18n';
+
+// Timed challenge mode. 'session': one time budget for the whole session,
+// counted from its start; 'sentence': a budget for each sentence, counted from
+// when it is shown. 'off' is untimed practice.
+export const challengeModes = ['off', 'session', 'sentence'];
+
+// Time limits suggested when a mode is picked, in seconds
+export const defaultTimeLimits = { session: 180, sentence: 30 };
+
+export const isChallenge = (settings) =>
+    ['session', 'sentence'].includes(settings?.challengeMode) && settings.timeLimitSeconds > 0;
+
+// Time (ms since epoch) by which the current sentence must be answered, or
+// null without a time limit. `practice` is the state of practice/practiceReducer.js.
+export const challengeDeadline = (practice) => {
+    const settings = practice.session?.settings;
+    if (!isChallenge(settings)) return null;
+    const start = settings.challengeMode === 'session' ? practice.session.startedAt : practice.sentenceStartedAt;
+    return start ? Date.parse(start) + settings.timeLimitSeconds * 1000 : null;
+};
+
+// Review recorded for a sentence that ran out of time
+export const createTimedOutReview = (t = translate) => ({
+    isCorrect: false,
+    correctedSentence: '',
+    errors: [],
+    explanation: t('challenge.timedOutExplanation'),
+    source: 'timer'
+});
@@ -0,0 +1,158 @@
+import { challengeDeadline, createTimedOutReview } from './challenge';
+import { levelForXp, scoreSession, scoreSentences } from './scoring';
+import { loadProgress, recordSessionProgress } from './progress';
+import { listClassLeaderboard, listLeaderboard, recordChallengeResult, recordClassScore } from './leaderboard';
+import { submitAssignment } from '../classroom/classroom';
+import { initialPracticeState, practiceReducer } from '../practice/practiceReducer';
+import { defaultPracticeOptions, validateSessionOptions } from '../practice/sessionFlow';
+import { buildSession } from '../storage/sessions';
+import { loadActiveSession, saveActiveSession } from '../storage/activeSession';
+import createLocalStore from '../storage/localStore';
+
+const items = ['Я спав.', 'Я сплю.', 'Я спатиму.'].map(originalSentence => ({ originalSentence, tenseUsed: 'Past Simple', userAnswer: '', geminiReview: null }));
+const correct = { isCorrect: true, correctedSentence: '', errors: [], explanation: '' };
+
+const run = (actions, state) => actions.reduce(practiceReducer, state);
+
+const startChallenge = (challengeMode, timeLimitSeconds) => run([
+    { type: 'generationStarted', settings: { ...defaultPracticeOptions, challengeMode, timeLimitSeconds } },
+    { type: 'sessionStarted', id: 's1', startedAt: '2025-03-01T10:00:00.000Z', items }
+], initialPracticeState);
+
+// A finished session with the given answers: [isCorrect, answerSeconds]
+const sessionOf = (answers, settings = {}, id = 's1') => ({
+    id,
+    startedAt: '2025-03-01T10:00:00.000Z',
+    finishedAt: '2025-03-01T10:05:00.000Z',
+    settings,
+    sentences: answers.map(([isCorrect, answerSeconds]) => ({ originalSentence: 'Я спав.', tenseUsed: 'Past Simple', isCorrect, answerSeconds })),
+    correctCount: answers.filter(([isCorrect]) => isCorrect).length
+});
+
+test('answer times are recorded and a sentence that runs out of time is reviewed as timed out', () => {
+    let state = startChallenge('sentence', 30);
+    expect(challengeDeadline(state)).toBe(Date.parse('2025-03-01T10:00:30.000Z'));
+
+    state = run([
+        { type: 'answerChanged', answer: 'I slept.' },
+        { type: 'reviewRequested', at: '2025-03-01T10:00:12.000Z' },
+        { type: 'reviewReceived', sessionId: 's1', review: correct, answeredAt: 'now' },
+        { type: 'nextSentence', at: '2025-03-01T10:00:20.000Z' }
+    ], state);
+    expect(state.items[0].answerSeconds).toBe(12);
+    expect(challengeDeadline(state)).toBe(Date.parse('2025-03-01T10:00:50.000Z'));
+
+    state = run([
+        { type: 'answerChanged', answer: 'I sle' },
+        { type: 'timeExpired', review: createTimedOutReview(), at: 'later' }
+    ], state);
+    expect(state).toMatchObject({ status: 'reviewing', index: 1 });
+    expect(state.items[1]).toMatchObject({ userAnswer: 'I sle', timedOut: true, geminiReview: { isCorrect: false, source: 'timer' } });
+    expect(state.items[2].geminiReview).toBeNull();
+});
+
+test('a restored challenge keeps the current sentence\'s clock', async () => {
+    const store = createLocalStore({ appId: 'app', userId: 'restored-challenge', storage: window.localStorage });
+    await saveActiveSession(store, startChallenge('sentence', 30));
+    const { state: saved } = await loadActiveSession(store);
+
+    const restored = practiceReducer(initialPracticeState, { type: 'sessionRestored', state: saved, at: '2025-03-01T10:05:00.000Z' });
+    expect(challengeDeadline(restored)).toBe(Date.parse('2025-03-01T10:00:30.000Z'));
+
+    // Untimed practice starts the sentence's clock again
+    const untimed = { ...saved, session: { ...saved.session, settings: defaultPracticeOptions } };
+    expect(practiceReducer(initialPracticeState, { type: 'sessionRestored', state: untimed, at: '2025-03-01T10:05:00.000Z' }).sentenceStartedAt)
+        .toBe('2025-03-01T10:05:00.000Z');
+});
+
+test('when a session budget runs out the remaining sentences time out and the session can be finished', () => {
+    let state = startChallenge('session', 60);
+    expect(challengeDeadline(state)).toBe(Date.parse('2025-03-01T10:01:00.000Z'));
+
+    state = run([{ type: 'timeExpired', review: createTimedOutReview(), at: 'later' }], state);
+    expect(state).toMatchObject({ status: 'reviewing', index: 2 });
+    expect(state.items.every(item => item.timedOut)).toBe(true);
+
+    const session = buildSession({ ...state.session, sentences: state.items });
+    expect(session.sentences[0]).toMatchObject({ isCorrect: false, timedOut: true });
+    expect(scoreSession(session)).toEqual({ points: 0, correct: 0, total: 3, timedOut: 3, isChallenge: true });
+    expect(validateSessionOptions({ tenses: ['Past Simple'], numSentences: 3, challengeMode: 'session', timeLimitSeconds: 0 })).not.toBe('');
+});
+
+test('correct answers score points with a bonus for speed in a challenge', () => {
+    const answers = [[true, 0], [true, 15], [true, 45], [false, 1]];
+    expect(scoreSentences(sessionOf(answers).sentences).points).toBe(30);
+    expect(scoreSession(sessionOf(answers, { challengeMode: 'sentence', timeLimitSeconds: 30 })).points).toBe(20 + 15 + 10);
+    // A 120 s session budget over 4 sentences gives each one 30 s
+    expect(scoreSession(sessionOf(answers, { challengeMode: 'session', timeLimitSeconds: 120 })).points).toBe(45);
+
+    expect([0, 99, 100, 299, 300, 1000].map(xp => levelForXp(xp).level)).toEqual([1, 1, 2, 2, 3, 5]);
+    expect(levelForXp(150)).toEqual({ level: 2, levelXp: 100, nextLevelXp: 300 });
+});
+
+test('finished sessions add XP and unlock each achievement once', async () => {
+    const store = createLocalStore({ appId: 'app', userId: 'g1', storage: window.localStorage });
+    const challenge = { challengeMode: 'sentence', timeLimitSeconds: 30 };
+    const first = await recordSessionProgress(store, sessionOf([[true, 3], [true, 10], [true, 10], [true, 10], [true, 10]], challenge), new Date('2025-03-01T10:05:00Z'));
+    expect(first.score.points).toBe(50 + 9 + 7 * 4);
+    expect(first.newAchievements).toEqual(['first-session', 'perfect-session', 'first-challenge', 'beat-the-clock', 'quick-answer']);
+    expect(first).toMatchObject({ levelBefore: 1, level: 1 });
+
+    const second = await recordSessionProgress(store, sessionOf([[true, null], [false, null]]));
+    expect(second.newAchievements).toEqual([]);
+    expect(await loadProgress(store)).toMatchObject({
+        xp: 87 + 10,
+        sessionCount: 2,
+        challengeCount: 1,
+        bestChallengePoints: 87,
+        achievements: { 'first-session': '2025-03-01T10:05:00.000Z' }
+    });
+});
+
+test('the device leaderboard ranks challenge results and the class board sums assignment points', async () => {
+    const device = createLocalStore({ appId: 'app', userId: 'device-test', storage: window.localStorage });
+    const challenge = { challengeMode: 'sentence', timeLimitSeconds: 30 };
+    expect(await recordChallengeResult(device, { session: sessionOf([[true, 1]]), userId: 'u1' })).toBeNull();
+
+    await recordChallengeResult(device, { session: sessionOf([[true, 15]], challenge, 'a'), userId: 'u1', playerName: 'Оля ' });
+    const best = await recordChallengeResult(device, { session: sessionOf([[true, 0]], challenge, 'b'), userId: 'u2' });
+    expect(best).toMatchObject({ rank: 1, points: 20, playerName: '' });
+    expect((await listLeaderboard(device)).map(entry => [entry.playerName, entry.points])).toEqual([['', 20], ['Оля', 15]]);
+
+    // The class board is built from each student's total, not from their submissions
+    const shared = createLocalStore({ appId: 'app', userId: 'public-board', storage: window.localStorage });
+    for (const [userId, name] of [['u1', 'Оля'], ['u2', 'Петро'], ['u3', 'Іра']]) {
+        await shared.put('classMembers', `c1_${userId}`, { id: `c1_${userId}`, classId: 'c1', userId, name, joinedAt: '2025-03-01' });
+    }
+    const submit = async (assignmentId, userId, studentName, answers) => {
+        await submitAssignment(shared, { assignment: { id: assignmentId, classId: 'c1' }, userId, studentName, session: sessionOf(answers) });
+        return recordClassScore(shared, { classId: 'c1', userId, studentName });
+    };
+    await submit('a1', 'u1', 'Оля', [[true, null]]);
+    await submit('a1', 'u2', 'Петро', [[true, null], [true, null]]);
+    expect(await submit('a2', 'u1', 'Оля', [[false, null]])).toMatchObject({ points: 10, assignments: 2 });
+    // A resubmission replaces the earlier result
+    await submit('a2', 'u1', 'Оля', [[false, null]]);
+    const rows = await listClassLeaderboard(shared, 'c1');
+    expect(rows.map(row => [row.studentName, row.points, row.assignments])).toEqual([['Петро', 20, 1], ['Оля', 10, 2], ['Іра', 0, 0]]);
+});
+
+test('a weaker resubmission does not lower a student\'s class total', async () => {
+    const local = createLocalStore({ appId: 'app', userId: 'public-growing', storage: window.localStorage });
+    // Like the security rules, the store refuses a total that goes down
+    const shared = {
+        ...local,
+        put: async (collection, id, data) => {
+            const [previous] = collection === 'classScores' ? await local.list(collection, { classId: data.classId, userId: data.userId }) : [];
+            if (previous && data.points < previous.points) throw new Error('Missing or insufficient permissions.');
+            return local.put(collection, id, data);
+        }
+    };
+    const submit = async (answers) => {
+        await submitAssignment(shared, { assignment: { id: 'a1', classId: 'c1' }, userId: 'u1', studentName: 'Оля', session: sessionOf(answers) });
+        return recordClassScore(shared, { classId: 'c1', userId: 'u1', studentName: 'Оля' });
+    };
+    expect(await submit([[true, null], [true, null]])).toMatchObject({ points: 20, correct: 2 });
+    expect(await submit([[true, null], [false, null]])).toMatchObject({ points: 20, correct: 2 });
+    expect((await listClassLeaderboard(shared, 'c1')).map(row => row.points)).toEqual([20]);
+});
@@ -0,0 +1,93 @@
+import { isChallenge } from './challenge';
+import { scoreSession } from './scoring';
+import { listClassStudents, listStudentSubmissions } from '../classroom/classroom';
+
+// Leaderboards.
+// The device board holds the timed challenge results of everyone using this
+// browser, in the device store (storage/index.js createDeviceStore):
+//   leaderboard/{sessionId}: { id, userId, playerName, points, correct, total, challengeMode, timeLimitSeconds, finishedAt }
+// The class board ranks the students of a class by the points of their
+// assignment submissions (classroom/classroom.js). Students can't read each
+// other's submissions, so each one keeps a total in the shared store:
+//   classScores/{classId}_{userId}: { id, classId, userId, studentName, points, correct, total, assignments }
+const LEADERBOARD = 'leaderboard';
+const CLASS_SCORES = 'classScores';
+
+// Results beyond the best ones are dropped to keep the board small
+const MAX_ENTRIES = 50;
+
+// Most points first; on a tie the earlier result stays ahead
+const byRank = (a, b) => b.points - a.points || a.finishedAt.localeCompare(b.finishedAt);
+
+export const listLeaderboard = async (deviceStore, limit = 10) => {
+    const entries = await deviceStore.list(LEADERBOARD);
+    return entries.sort(byRank).slice(0, limit);
+};
+
+// Adds a finished challenge to the device board; returns the entry with its
+// `rank` (1 is the best), or null for untimed sessions
+export const recordChallengeResult = async (deviceStore, { session, userId, playerName = '' }) => {
+    if (!isChallenge(session.settings)) return null;
+    const score = scoreSession(session);
+    const entry = {
+        id: session.id,
+        userId,
+        playerName: playerName.trim(),
+        points: score.points,
+        correct: score.correct,
+        total: score.total,
+        challengeMode: session.settings.challengeMode,
+        timeLimitSeconds: session.settings.timeLimitSeconds,
+        finishedAt: session.finishedAt
+    };
+    await deviceStore.put(LEADERBOARD, entry.id, entry);
+
+    const ranked = (await deviceStore.list(LEADERBOARD)).sort(byRank);
+    await Promise.all(ranked.slice(MAX_ENTRIES).map(dropped => deviceStore.remove(LEADERBOARD, dropped.id)));
+    return { ...entry, rank: ranked.findIndex(item => item.id === entry.id) + 1 };
+};
+
+// Totals of a student's assignment submissions: { points, correct, total, assignments }
+export const sumSubmissionScores = (submissions) => submissions.reduce((sum, submission) => {
+    const score = scoreSession(submission.session);
+    return {
+        points: sum.points + score.points,
+        correct: sum.correct + score.correct,
+        total: sum.total + score.total,
+        assignments: sum.assignments + 1
+    };
+}, { points: 0, correct: 0, total: 0, assignments: 0 });
+
+// Updates the student's total after a submission; a resubmitted assignment
+// replaces its earlier result, so the total is summed again from scratch.
+// The security rules only let a total grow: when a weaker resubmission would
+// lower it, the earlier total stays and is returned.
+export const recordClassScore = async (shared, { classId, userId, studentName }) => {
+    const [submissions, [previous]] = await Promise.all([
+        listStudentSubmissions(shared, classId, userId),
+        shared.list(CLASS_SCORES, { classId, userId })
+    ]);
+    const entry = { id: `${classId}_${userId}`, classId, userId, studentName, ...sumSubmissionScores(submissions) };
+    if (previous && entry.points < previous.points) return previous;
+    await shared.put(CLASS_SCORES, entry.id, entry);
+    return entry;
+};
+
+// One row per student of the class: { userId, studentName, points, correct, total, assignments },
+// best first, from the students' totals (recordClassScore). Students without
+// submissions get a row with no points.
+export const buildClassLeaderboard = (scores, students = {}) => {
+    const rows = {};
+    for (const [userId, student] of Object.entries(students)) {
+        rows[userId] = { userId, studentName: student.name, points: 0, correct: 0, total: 0, assignments: 0 };
+    }
+    for (const { userId, studentName, points, correct, total, assignments } of scores) {
+        rows[userId] = { userId, studentName: rows[userId]?.studentName || studentName, points, correct, total, assignments };
+    }
+    return Object.values(rows).sort((a, b) => b.points - a.points || a.studentName.localeCompare(b.studentName, 'uk'));
+};
+
+export const listClassLeaderboard = async (shared, classId) => {
+    const [scores, students] = await Promise.all([shared.list(CLASS_SCORES, { classId }), listClassStudents(shared, classId)]);
+    return buildClassLeaderboard(scores, students);
+};
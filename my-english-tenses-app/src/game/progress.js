@@ -0,0 +1,39 @@
+import { newAchievements } from './achievements';
+import { levelForXp, scoreSession } from './scoring';
+
+// The player's XP, counters and achievements, one document
+// "gameProgress/current" in the user's store:
+// { xp, sessionCount, challengeCount, bestChallengePoints, achievements: { [id]: unlockedAt } }
+const PROGRESS = 'gameProgress';
+const CURRENT = 'current';
+
+export const emptyProgress = { xp: 0, sessionCount: 0, challengeCount: 0, bestChallengePoints: 0, achievements: {} };
+
+export const loadProgress = async (store) => ({ ...emptyProgress, ...(await store.get(PROGRESS, CURRENT)) });
+
+// Adds a finished session: its points become XP and the achievements it
+// unlocks are recorded. Returns { progress, score, levelBefore, level, newAchievements }.
+export const recordSessionProgress = async (store, session, now = new Date()) => {
+    const before = await loadProgress(store);
+    const score = scoreSession(session);
+    const counted = {
+        ...before,
+        xp: before.xp + score.points,
+        sessionCount: before.sessionCount + 1,
+        challengeCount: before.challengeCount + (score.isChallenge ? 1 : 0),
+        bestChallengePoints: score.isChallenge ? Math.max(before.bestChallengePoints, score.points) : before.bestChallengePoints
+    };
+    const unlocked = newAchievements({ session, score, progress: counted });
+    const progress = {
+        ...counted,
+        achievements: { ...counted.achievements, ...Object.fromEntries(unlocked.map(id => [id, now.toISOString()])) }
+    };
+    await store.put(PROGRESS, CURRENT, progress);
+    return {
+        progress,
+        score,
+        levelBefore: levelForXp(before.xp).level,
+        level: levelForXp(progress.xp).level,
+        newAchievements: unlocked
+    };
+};
@@ -0,0 +1,49 @@
+import { isChallenge } from './challenge';
+
+// Points and levels. A correct answer is worth BASE_POINTS; in a timed
+// challenge a quick one earns up to SPEED_BONUS more. Points become XP.
+
+const BASE_POINTS = 10;
+const SPEED_BONUS = 10;
+
+// Sentences of a stored session (storage/sessions.js) carry `isCorrect`,
+// practice items only their review
+const isCorrectItem = (item) => (item.isCorrect ?? item.geminiReview?.isCorrect) === true;
+
+// Answer time that still earns part of the speed bonus: the sentence's own
+// limit, or its share of the session's
+const speedReferenceSeconds = (settings, count) => (
+    settings.challengeMode === 'sentence' ? settings.timeLimitSeconds : settings.timeLimitSeconds / Math.max(count, 1)
+);
+
+export const pointsForItem = (item, referenceSeconds = null) => {
+    if (!isCorrectItem(item)) return 0;
+    if (!referenceSeconds || typeof item.answerSeconds !== 'number') return BASE_POINTS;
+    return BASE_POINTS + Math.round(SPEED_BONUS * Math.max(0, 1 - item.answerSeconds / referenceSeconds));
+};
+
+// Score of a session's sentences under its settings:
+// { points, correct, total, timedOut, isChallenge }
+export const scoreSentences = (sentences, settings = {}) => {
+    const challenge = isChallenge(settings);
+    const referenceSeconds = challenge ? speedReferenceSeconds(settings, sentences.length) : null;
+    return {
+        points: sentences.reduce((sum, item) => sum + pointsForItem(item, referenceSeconds), 0),
+        correct: sentences.filter(isCorrectItem).length,
+        total: sentences.length,
+        timedOut: sentences.filter(item => item.timedOut).length,
+        isChallenge: challenge
+    };
+};
+
+export const scoreSession = (session) => scoreSentences(session.sentences, session.settings);
+
+// XP needed to reach a level: 0, 100, 300, 600, 1000... (each level takes 100 more than the last)
+export const levelThreshold = (level) => 50 * level * (level - 1);
+
+// { level, levelXp: XP where the level starts, nextLevelXp: XP of the next one }
+export const levelForXp = (xp) => {
+    let level = 1;
+    while (xp >= levelThreshold(level + 1)) level += 1;
+    return { level, levelXp: levelThreshold(level), nextLevelXp: levelThreshold(level + 1) };
+};
@@ -0,0 +1,36 @@
+import { normaliseReview } from '../review/reviewSchema';
+import { normaliseTenseName } from '../tenses';
+import { translate } from '../i18n';
+import { detectTense, detectTenses } from './tenseDetector';
+
+// First-pass grading of a translation without a model call.
+// Returns { matches, detected }: `matches` is null when the expected tense is
+// unknown or no verb phrase was found, false only when no phrase of the
+// answer can be read in the expected tense.
+export const checkAnswerTense = (answer, expectedTense) => {
+    const expected = normaliseTenseName(expectedTense);
+    const phrases = detectTenses(answer);
+    if (!expected || phrases.length === 0) return { matches: null, detected: null };
+    return {
+        matches: phrases.some(phrase => phrase.tenses.includes(expected)),
+        detected: detectTense(answer)
+    };
+};
+
+// Review for an answer whose verb is in the wrong tense, highlighting the verb phrase.
+// `source: 'local'` tells the UI the verdict didn't come from a model.
+// `t` is the translator of the explanation language.
+export const buildTenseMismatchReview = (answer, expectedTense, detected, t = translate) => ({
+    ...normaliseReview({
+        isCorrect: false,
+        errors: [{
+            start: detected.start,
+            end: detected.end,
+            text: detected.text,
+            category: 'tense',
+            explanation: t('localReview.tenseMismatch', { detected: detected.tense, expected: expectedTense })
+        }],
+        explanation: t('localReview.tenseMismatchSummary', { detected: detected.tense, expected: expectedTense })
+    }, answer),
+    source: 'local'
+});
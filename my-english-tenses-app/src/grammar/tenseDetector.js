@@ -0,0 +1,243 @@
+import { isBaseVerb, isIngForm, isIrregularParticiple, isParticiple, isThirdPersonForm, isUnambiguousPast, isUnchangedInPast } from './verbs';
+
+// Offline tense detection for learner answers: finds auxiliary chains
+// ("will have been working", "hasn't finished") and bare verb forms
+// ("went", "works") and maps each to one of the twelve tenses.
+// Phrases: [{ tense, tenses, start, end, text }], where `tenses` lists every
+// reading of an ambiguous phrase ("She's tired" → is / has) and `start`/`end`
+// are character offsets into the answer (end exclusive).
+
+const adverbs = new Set(['not', 'never', 'already', 'just', 'ever', 'still', 'always', 'often', 'usually',
+    'sometimes', 'seldom', 'rarely', 'recently', 'lately', 'yet', 'also', 'really', 'probably', 'soon',
+    'definitely', 'certainly', 'finally', 'only', 'even', 'all', 'both', 'hardly']);
+const subjectPronouns = new Set(['i', 'you', 'we', 'they']);
+const thirdPersonPronouns = new Set(['he', 'she', 'it']);
+const objectPronouns = new Set(['me', 'him', 'her', 'us', 'them']);
+const determiners = new Set(['the', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'your', 'his', 'her',
+    'its', 'our', 'their', 'some', 'any', 'every', 'each', 'no']);
+// Words before a contracted "'s" that make it a verb rather than a possessive
+const pronounsBeforeIs = new Set(['he', 'she', 'it', 'that', 'this', 'there', 'here', 'what', 'who', 'where',
+    'when', 'how', 'why']);
+// Words after a noun's "'s" that mean "is"/"has" rather than a possessive ("Tom's at home")
+const verbCuesAfterIs = new Set(['not', 'a', 'an', 'the', 'very', 'here', 'there', 'at', 'in', 'from', 'on']);
+const modals = new Set(['can', 'could', 'may', 'might', 'must', 'should', 'would', 'ought']);
+const auxiliaries = new Set(['will', 'shall', 'had', 'has', 'have', 'was', 'were', 'am', 'is', 'are',
+    'did', 'do', 'does', 'be', 'been', 'being', ...modals]);
+
+// Splits the answer into lowercase words with their character spans
+const splitWords = (text) => {
+    const words = [];
+    const regex = /[A-Za-z]+(?:['’][A-Za-z]+)?/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        words.push({ word: match[0].toLowerCase().replace('’', "'"), start: match.index, end: match.index + match[0].length });
+    }
+    return words;
+};
+
+const nextWord = (words, index) => {
+    let k = index;
+    while (k < words.length && adverbs.has(words[k].word)) k++;
+    return words[k]?.word || '';
+};
+
+// Reads a contracted "'s" from what follows it: "has" before "been" and
+// irregular participles, "is" otherwise. Regular -ed forms are ambiguous
+// ("She's finished" / "She's tired") and keep both readings.
+const resolveS = (stem, following) => {
+    if (following === 'been' || (isIrregularParticiple(following) && !isIngForm(following))) return { word: 'has' };
+    if (isParticiple(following)) return { word: 'is', alsoHas: true };
+    if (pronounsBeforeIs.has(stem) || isIngForm(following) || verbCuesAfterIs.has(following)) return { word: 'is' };
+    return null; // Possessive
+};
+
+// Expands contractions into separate auxiliary tokens that share the span of
+// the original word, so "won't" becomes "will not"
+const tokenize = (text) => {
+    const words = splitWords(text);
+    const tokens = [];
+    words.forEach((item, index) => {
+        const { word, start, end } = item;
+        const apostrophe = word.indexOf("'");
+        if (apostrophe < 0) {
+            tokens.push(item);
+            return;
+        }
+        const stem = word.slice(0, apostrophe);
+        const suffix = word.slice(apostrophe + 1);
+        const stemSpan = { start, end: start + apostrophe };
+        const suffixSpan = { start: start + apostrophe, end };
+        const following = nextWord(words, index + 1);
+
+        if (suffix === 't' && stem.endsWith('n')) {
+            const auxiliary = { wo: 'will', ca: 'can', sha: 'shall' }[stem.slice(0, -1)] || stem.slice(0, -1);
+            tokens.push({ word: auxiliary, start, end: end - 3 }, { word: 'not', start: end - 3, end });
+        } else if (suffix === 'll') {
+            tokens.push({ word: stem, ...stemSpan }, { word: 'will', ...suffixSpan });
+        } else if (suffix === 've') {
+            tokens.push({ word: stem, ...stemSpan }, { word: 'have', ...suffixSpan });
+        } else if (suffix === 're') {
+            tokens.push({ word: stem, ...stemSpan }, { word: 'are', ...suffixSpan });
+        } else if (suffix === 'm') {
+            tokens.push({ word: stem, ...stemSpan }, { word: 'am', ...suffixSpan });
+        } else if (suffix === 'd') {
+            const isHad = following === 'been' || (isParticiple(following) && !isBaseVerb(following));
+            tokens.push({ word: stem, ...stemSpan }, { word: isHad ? 'had' : 'would', ...suffixSpan });
+        } else if (suffix === 's' && stem === 'let') {
+            tokens.push({ word: 'let', ...stemSpan }, { word: 'us', ...suffixSpan });
+        } else if (suffix === 's') {
+            const verb = resolveS(stem, following);
+            tokens.push(verb ? { word: stem, ...stemSpan } : item);
+            if (verb) tokens.push({ ...verb, ...suffixSpan });
+        } else {
+            tokens.push(item);
+        }
+    });
+    return tokens;
+};
+
+// Ranks tenses so the most marked phrase of a sentence wins:
+// aspect first (perfect continuous > perfect > continuous > simple), then time
+const tenseRank = (tense) => {
+    const aspect = tense.includes('Perfect Continuous') ? 3
+        : tense.includes('Perfect') ? 2
+            : tense.includes('Continuous') ? 1 : 0;
+    const time = tense.startsWith('Future') ? 2 : tense.startsWith('Past') ? 1 : 0;
+    return aspect * 3 + time;
+};
+
+// Tense names per auxiliary time
+const tenseNames = {
+    Present: { simple: 'Present Simple', continuous: 'Present Continuous', perfect: 'Present Perfect', perfectContinuous: 'Present Perfect Continuous' },
+    Past: { simple: 'Past Simple', continuous: 'Past Continuous', perfect: 'Past Perfect', perfectContinuous: 'Past Perfect Continuous' },
+    Future: { simple: 'Future Simple', continuous: 'Future Continuous', perfect: 'Future Perfect', perfectContinuous: 'Future Perfect Continuous' }
+};
+
+const isVerbLike = (word) => auxiliaries.has(word) || isIngForm(word) || isParticiple(word) || isBaseVerb(word);
+
+// Matches every verb phrase of the answer
+export const detectTenses = (answer) => {
+    const text = typeof answer === 'string' ? answer : '';
+    const tokens = tokenize(text);
+    const isQuestion = text.trim().endsWith('?');
+    const word = (k) => tokens[k]?.word || '';
+    const phrases = [];
+
+    const skipAdverbs = (k) => {
+        while (k < tokens.length && adverbs.has(word(k))) k++;
+        return k;
+    };
+    // In questions the subject sits between the auxiliary and the verb ("Have you finished?")
+    const afterAuxiliary = (k) => {
+        if (!isQuestion) return skipAdverbs(k);
+        let skipped = 0;
+        while (k < tokens.length && skipped < 4 && !isVerbLike(word(k))) {
+            k++;
+            skipped++;
+        }
+        return skipAdverbs(k);
+    };
+    // Records a phrase spanning tokens first..last and returns `last`
+    const addPhrase = (tenses, first, last) => {
+        const start = tokens[first].start;
+        const end = tokens[last].end;
+        phrases.push({ tense: tenses[0], tenses, start, end, text: text.slice(start, end) });
+        return last;
+    };
+
+    // Perfect chains after has/have/had and will have: "been working", "been",
+    // "finished". Returns the last token of the phrase, or -1 if there is none.
+    const matchPerfect = (names, i, k) => {
+        if (word(k) === 'been') {
+            const verb = skipAdverbs(k + 1);
+            if (isIngForm(word(verb)) && word(verb) !== 'being') return addPhrase([names.perfectContinuous], i, verb);
+            return addPhrase([names.perfect], i, isParticiple(word(verb)) ? verb : k);
+        }
+        if (isParticiple(word(k))) return addPhrase([names.perfect], i, k);
+        return -1;
+    };
+
+    // Continuous or passive chains after a form of "be": "reading", "being built", "built"
+    const matchBe = (names, i, k, alternatives = []) => {
+        if (isIngForm(word(k))) {
+            return addPhrase([names.continuous], i, word(k) === 'being' && isParticiple(word(k + 1)) ? k + 1 : k);
+        }
+        return addPhrase([names.simple, ...alternatives], i, isParticiple(word(k)) ? k : i);
+    };
+
+    let i = 0;
+    while (i < tokens.length) {
+        const current = word(i);
+        const previous = word(i - 1);
+        const afterInfinitive = previous === 'to' || objectPronouns.has(previous);
+        const k = afterAuxiliary(i + 1);
+        let last = i;
+
+        if (current === 'will' || current === 'shall') {
+            const names = tenseNames.Future;
+            const afterBe = skipAdverbs(k + 1);
+            const perfect = word(k) === 'have' ? matchPerfect(names, i, afterBe) : -1;
+            if (perfect >= 0) {
+                last = perfect;
+            } else if (word(k) === 'be' && isIngForm(word(afterBe))) {
+                last = addPhrase([names.continuous], i, afterBe);
+            } else if (word(k) === 'be' && isParticiple(word(afterBe))) {
+                last = addPhrase([names.simple], i, afterBe);
+            } else {
+                last = addPhrase([names.simple], i, isVerbLike(word(k)) ? k : i);
+            }
+        } else if (current === 'had' || ((current === 'has' || current === 'have') && !afterInfinitive)) {
+            const names = current === 'had' ? tenseNames.Past : tenseNames.Present;
+            // "have got" is as often the possessive "have" as a perfect
+            const perfect = current !== 'had' && word(k) === 'got'
+                ? addPhrase([names.simple, names.perfect], i, k)
+                : matchPerfect(names, i, k);
+            last = perfect >= 0 ? perfect : addPhrase([names.simple], i, i);
+        } else if (current === 'was' || current === 'were') {
+            last = matchBe(tenseNames.Past, i, k);
+        } else if (current === 'am' || current === 'is' || current === 'are') {
+            if (word(k) === 'going' && word(k + 1) === 'to' && word(k + 2) && !determiners.has(word(k + 2))) {
+                last = addPhrase([tenseNames.Future.simple], i, k + 2);
+            } else {
+                last = matchBe(tenseNames.Present, i, k, tokens[i].alsoHas ? [tenseNames.Present.perfect] : []);
+            }
+        } else if ((current === 'did' || current === 'do' || current === 'does') && !afterInfinitive) {
+            const names = current === 'did' ? tenseNames.Past : tenseNames.Present;
+            last = addPhrase([names.simple], i, isBaseVerb(word(k)) ? k : i);
+        } else if (modals.has(current)) {
+            // Modal chains ("could have gone", "should be working") carry no tense of their own
+            last = k;
+            while (last < tokens.length && (auxiliaries.has(word(last)) || isIngForm(word(last)) || isParticiple(word(last)))) {
+                last = skipAdverbs(last + 1);
+            }
+            if (!isBaseVerb(word(last))) last = Math.max(i, last - 1);
+        } else if (!afterInfinitive && !determiners.has(previous)) {
+            const subject = tokens.slice(0, i).reverse().find(token => !adverbs.has(token.word))?.word;
+            if (isUnambiguousPast(current)) {
+                addPhrase([tenseNames.Past.simple], i, i);
+            } else if (isThirdPersonForm(current)) {
+                addPhrase([tenseNames.Present.simple], i, i);
+            } else if (isBaseVerb(current) && subjectPronouns.has(subject)) {
+                // "I put" reads as either tense; the context decides
+                addPhrase(isUnchangedInPast(current) ? [tenseNames.Present.simple, tenseNames.Past.simple] : [tenseNames.Present.simple], i, i);
+            } else if (isUnchangedInPast(current) && thirdPersonPronouns.has(subject)) {
+                // Without the -s ending "she put" can only be past
+                addPhrase([tenseNames.Past.simple], i, i);
+            }
+        }
+
+        // Continue after the words the phrase consumed
+        i = Math.max(i, last) + 1;
+    }
+    return phrases;
+};
+
+// The sentence's main tense: { tense, start, end, text, certain } or null.
+// `certain` is false when the answer mixes tenses or a phrase is ambiguous.
+export const detectTense = (answer) => {
+    const phrases = detectTenses(answer);
+    if (phrases.length === 0) return null;
+    const main = phrases.reduce((best, phrase) => (tenseRank(phrase.tense) > tenseRank(best.tense) ? phrase : best));
+    const certain = phrases.every(phrase => phrase.tenses.length === 1 && phrase.tense === main.tense);
+    return { tense: main.tense, start: main.start, end: main.end, text: main.text, certain };
+};
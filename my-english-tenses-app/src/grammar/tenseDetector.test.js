@@ -0,0 +1,86 @@
+import { detectTense, detectTenses } from './tenseDetector';
+import { buildTenseMismatchReview, checkAnswerTense } from './tenseCheck';
+
+const tenseOf = (answer) => detectTense(answer)?.tense;
+
+test('detects each of the twelve tenses', () => {
+    expect(tenseOf('She works in a hospital.')).toBe('Present Simple');
+    expect(tenseOf('They are playing football now.')).toBe('Present Continuous');
+    expect(tenseOf('I have already written the letter.')).toBe('Present Perfect');
+    expect(tenseOf('He has been studying English for two years.')).toBe('Present Perfect Continuous');
+    expect(tenseOf('We went to the cinema yesterday.')).toBe('Past Simple');
+    expect(tenseOf('I was reading a book when you called.')).toBe('Past Continuous');
+    expect(tenseOf('The train had left before we arrived.')).toBe('Past Perfect');
+    expect(tenseOf('She had been waiting for an hour.')).toBe('Past Perfect Continuous');
+    expect(tenseOf('I will call you tomorrow.')).toBe('Future Simple');
+    expect(tenseOf('This time tomorrow we will be flying to Paris.')).toBe('Future Continuous');
+    expect(tenseOf('By Friday they will have finished the project.')).toBe('Future Perfect');
+    expect(tenseOf('By June he will have been working here for ten years.')).toBe('Future Perfect Continuous');
+});
+
+test('expands contractions, negation and questions', () => {
+    expect(tenseOf("She's gone home.")).toBe('Present Perfect');
+    expect(tenseOf("He's reading a newspaper.")).toBe('Present Continuous');
+    expect(tenseOf("I'd finished my work by then.")).toBe('Past Perfect');
+    expect(tenseOf("They won't be coming to the party.")).toBe('Future Continuous');
+    expect(tenseOf("We haven't seen him since Monday.")).toBe('Present Perfect');
+    expect(tenseOf("She didn't buy the dress.")).toBe('Past Simple');
+    expect(tenseOf('Have you ever been to London?')).toBe('Present Perfect');
+    expect(tenseOf('How long have you been learning French?')).toBe('Present Perfect Continuous');
+    expect(tenseOf('Does your brother play tennis?')).toBe('Present Simple');
+    expect(tenseOf("I'm going to visit my grandmother.")).toBe('Future Simple');
+});
+
+test('skips modal chains, infinitives and possessives', () => {
+    expect(detectTenses('You should have told me.')).toEqual([]);
+    expect(tenseOf('I want to have a rest.')).toBe('Present Simple');
+    expect(tenseOf("Tom's car was stolen.")).toBe('Past Simple');
+    expect(detectTense('Hello there.')).toBeNull();
+});
+
+test('verbs with the same base and past form keep both readings', () => {
+    expect(detectTenses('I put the book on the table yesterday.')[0].tenses).toEqual(['Present Simple', 'Past Simple']);
+    expect(checkAnswerTense('I put the book on the table yesterday.', 'Past Simple').matches).toBe(true);
+    expect(checkAnswerTense('We usually read before bed.', 'Present Simple').matches).toBe(true);
+    expect(checkAnswerTense('She cut her finger.', 'Past Simple').matches).toBe(true);
+    expect(checkAnswerTense('She cut her finger.', 'Present Simple').matches).toBe(false);
+    expect(checkAnswerTense('I go to school.', 'Past Simple').matches).toBe(false);
+});
+
+test('"have got" counts as Present Simple', () => {
+    expect(tenseOf('I have got a cat.')).toBe('Present Simple');
+    expect(checkAnswerTense("She's got two brothers.", 'Present Simple').matches).toBe(true);
+    expect(checkAnswerTense("We haven't got any milk.", 'Present Simple').matches).toBe(true);
+    expect(checkAnswerTense('Have you got a pen?', 'Present Perfect').matches).toBe(true);
+    expect(tenseOf('He had got a new job by then.')).toBe('Past Perfect');
+});
+
+test('picks the most marked phrase and reports spans', () => {
+    const answer = 'When I arrived, she had already left.';
+    expect(detectTense(answer)).toEqual({
+        tense: 'Past Perfect',
+        start: 20,
+        end: 36,
+        text: 'had already left',
+        certain: false
+    });
+    expect(detectTense('They have lived here since 2010.').certain).toBe(true);
+});
+
+test('flags a tense mismatch only when no phrase fits the expected tense', () => {
+    expect(checkAnswerTense('I ate an apple.', 'Present Perfect').matches).toBe(false);
+    expect(checkAnswerTense('I have eaten an apple.', 'present-perfect').matches).toBe(true);
+    expect(checkAnswerTense("She's finished the report.", 'Present Perfect').matches).toBe(true);
+    expect(checkAnswerTense('I will call you when I get home.', 'Present Simple').matches).toBe(true);
+    expect(checkAnswerTense('Hello there.', 'Past Simple').matches).toBeNull();
+    expect(checkAnswerTense('I ate an apple.', 'Unknown').matches).toBeNull();
+});
+
+test('builds a local review that highlights the verb phrase', () => {
+    const answer = 'I ate an apple.';
+    const { detected } = checkAnswerTense(answer, 'Present Perfect');
+    const review = buildTenseMismatchReview(answer, 'Present Perfect', detected);
+    expect(review.isCorrect).toBe(false);
+    expect(review.source).toBe('local');
+    expect(review.errors).toEqual([expect.objectContaining({ start: 2, end: 5, text: 'ate', category: 'tense' })]);
+});
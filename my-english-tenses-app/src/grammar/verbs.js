@@ -0,0 +1,164 @@
+// Verb-form lookups for the offline tense detector. Only what's needed to tell
+// base / -s / past / participle / -ing forms apart in learner sentences.
+
+// base: [past simple, past participle]; slash-separated alternatives allowed
+const irregularVerbs = {
+    arise: ['arose', 'arisen'],
+    be: ['was/were', 'been'],
+    bear: ['bore', 'born/borne'],
+    beat: ['beat', 'beaten'],
+    become: ['became', 'become'],
+    begin: ['began', 'begun'],
+    bend: ['bent', 'bent'],
+    bet: ['bet', 'bet'],
+    bite: ['bit', 'bitten'],
+    bleed: ['bled', 'bled'],
+    blow: ['blew', 'blown'],
+    break: ['broke', 'broken'],
+    bring: ['brought', 'brought'],
+    build: ['built', 'built'],
+    burn: ['burnt/burned', 'burnt/burned'],
+    buy: ['bought', 'bought'],
+    catch: ['caught', 'caught'],
+    choose: ['chose', 'chosen'],
+    come: ['came', 'come'],
+    cost: ['cost', 'cost'],
+    cut: ['cut', 'cut'],
+    deal: ['dealt', 'dealt'],
+    dig: ['dug', 'dug'],
+    do: ['did', 'done'],
+    draw: ['drew', 'drawn'],
+    dream: ['dreamt/dreamed', 'dreamt/dreamed'],
+    drink: ['drank', 'drunk'],
+    drive: ['drove', 'driven'],
+    eat: ['ate', 'eaten'],
+    fall: ['fell', 'fallen'],
+    feed: ['fed', 'fed'],
+    feel: ['felt', 'felt'],
+    fight: ['fought', 'fought'],
+    find: ['found', 'found'],
+    fly: ['flew', 'flown'],
+    forget: ['forgot', 'forgotten'],
+    forgive: ['forgave', 'forgiven'],
+    freeze: ['froze', 'frozen'],
+    get: ['got', 'got/gotten'],
+    give: ['gave', 'given'],
+    go: ['went', 'gone'],
+    grow: ['grew', 'grown'],
+    hang: ['hung', 'hung'],
+    have: ['had', 'had'],
+    hear: ['heard', 'heard'],
+    hide: ['hid', 'hidden'],
+    hit: ['hit', 'hit'],
+    hold: ['held', 'held'],
+    hurt: ['hurt', 'hurt'],
+    keep: ['kept', 'kept'],
+    know: ['knew', 'known'],
+    lay: ['laid', 'laid'],
+    lead: ['led', 'led'],
+    learn: ['learnt/learned', 'learnt/learned'],
+    leave: ['left', 'left'],
+    lend: ['lent', 'lent'],
+    let: ['let', 'let'],
+    lie: ['lay', 'lain'],
+    lose: ['lost', 'lost'],
+    make: ['made', 'made'],
+    mean: ['meant', 'meant'],
+    meet: ['met', 'met'],
+    pay: ['paid', 'paid'],
+    put: ['put', 'put'],
+    quit: ['quit', 'quit'],
+    read: ['read', 'read'],
+    ride: ['rode', 'ridden'],
+    ring: ['rang', 'rung'],
+    rise: ['rose', 'risen'],
+    run: ['ran', 'run'],
+    say: ['said', 'said'],
+    see: ['saw', 'seen'],
+    sell: ['sold', 'sold'],
+    send: ['sent', 'sent'],
+    set: ['set', 'set'],
+    shake: ['shook', 'shaken'],
+    shine: ['shone', 'shone'],
+    shoot: ['shot', 'shot'],
+    show: ['showed', 'shown'],
+    shut: ['shut', 'shut'],
+    sing: ['sang', 'sung'],
+    sink: ['sank', 'sunk'],
+    sit: ['sat', 'sat'],
+    sleep: ['slept', 'slept'],
+    speak: ['spoke', 'spoken'],
+    spend: ['spent', 'spent'],
+    stand: ['stood', 'stood'],
+    steal: ['stole', 'stolen'],
+    stick: ['stuck', 'stuck'],
+    swim: ['swam', 'swum'],
+    take: ['took', 'taken'],
+    teach: ['taught', 'taught'],
+    tear: ['tore', 'torn'],
+    tell: ['told', 'told'],
+    think: ['thought', 'thought'],
+    throw: ['threw', 'thrown'],
+    understand: ['understood', 'understood'],
+    wake: ['woke', 'woken'],
+    wear: ['wore', 'worn'],
+    win: ['won', 'won'],
+    write: ['wrote', 'written']
+};
+
+// Regular verbs common in the generated sentences, so their base and -s forms
+// can be recognised without an auxiliary ("They play", "She works")
+const regularVerbs = [
+    'answer', 'arrive', 'ask', 'call', 'change', 'clean', 'close', 'cook', 'cry', 'dance', 'decide',
+    'enjoy', 'finish', 'fix', 'happen', 'help', 'hope', 'like', 'listen', 'live', 'look', 'love',
+    'move', 'need', 'open', 'paint', 'plan', 'play', 'prepare', 'rain', 'remember', 'repair', 'rest',
+    'return', 'start', 'stay', 'stop', 'study', 'talk', 'travel', 'try', 'turn', 'use', 'visit',
+    'wait', 'walk', 'want', 'wash', 'watch', 'work', 'worry'
+];
+
+const splitForms = (forms) => forms.split('/');
+
+const pastForms = new Set(Object.values(irregularVerbs).flatMap(([past]) => splitForms(past)));
+const participleForms = new Set(Object.values(irregularVerbs).flatMap(([, participle]) => splitForms(participle)));
+const baseForms = new Set([...Object.keys(irregularVerbs), ...regularVerbs]);
+
+// Words ending in -ing / -ed that are not verb forms
+const notIngForms = new Set(['thing', 'something', 'anything', 'nothing', 'everything', 'morning', 'evening',
+    'during', 'ceiling', 'king', 'ring', 'sing', 'spring', 'string', 'wing', 'bring', 'sting', 'swing']);
+const notEdForms = new Set(['bed', 'red', 'need', 'speed', 'seed', 'feed', 'hundred', 'indeed', 'shed', 'sled']);
+
+// Adds -s / -es the way the third person singular does
+const thirdPersonOf = (base) => {
+    if (base === 'be') return 'is';
+    if (base === 'have') return 'has';
+    if (/(?:s|sh|ch|x|z|o)$/.test(base)) return `${base}es`;
+    if (/[^aeiou]y$/.test(base)) return `${base.slice(0, -1)}ies`;
+    return `${base}s`;
+};
+
+const thirdPersonForms = new Set([...baseForms].map(thirdPersonOf));
+
+const isRegularPast = (word) => word.length > 3 && word.endsWith('ed') && !notEdForms.has(word);
+
+export const isIngForm = (word) => word.length > 4 && word.endsWith('ing') && !notIngForms.has(word);
+
+// Past simple forms; "read", "put" and the like are ambiguous with the base
+// form, so callers decide from context whether to trust them
+export const isPastForm = (word) => pastForms.has(word) || isRegularPast(word);
+
+export const isParticiple = (word) => participleForms.has(word) || isRegularPast(word);
+
+export const isBaseVerb = (word) => baseForms.has(word);
+
+export const isThirdPersonForm = (word) => thirdPersonForms.has(word);
+
+// Base forms whose past simple is spelled the same ("put", "cut", "read"), so
+// "I put" can be either tense
+export const isUnchangedInPast = (word) => baseForms.has(word) && pastForms.has(word);
+
+// True when the past form can't also be read as a base form ("went", not "put")
+export const isUnambiguousPast = (word) => isPastForm(word) && !baseForms.has(word);
+
+// Participles from the irregular table ("gone", "written", "made"), which make
+// a contracted "'s" read as "has" rather than "is"
+export const isIrregularParticiple = (word) => participleForms.has(word);
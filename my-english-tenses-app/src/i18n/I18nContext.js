@@ -0,0 +1,11 @@
+import React, { createContext, useContext } from 'react';
+import { translate } from '.';
+
+// Translator of the interface language (i18n/index.js createTranslator) for
+// components; without a provider the default locale is used
+const I18nContext = createContext(translate);
+
+export const I18nProvider = ({ t, children }) => <I18nContext.Provider value={t}>{children}</I18nContext.Provider>;
+
+// const t = useTranslation(); t('start.title'), t.formatDate(isoString)
+export const useTranslation = () => useContext(I18nContext);
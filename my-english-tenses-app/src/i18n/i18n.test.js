@@ -0,0 +1,64 @@
+import { createTranslator, locales, translate } from '.';
+import { buildReviewPrompt } from '../llm/prompts';
+import createMockProvider from '../llm/mockProvider';
+import { reviewPracticeItem } from '../practice/sessionFlow';
+import { sessionToCsv } from '../practice/sessionExport';
+
+// Dotted keys of every message in a catalogue; plural entries count as one message
+const messageKeys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+    typeof value === 'object' && typeof value.other !== 'string'
+        ? messageKeys(value, `${prefix}${key}.`)
+        : [`${prefix}${key}`]
+));
+
+test('every locale translates every message of the default catalogue', () => {
+    const reference = messageKeys(locales.uk.messages);
+    for (const [id, locale] of Object.entries(locales)) {
+        expect({ id, missing: reference.filter(key => !messageKeys(locale.messages).includes(key)) }).toEqual({ id, missing: [] });
+    }
+});
+
+test('plural messages follow the rules of each language', () => {
+    const uk = createTranslator('uk');
+    expect([1, 3, 5, 21, 22, 11].map(count => uk('common.sentences', { count }))).toEqual([
+        '1 речення', '3 речення', '5 речень', '21 речення', '22 речення', '11 речень'
+    ]);
+    expect(uk('classroom.students', { count: 2 })).toBe('2 учні');
+
+    const en = createTranslator('en');
+    expect([1, 2].map(count => en('common.sentences', { count }))).toEqual(['1 sentence', '2 sentences']);
+    expect(en('practice.title', { index: 2, total: 5 })).toBe('Practice: 2 of 5');
+});
+
+test('unknown locales and missing messages fall back to Ukrainian', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(createTranslator('xx').locale).toBe('uk');
+    expect(createTranslator('xx')('start.title')).toBe(translate('start.title'));
+    expect(translate('no.such.key')).toBe('no.such.key');
+    expect(translate('history.details', { correct: 1 })).toBe('{date} — правильно 1 з {total}');
+});
+
+test('reviews explain mistakes in the chosen language', async () => {
+    expect(buildReviewPrompt('Я спав.', 'I sleep.', 'uk-en', null, 'en')).toContain('загальний коментар англійською');
+    expect(buildReviewPrompt('Я спав.', 'I sleep.')).toContain('загальний коментар українською');
+
+    const item = { originalSentence: 'Я спав.', tenseUsed: 'Past Simple', direction: 'uk-en' };
+    const local = await reviewPracticeItem({ provider: createMockProvider(), item, answer: 'I will sleep.', explanationLocale: 'en' });
+    expect(local.explanation).toBe('Past Simple was expected, but the answer uses Future Simple. Translate the sentence again in the right tense.');
+
+    const provider = { reviewAnswer: jest.fn().mockResolvedValue({ isCorrect: true, correctedSentence: 'I slept.', errors: [], explanation: '' }) };
+    await reviewPracticeItem({ provider, item, answer: 'I slept.', explanationLocale: 'en' });
+    expect(provider.reviewAnswer).toHaveBeenCalledWith(expect.objectContaining({ explanationLocale: 'en' }));
+});
+
+test('exports are labelled in the interface language', () => {
+    const session = {
+        startedAt: '2025-03-01T10:00:00.000Z',
+        correctCount: 1,
+        sentences: [{ originalSentence: 'Я спав.', tenseUsed: 'Past Simple', direction: 'uk-en', userAnswer: 'I slept.', isCorrect: true, review: null }]
+    };
+    const [header, row] = sessionToCsv(session, createTranslator('en')).split('\r\n');
+    expect(header).toMatch(/^#,Sentence,Tense,Task/);
+    expect(row).toContain('Sentence in Ukrainian');
+    expect(row).toContain(',correct,');
+});
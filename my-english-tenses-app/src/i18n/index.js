@@ -0,0 +1,59 @@
+import uk from './messages/uk';
+import en from './messages/en';
+
+// Interface languages. To add one, write a catalogue in messages/ with the
+// keys of messages/uk.js and register it here:
+//   name        — shown in the language selector, in that language
+//   dateLocale  — BCP 47 tag for dates and plural rules
+//   promptName  — how the review prompts (llm/prompts.js, written in
+//                 Ukrainian) ask for explanations in this language
+// Missing keys fall back to the default locale's catalogue.
+export const locales = {
+    uk: { name: 'Українська', dateLocale: 'uk-UA', promptName: 'українською', messages: uk },
+    en: { name: 'English', dateLocale: 'en-GB', promptName: 'англійською', messages: en }
+};
+
+export const defaultLocale = 'uk';
+
+export const isSupportedLocale = (locale) => Object.prototype.hasOwnProperty.call(locales, locale);
+
+// Dotted key ("start.title") to the catalogue entry
+const lookup = (messages, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+
+// A plural entry is an object of Intl.PluralRules categories ({ one, few, many, other })
+const isPluralEntry = (entry) => entry !== null && typeof entry === 'object' && typeof entry.other === 'string';
+
+// "{count} з {total}" with params filled in; unknown placeholders are left as they are
+const interpolate = (template, params) =>
+    template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+
+// Returns t(key, params) for a locale. Plural entries are picked by
+// `params.count`. The function also carries `locale` and `formatDate(isoString)`.
+export const createTranslator = (locale) => {
+    const current = locales[isSupportedLocale(locale) ? locale : defaultLocale];
+    const pluralRules = new Intl.PluralRules(current.dateLocale);
+
+    const resolve = (key) => {
+        const entry = lookup(current.messages, key);
+        return entry === undefined ? lookup(locales[defaultLocale].messages, key) : entry;
+    };
+
+    const t = (key, params = {}) => {
+        let entry = resolve(key);
+        if (isPluralEntry(entry)) {
+            entry = entry[pluralRules.select(Number(params.count) || 0)] ?? entry.other;
+        }
+        if (typeof entry !== 'string') {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+        return interpolate(entry, params);
+    };
+
+    t.locale = isSupportedLocale(locale) ? locale : defaultLocale;
+    t.formatDate = (isoString) => new Date(isoString).toLocaleString(current.dateLocale);
+    return t;
+};
+
+// Translator of the default locale, for code that runs outside the UI and as a default argument
+export const translate = createTranslator(defaultLocale);
@@ -0,0 +1,365 @@
+// English interface messages, keys as in uk.js
+const en = {
+    common: {
+        home: 'Home',
+        loading: 'Loading...',
+        userId: 'Your user ID:',
+        cancel: 'Cancel',
+        delete: 'Delete',
+        save: 'Save',
+        outOf: '{correct} of {total}',
+        score: 'Correct: {correct} of {total}',
+        sentences: { one: '{count} sentence', other: '{count} sentences' }
+    },
+    app: {
+        errors: {
+            auth: 'Authentication error. Please try again later.',
+            firebase: 'Failed to initialize Firebase. Check the console.',
+            noSentences: 'Could not generate sentences. Try changing the options.',
+            generation: 'Failed to generate sentences: {message}. Please try again.',
+            emptyAnswer: 'Please enter your answer.',
+            review: 'Failed to get a review: {message}.',
+            reviewFailed: 'Failed to get a review. Please try again.',
+            saveSession: 'Failed to save the session: {message}'
+        }
+    },
+    validation: {
+        numSentences: 'The number of sentences must be greater than zero.',
+        noTenses: 'Please choose at least one tense to practise.',
+        timeLimit: 'Please set a time limit above zero for the timed challenge.'
+    },
+    start: {
+        title: 'English Tenses Practice',
+        resume: 'Back to practice',
+        savedSession: 'You have an unfinished session: sentence {index} of {total}',
+        savedAt: ' (saved {date})',
+        continueSaved: 'Continue the unfinished session',
+        importedItems: {
+            one: '{count} sentence imported from “{file}”. The session will use it.',
+            other: '{count} sentences imported from “{file}”. The session will use them.'
+        },
+        linkedItems: {
+            one: 'The link contains a ready set of {count} sentence. The session will use it.',
+            other: 'The link contains a ready set of {count} sentences. The session will use them.'
+        },
+        generateNew: 'Generate new sentences',
+        tenses: 'Choose tenses to practise:',
+        themes: 'Topics (optional, e.g. "travel", "technology"):',
+        themesPlaceholder: 'Enter topics separated by commas',
+        dueItems: {
+            one: 'Start by repeating {count} sentence with mistakes',
+            other: 'Start by repeating {count} sentences with mistakes'
+        },
+        adaptiveMode: 'Adaptive mode: more sentences for weak tenses',
+        showTense: 'Show the tense of each sentence during practice',
+        exerciseKind: 'Exercise type:',
+        direction: 'Translation direction:',
+        challengeMode: 'Timed challenge:',
+        timeLimit: 'Time, seconds:',
+        numSentences: 'Number of sentences:',
+        shareLink: 'Link to these options',
+        start: 'Start practice',
+        history: 'Practice history',
+        stats: 'Statistics',
+        progress: 'Achievements and records',
+        classroom: 'Classroom',
+        settings: 'Settings'
+    },
+    presets: {
+        title: 'Presets:',
+        delete: 'Delete preset',
+        namePlaceholder: 'Preset name',
+        errors: {
+            save: 'Failed to save the preset: {message}',
+            delete: 'Failed to delete the preset: {message}'
+        }
+    },
+    shareLink: {
+        copied: 'Link copied.'
+    },
+    sentenceImport: {
+        title: 'Your own sentences from a file',
+        hint: 'CSV or JSON with the columns "sentence", "tense" and, optionally, "translation".',
+        skipped: 'Skipped entries without a sentence or a known tense: {entries}',
+        truncated: {
+            one: 'Only the first {max} sentences were loaded; {count} more was left out.',
+            other: 'Only the first {max} sentences were loaded; {count} more were left out.'
+        },
+        failed: 'Could not import “{file}”: {message}',
+        errors: {
+            invalidJson: 'The file is not valid JSON.',
+            noList: 'The JSON file has no list of sentences.',
+            empty: 'The file has no sentences with a known tense.'
+        }
+    },
+    exerciseKinds: {
+        translation: { label: 'Sentence translation' },
+        'gap-fill': { label: 'Gaps: verb form', instruction: 'Write the correct form of the verb in brackets', answer: 'Verb form' },
+        'choose-form': { label: 'Choose the right tense', instruction: 'Choose the verb form in the right tense', answer: 'Choose an answer' },
+        'identify-tense': { label: 'Identify the tense', instruction: 'Name the tense of this English sentence', answer: 'Choose an answer' },
+        transform: { label: 'Sentence transformation', instruction: 'Rewrite the sentence in the given tense', answer: 'Your sentence' }
+    },
+    directions: {
+        'uk-en': { source: 'Sentence in Ukrainian', answer: 'Your answer in English', mode: 'Ukrainian → English' },
+        'en-uk': { source: 'Sentence in English', answer: 'Your answer in Ukrainian', mode: 'English → Ukrainian' },
+        mixed: { mode: 'Mixed' }
+    },
+    practice: {
+        title: 'Practice: {index} of {total}',
+        fromReviewQueue: 'Repetition',
+        unknownTense: 'Unknown',
+        sentenceMissing: 'Could not load the sentence.',
+        answerPlaceholder: 'Write your answer here...',
+        checking: 'Checking...',
+        check: 'Check',
+        getReview: 'Get review',
+        cancelReview: 'Cancel the review',
+        next: 'Next',
+        finish: 'Finish'
+    },
+    review: {
+        localTitle: 'Quick tense check:',
+        modelTitle: 'Review by the model:',
+        timerTitle: 'Timed challenge:',
+        writing: 'The model is writing the review...',
+        correct: 'The sentence is correct',
+        incorrect: 'The sentence is incorrect',
+        yourAnswer: 'Your answer:',
+        corrected: 'Corrected version:'
+    },
+    speech: {
+        speak: 'Answer by voice',
+        stop: 'Done',
+        listen: 'Listen',
+        listenSlowly: 'Slowly',
+        errors: {
+            notAllowed: 'No access to the microphone. Allow it in the browser settings.',
+            noMicrophone: 'No microphone found.',
+            network: 'Speech recognition is not available offline.',
+            noSpeech: 'Nothing was heard. Please try again.',
+            failed: 'Could not recognise speech. Try again or type the answer.'
+        }
+    },
+    errorCategories: {
+        tense: 'Tense',
+        article: 'Article',
+        word_order: 'Word order',
+        preposition: 'Preposition',
+        agreement: 'Agreement',
+        vocabulary: 'Vocabulary',
+        spelling: 'Spelling',
+        punctuation: 'Punctuation',
+        other: 'Other'
+    },
+    localReview: {
+        tenseMismatch: 'This is {detected}, but {expected} is needed.',
+        tenseMismatchSummary: '{expected} was expected, but the answer uses {detected}. Translate the sentence again in the right tense.',
+        correct: 'Correct! ({tense})',
+        wrong: 'The right answer is "{answer}" ({tense}).',
+        gapCorrect: 'Correct! {sentence} ({tense})',
+        gapWrong: 'The right answer is "{answer}": {sentence} ({tense}).',
+        noReference: 'Offline mode: there is no reference translation for this sentence.',
+        noErrors: 'No mistakes.',
+        differsFromReference: 'The answer differs from the reference translation.',
+        differsFromReferenceTense: 'The answer differs from the reference translation ({tense}).',
+        expectedTense: 'The answer should be in {tense}.'
+    },
+    summary: {
+        title: 'Session finished',
+        points: 'Points: {points}',
+        xpGained: '+{xp} XP · level {level}',
+        levelUp: 'New level: {level}!',
+        newAchievements: 'New achievements',
+        rank: 'Place in the records of this device: {rank}',
+        progress: 'Achievements and records',
+        errorTypes: 'Mistake types',
+        share: 'Share these sentences',
+        stats: 'Statistics'
+    },
+    errorList: {
+        empty: 'No mistakes found.'
+    },
+    history: {
+        title: 'Practice history',
+        empty: 'No finished sessions yet.',
+        details: '{date}: {correct} of {total} correct',
+        backToList: 'Back to the list',
+        errors: {
+            load: 'Failed to load the history: {message}'
+        }
+    },
+    stats: {
+        title: 'Statistics',
+        currentStreak: { one: 'day in a row now', other: 'days in a row now' },
+        longestStreak: { one: 'day in the longest streak', other: 'days in the longest streak' },
+        longestCorrect: { one: 'correct answer in a row', other: 'correct answers in a row' },
+        tenseAccuracy: 'Accuracy by tense',
+        trends: 'Trends by group',
+        noData: 'No data yet.',
+        date: 'Date',
+        topErrors: 'Most frequent mistakes',
+        errors: {
+            load: 'Failed to load the statistics: {message}'
+        }
+    },
+    settings: {
+        title: 'Settings',
+        provider: 'Model:',
+        providers: {
+            proxy: 'Gemini via the app server',
+            gemini: 'Gemini directly (key in the browser, development only)',
+            openai: 'OpenAI-compatible / local server',
+            mock: 'Offline (built-in sentences)'
+        },
+        localTenseCheck: 'Quick tense check without the model',
+        locale: 'Interface language:',
+        explanationLocale: 'Language of review explanations:',
+        sameAsInterface: 'Same as the interface',
+        voiceInput: 'Voice answers: say the translation instead of typing it',
+        voiceInputUnsupported: 'This browser does not recognise speech. Try Chrome, Edge or Safari.',
+        playerName: 'Name in the records of this device:',
+        playerNamePlaceholder: 'What to call you'
+    },
+    challenge: {
+        modes: {
+            off: 'No time limit',
+            session: 'Time for the whole session',
+            sentence: 'Time for each sentence'
+        },
+        limits: {
+            session: '{seconds} s per session',
+            sentence: '{seconds} s per sentence'
+        },
+        timeLeft: 'Time left: {time}',
+        timeUp: 'Time is up!',
+        timedOutExplanation: 'The time for this answer ran out.',
+        points: 'Points: {points}'
+    },
+    achievements: {
+        'first-session': { title: 'First step', description: 'Finish your first practice.' },
+        'perfect-session': { title: 'Not a single mistake', description: 'Answer every sentence of a session of 5 or more sentences correctly.' },
+        'first-challenge': { title: 'Racing the clock', description: 'Finish your first timed challenge.' },
+        'beat-the-clock': { title: 'Beat the clock', description: 'Answer each of 5 or more challenge sentences before the time runs out.' },
+        'quick-answer': { title: 'Lightning', description: 'Answer correctly within 5 seconds in a challenge.' },
+        'ten-in-a-row': { title: 'Ten in a row', description: '10 correct answers in a row in one session.' },
+        'level-5': { title: 'Level five', description: 'Reach level 5.' },
+        'sessions-25': { title: 'Persistence', description: 'Finish 25 practice sessions.' }
+    },
+    progress: {
+        title: 'Achievements and records',
+        level: 'Level {level}',
+        xp: '{xp} of {next} XP to the next level',
+        achievements: 'Achievements',
+        unlockedAt: 'Unlocked {date}',
+        locked: 'Not unlocked yet',
+        leaderboard: 'Records of this device',
+        noResults: 'No timed challenge results yet.',
+        errors: {
+            load: 'Failed to load the achievements: {message}'
+        }
+    },
+    leaderboard: {
+        player: 'Player',
+        points: 'Points',
+        correct: 'Correct',
+        mode: 'Challenge',
+        date: 'Date',
+        anonymous: 'No name',
+        you: ' (you)',
+        classTitle: 'Class ranking',
+        assignments: 'Assignments',
+        empty: 'Nobody has done any assignments yet.'
+    },
+    sessionExport: {
+        title: 'Export results',
+        report: 'Report (PDF)',
+        reportTitle: 'English tenses practice',
+        columns: {
+            number: '#',
+            sentence: 'Sentence',
+            tense: 'Tense',
+            task: 'Task',
+            reference: 'Reference translation',
+            answer: 'Answer',
+            result: 'Result',
+            corrected: 'Corrected version',
+            errors: 'Mistakes',
+            explanation: 'Explanation',
+            correct: 'Correct',
+            accuracy: 'Accuracy',
+            student: 'Student',
+            submittedAt: 'Submitted'
+        },
+        correct: 'correct',
+        incorrect: 'incorrect',
+        reportScore: '{date} · {correct} of {total} correct'
+    },
+    classroom: {
+        title: 'Classroom',
+        tabs: {
+            student: 'I am a student',
+            teacher: 'I am a teacher'
+        },
+        students: { one: '{count} student', other: '{count} students' },
+        errors: {
+            classNotFound: 'No class has this code.'
+        }
+    },
+    student: {
+        join: 'Join a class',
+        codePlaceholder: 'Class code',
+        namePlaceholder: 'Your name for the teacher',
+        joinButton: 'Join',
+        noClasses: 'You have not joined any class yet.',
+        noAssignments: 'No assignments yet.',
+        done: ' · done: {correct} of {total}',
+        retry: 'Try again',
+        start: 'Start'
+    },
+    teacher: {
+        joinCode: 'Join code:',
+        assignments: 'Assignments',
+        noAssignments: 'No assignments yet.',
+        results: 'Results',
+        deleteAssignment: 'Delete assignment',
+        backToClasses: 'Back to classes',
+        classNamePlaceholder: 'Class name',
+        createClass: 'Create class',
+        noClasses: 'You have no classes yet.',
+        classCode: 'Code: {code}',
+        errors: {
+            loadClasses: 'Failed to load the classes: {message}',
+            createClass: 'Failed to create the class: {message}',
+            createAssignment: 'Failed to create the assignment: {message}',
+            deleteAssignment: 'Failed to delete the assignment: {message}'
+        }
+    },
+    assignmentForm: {
+        title: 'New assignment',
+        titlePlaceholder: 'Assignment title',
+        generate: 'Generate',
+        manual: 'Write by hand',
+        themesPlaceholder: 'Topics separated by commas (optional)',
+        generateSentences: 'Generate sentences',
+        manualPlaceholder: 'Я читаю книгу. | Present Continuous\nВона вже пішла. | Present Perfect',
+        showTense: 'Show students the tense of each sentence',
+        challenge: 'Timed challenge for students:',
+        create: 'Create assignment',
+        unreadableLines: 'Could not read lines: {lines}'
+    },
+    assignmentResults: {
+        title: 'Results: {title}',
+        submitted: 'Submitted {date}: {correct} of {total} correct',
+        backToTable: 'Back to the table',
+        nobody: 'Nobody has done this assignment yet.',
+        total: 'Total',
+        notSubmitted: '{name} (not submitted)',
+        exportCsv: 'Export to CSV',
+        backToClass: 'Back to the class',
+        errors: {
+            load: 'Failed to load the results: {message}'
+        }
+    }
+};
+
+export default en;
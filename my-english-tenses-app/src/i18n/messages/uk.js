@@ -0,0 +1,381 @@
+// Ukrainian interface messages, the reference catalogue: other locales
+// translate these keys. Plural entries hold the Intl.PluralRules forms and
+// are picked by the `count` parameter.
+const uk = {
+    common: {
+        home: 'На головну',
+        loading: 'Завантаження...',
+        userId: 'Ваш ID користувача:',
+        cancel: 'Скасувати',
+        delete: 'Видалити',
+        save: 'Зберегти',
+        outOf: '{correct} з {total}',
+        score: 'Правильно: {correct} з {total}',
+        sentences: { one: '{count} речення', few: '{count} речення', many: '{count} речень', other: '{count} речення' }
+    },
+    app: {
+        errors: {
+            auth: 'Помилка автентифікації. Спробуйте пізніше.',
+            firebase: 'Не вдалося ініціалізувати Firebase. Подробиці в консолі.',
+            noSentences: 'Не вдалося згенерувати речення. Спробуйте змінити критерії.',
+            generation: 'Не вдалося згенерувати речення: {message}. Спробуйте ще раз.',
+            emptyAnswer: 'Будь ласка, введіть вашу відповідь.',
+            review: 'Не вдалося отримати огляд: {message}.',
+            reviewFailed: 'Не вдалося отримати огляд. Спробуйте ще раз.',
+            saveSession: 'Не вдалося зберегти практику: {message}'
+        }
+    },
+    validation: {
+        numSentences: 'Кількість речень має бути більшою за нуль.',
+        noTenses: 'Будь ласка, оберіть хоча б один час для практики.',
+        timeLimit: 'Для виклику на час вкажіть час більший за нуль.'
+    },
+    start: {
+        title: 'Практика англійських часів',
+        resume: 'Повернутися до практики',
+        savedSession: 'Є незавершена практика: речення {index} з {total}',
+        savedAt: ' (збережено {date})',
+        continueSaved: 'Продовжити незавершену практику',
+        importedItems: {
+            one: 'З файлу «{file}» імпортовано {count} речення. Практика почнеться з нього.',
+            few: 'З файлу «{file}» імпортовано {count} речення. Практика почнеться з них.',
+            many: 'З файлу «{file}» імпортовано {count} речень. Практика почнеться з них.',
+            other: 'З файлу «{file}» імпортовано {count} речення. Практика почнеться з них.'
+        },
+        linkedItems: {
+            one: 'Посилання містить готовий набір з {count} речення. Практика почнеться з нього.',
+            few: 'Посилання містить готовий набір з {count} речень. Практика почнеться з них.',
+            many: 'Посилання містить готовий набір з {count} речень. Практика почнеться з них.',
+            other: 'Посилання містить готовий набір з {count} речення. Практика почнеться з них.'
+        },
+        generateNew: 'Згенерувати нові речення',
+        tenses: 'Оберіть часи для практики:',
+        themes: 'Теми (необов\'язково, наприклад: "подорожі", "технології"):',
+        themesPlaceholder: 'Введіть теми через кому',
+        dueItems: {
+            one: 'Спочатку повторити {count} речення з помилками',
+            few: 'Спочатку повторити {count} речення з помилками',
+            many: 'Спочатку повторити {count} речень з помилками',
+            other: 'Спочатку повторити {count} речення з помилками'
+        },
+        adaptiveMode: 'Адаптивний режим: більше речень для слабких часів',
+        showTense: 'Відображати час речення під час практики',
+        exerciseKind: 'Тип вправи:',
+        direction: 'Напрям перекладу:',
+        challengeMode: 'Виклик на час:',
+        timeLimit: 'Час, секунд:',
+        numSentences: 'Кількість речень:',
+        shareLink: 'Посилання на ці налаштування',
+        start: 'Розпочати практику',
+        history: 'Історія практик',
+        stats: 'Статистика',
+        progress: 'Досягнення і рекорди',
+        classroom: 'Клас',
+        settings: 'Налаштування'
+    },
+    presets: {
+        title: 'Пресети:',
+        delete: 'Видалити пресет',
+        namePlaceholder: 'Назва пресету',
+        errors: {
+            save: 'Не вдалося зберегти пресет: {message}',
+            delete: 'Не вдалося видалити пресет: {message}'
+        }
+    },
+    shareLink: {
+        copied: 'Посилання скопійовано.'
+    },
+    sentenceImport: {
+        title: 'Власні речення з файлу',
+        hint: 'CSV або JSON з колонками «речення», «час» і, за бажанням, «переклад».',
+        skipped: 'Пропущено записи без речення або відомого часу: {entries}',
+        truncated: {
+            one: 'Завантажено перші {max} речень, ще {count} речення не ввійшло.',
+            few: 'Завантажено перші {max} речень, ще {count} речення не ввійшли.',
+            many: 'Завантажено перші {max} речень, ще {count} речень не ввійшли.',
+            other: 'Завантажено перші {max} речень, ще {count} речення не ввійшли.'
+        },
+        failed: 'Не вдалося імпортувати «{file}»: {message}',
+        errors: {
+            invalidJson: 'Файл не є коректним JSON.',
+            noList: 'У JSON-файлі немає списку речень.',
+            empty: 'У файлі не знайдено жодного речення з відомим часом.'
+        }
+    },
+    exerciseKinds: {
+        translation: { label: 'Переклад речень' },
+        'gap-fill': { label: 'Пропуски: форма дієслова', instruction: 'Впишіть правильну форму дієслова в дужках', answer: 'Форма дієслова' },
+        'choose-form': { label: 'Вибір правильного часу', instruction: 'Оберіть форму дієслова в правильному часі', answer: 'Оберіть відповідь' },
+        'identify-tense': { label: 'Визначення часу речення', instruction: 'Визначте час цього англійського речення', answer: 'Оберіть відповідь' },
+        transform: { label: 'Трансформація речення', instruction: 'Перепишіть речення в указаному часі', answer: 'Ваше речення' }
+    },
+    directions: {
+        'uk-en': { source: 'Речення українською', answer: 'Ваша відповідь англійською', mode: 'Українська → англійська' },
+        'en-uk': { source: 'Речення англійською', answer: 'Ваша відповідь українською', mode: 'Англійська → українська' },
+        mixed: { mode: 'Змішаний' }
+    },
+    practice: {
+        title: 'Практика: {index} з {total}',
+        fromReviewQueue: 'Повторення',
+        unknownTense: 'Невідомо',
+        sentenceMissing: 'Не вдалося завантажити речення.',
+        answerPlaceholder: 'Напишіть вашу відповідь тут...',
+        checking: 'Перевіряємо...',
+        check: 'Перевірити',
+        getReview: 'Отримати огляд',
+        cancelReview: 'Скасувати перевірку',
+        next: 'Далі',
+        finish: 'Завершити'
+    },
+    review: {
+        localTitle: 'Швидка перевірка часу:',
+        modelTitle: 'Огляд від моделі:',
+        timerTitle: 'Виклик на час:',
+        writing: 'Модель пише огляд...',
+        correct: 'Речення написане правильно',
+        incorrect: 'Речення написане неправильно',
+        yourAnswer: 'Ваша відповідь:',
+        corrected: 'Виправлений варіант:'
+    },
+    speech: {
+        speak: 'Відповісти голосом',
+        stop: 'Готово',
+        listen: 'Прослухати',
+        listenSlowly: 'Повільно',
+        errors: {
+            notAllowed: 'Немає доступу до мікрофона. Дозвольте його в налаштуваннях браузера.',
+            noMicrophone: 'Мікрофон не знайдено.',
+            network: 'Розпізнавання мовлення недоступне без інтернету.',
+            noSpeech: 'Нічого не почуто. Спробуйте ще раз.',
+            failed: 'Не вдалося розпізнати мовлення. Спробуйте ще раз або надрукуйте відповідь.'
+        }
+    },
+    errorCategories: {
+        tense: 'Час',
+        article: 'Артикль',
+        word_order: 'Порядок слів',
+        preposition: 'Прийменник',
+        agreement: 'Узгодження',
+        vocabulary: 'Лексика',
+        spelling: 'Правопис',
+        punctuation: 'Пунктуація',
+        other: 'Інше'
+    },
+    // Reviews written without a model, in the explanation language
+    localReview: {
+        tenseMismatch: 'Тут використано {detected}, а потрібен {expected}.',
+        tenseMismatchSummary: 'Очікувався час {expected}, а у відповіді використано {detected}. Перекладіть речення ще раз у потрібному часі.',
+        correct: 'Правильно! ({tense})',
+        wrong: 'Правильна відповідь: "{answer}" ({tense}).',
+        gapCorrect: 'Правильно! {sentence} ({tense})',
+        gapWrong: 'Правильна відповідь: "{answer}" — {sentence} ({tense}).',
+        noReference: 'Офлайн-режим: для цього речення немає еталонного перекладу.',
+        noErrors: 'Помилок немає.',
+        differsFromReference: 'Відповідь відрізняється від еталонного перекладу.',
+        differsFromReferenceTense: 'Відповідь відрізняється від еталонного перекладу ({tense}).',
+        expectedTense: 'Очікувана відповідь у часі {tense}.'
+    },
+    summary: {
+        title: 'Практику завершено',
+        points: 'Очки: {points}',
+        xpGained: '+{xp} XP · рівень {level}',
+        levelUp: 'Новий рівень: {level}!',
+        newAchievements: 'Нові досягнення',
+        rank: 'Місце в рекордах цього пристрою: {rank}',
+        progress: 'Досягнення і рекорди',
+        errorTypes: 'Типи помилок',
+        share: 'Поділитися цими реченнями',
+        stats: 'Статистика'
+    },
+    errorList: {
+        empty: 'Помилок не знайдено.'
+    },
+    history: {
+        title: 'Історія практик',
+        empty: 'Ще немає завершених практик.',
+        details: '{date} — правильно {correct} з {total}',
+        backToList: 'До списку',
+        errors: {
+            load: 'Не вдалося завантажити історію: {message}'
+        }
+    },
+    stats: {
+        title: 'Статистика',
+        currentStreak: { one: 'день поспіль зараз', few: 'дні поспіль зараз', many: 'днів поспіль зараз', other: 'дня поспіль зараз' },
+        longestStreak: { one: 'день — найдовша серія', few: 'дні — найдовша серія', many: 'днів — найдовша серія', other: 'дня — найдовша серія' },
+        longestCorrect: {
+            one: 'правильна відповідь поспіль',
+            few: 'правильні відповіді поспіль',
+            many: 'правильних відповідей поспіль',
+            other: 'правильної відповіді поспіль'
+        },
+        tenseAccuracy: 'Точність за часами',
+        trends: 'Динаміка за групами',
+        noData: 'Ще немає даних.',
+        date: 'Дата',
+        topErrors: 'Найчастіші помилки',
+        errors: {
+            load: 'Не вдалося завантажити статистику: {message}'
+        }
+    },
+    settings: {
+        title: 'Налаштування',
+        provider: 'Модель:',
+        providers: {
+            proxy: 'Gemini через сервер застосунку',
+            gemini: 'Gemini напряму (ключ у браузері, лише для розробки)',
+            openai: 'OpenAI-сумісний / локальний сервер',
+            mock: 'Офлайн (вбудовані речення)'
+        },
+        localTenseCheck: 'Швидка перевірка часу без моделі',
+        locale: 'Мова інтерфейсу:',
+        explanationLocale: 'Мова пояснень у відгуках:',
+        sameAsInterface: 'Як мова інтерфейсу',
+        voiceInput: 'Голосові відповіді: вимовляйте переклад замість того, щоб друкувати',
+        voiceInputUnsupported: 'Цей браузер не розпізнає мовлення. Спробуйте Chrome, Edge або Safari.',
+        playerName: 'Ім\'я в рекордах цього пристрою:',
+        playerNamePlaceholder: 'Як вас підписати'
+    },
+    challenge: {
+        modes: {
+            off: 'Без обмеження часу',
+            session: 'Час на всю сесію',
+            sentence: 'Час на кожне речення'
+        },
+        limits: {
+            session: '{seconds} с на сесію',
+            sentence: '{seconds} с на речення'
+        },
+        timeLeft: 'Залишилось: {time}',
+        timeUp: 'Час вийшов!',
+        timedOutExplanation: 'Час на відповідь вийшов.',
+        points: 'Очки: {points}'
+    },
+    achievements: {
+        'first-session': { title: 'Перший крок', description: 'Завершіть першу практику.' },
+        'perfect-session': { title: 'Без жодної помилки', description: 'Дайте правильні відповіді на всі речення сесії з 5 чи більше речень.' },
+        'first-challenge': { title: 'Наввипередки з часом', description: 'Завершіть перший виклик на час.' },
+        'beat-the-clock': { title: 'Встигли все', description: 'Дайте відповідь на кожне з 5 чи більше речень виклику до кінця часу.' },
+        'quick-answer': { title: 'Блискавка', description: 'Правильно відповідайте у виклику за 5 секунд.' },
+        'ten-in-a-row': { title: 'Десять поспіль', description: '10 правильних відповідей поспіль в одній сесії.' },
+        'level-5': { title: 'П\'ятий рівень', description: 'Досягніть 5 рівня.' },
+        'sessions-25': { title: 'Наполегливість', description: 'Завершіть 25 сесій практики.' }
+    },
+    progress: {
+        title: 'Досягнення і рекорди',
+        level: 'Рівень {level}',
+        xp: '{xp} з {next} XP до наступного рівня',
+        achievements: 'Досягнення',
+        unlockedAt: 'Отримано {date}',
+        locked: 'Ще не отримано',
+        leaderboard: 'Рекорди цього пристрою',
+        noResults: 'Ще немає результатів виклику на час.',
+        errors: {
+            load: 'Не вдалося завантажити досягнення: {message}'
+        }
+    },
+    leaderboard: {
+        player: 'Гравець',
+        points: 'Очки',
+        correct: 'Правильно',
+        mode: 'Виклик',
+        date: 'Дата',
+        anonymous: 'Без імені',
+        you: ' (ви)',
+        classTitle: 'Рейтинг класу',
+        assignments: 'Завдань',
+        empty: 'Ще ніхто не виконав завдань.'
+    },
+    sessionExport: {
+        title: 'Експорт результатів',
+        report: 'Звіт (PDF)',
+        reportTitle: 'Практика англійських часів',
+        columns: {
+            number: '№',
+            sentence: 'Речення',
+            tense: 'Час',
+            task: 'Завдання',
+            reference: 'Еталонний переклад',
+            answer: 'Відповідь',
+            result: 'Результат',
+            corrected: 'Виправлений варіант',
+            errors: 'Помилки',
+            explanation: 'Пояснення',
+            correct: 'Правильно',
+            accuracy: 'Точність',
+            student: 'Учень',
+            submittedAt: 'Здано'
+        },
+        correct: 'правильно',
+        incorrect: 'неправильно',
+        reportScore: '{date} · правильно {correct} з {total}'
+    },
+    classroom: {
+        title: 'Клас',
+        tabs: {
+            student: 'Я учень',
+            teacher: 'Я вчитель'
+        },
+        students: { one: '{count} учень', few: '{count} учні', many: '{count} учнів', other: '{count} учня' },
+        errors: {
+            classNotFound: 'Клас із таким кодом не знайдено.'
+        }
+    },
+    student: {
+        join: 'Приєднатися до класу',
+        codePlaceholder: 'Код класу',
+        namePlaceholder: 'Ваше ім\'я для вчителя',
+        joinButton: 'Приєднатися',
+        noClasses: 'Ви ще не приєдналися до жодного класу.',
+        noAssignments: 'Завдань поки немає.',
+        done: ' · виконано: {correct} з {total}',
+        retry: 'Ще раз',
+        start: 'Почати'
+    },
+    teacher: {
+        joinCode: 'Код для приєднання:',
+        assignments: 'Завдання',
+        noAssignments: 'Завдань ще немає.',
+        results: 'Результати',
+        deleteAssignment: 'Видалити завдання',
+        backToClasses: 'До списку класів',
+        classNamePlaceholder: 'Назва класу',
+        createClass: 'Створити клас',
+        noClasses: 'У вас ще немає класів.',
+        classCode: 'Код: {code}',
+        errors: {
+            loadClasses: 'Не вдалося завантажити класи: {message}',
+            createClass: 'Не вдалося створити клас: {message}',
+            createAssignment: 'Не вдалося створити завдання: {message}',
+            deleteAssignment: 'Не вдалося видалити завдання: {message}'
+        }
+    },
+    assignmentForm: {
+        title: 'Нове завдання',
+        titlePlaceholder: 'Назва завдання',
+        generate: 'Згенерувати',
+        manual: 'Вписати вручну',
+        themesPlaceholder: 'Теми через кому (необов\'язково)',
+        generateSentences: 'Згенерувати речення',
+        manualPlaceholder: 'Я читаю книгу. | Present Continuous\nВона вже пішла. | Present Perfect',
+        showTense: 'Показувати учням час речення',
+        challenge: 'Виклик на час для учнів:',
+        create: 'Створити завдання',
+        unreadableLines: 'Не вдалося прочитати рядки: {lines}'
+    },
+    assignmentResults: {
+        title: 'Результати: {title}',
+        submitted: 'Здано {date} — правильно {correct} з {total}',
+        backToTable: 'До таблиці',
+        nobody: 'Ще ніхто не виконав це завдання.',
+        total: 'Разом',
+        notSubmitted: '{name} (не здано)',
+        exportCsv: 'Експорт у CSV',
+        backToClass: 'До класу',
+        errors: {
+            load: 'Не вдалося завантажити результати: {message}'
+        }
+    }
+};
+
+export default uk;
@@ -0,0 +1,63 @@
+import { buildRequestPrompt } from './prompts';
+import { parseSentenceLines } from './parsing';
+import { parsePartialReview, parseReview } from '../review/reviewSchema';
+import { parseExercises } from '../exercises/exerciseSchema';
+
+// Builds a provider from a single `complete(prompt, { json, kind, signal, onText }) => Promise<string>`
+// function, where kind is 'generate' or 'review', `signal` is an AbortSignal and
+// `onText(textSoFar)`, when given, asks for the reply to be streamed.
+// Remote backends only differ in how they send a prompt and read the reply,
+// so prompting and parsing live here. `origin` is the backend's URL, for
+// opening the connection ahead of the first request (practice/prefetch.js).
+// With `remotePrompts` the backend builds the prompts itself, and `complete`
+// gets the structured request (see buildRequestPrompt in prompts.js) instead.
+const createTextProvider = (id, complete, { origin = '', remotePrompts = false } = {}) => {
+    const send = (request, { signal, onText }) => {
+        const { prompt, json, endpoint } = buildRequestPrompt(request);
+        return complete(remotePrompts ? request : prompt, {
+            ...(json && { json }),
+            kind: endpoint,
+            signal,
+            ...(onText && { onText })
+        });
+    };
+
+    // Reviews are streamed when the caller wants partial reviews (`onPartial`)
+    const completeReview = (request, { signal, onPartial }) => send(request, {
+        signal,
+        onText: onPartial && ((text) => onPartial(parsePartialReview(text, request.userAnswer)))
+    });
+
+    return {
+        id,
+        origin,
+
+        // With a `plan` (one tense per sentence) the model is asked to follow it exactly;
+        // `excludeSentences` are listed in the prompt as already seen.
+        // `direction` ('uk-en' or 'en-uk') decides the language of the sentences.
+        generateSentences: async ({ tenses, themes, count, usedSentences, plan, excludeSentences = [], direction = 'uk-en', signal }) => {
+            const text = await send({ type: 'sentences', tenses, themes, count, plan, excludeSentences, direction }, { signal });
+            return parseSentenceLines(text, usedSentences).slice(0, count);
+        },
+
+        // `referenceTranslation` (from an imported sentence list) is given to the model as one correct answer;
+        // explanations are asked for in `explanationLocale` (i18n/index.js)
+        reviewAnswer: async ({ originalSentence, userAnswer, direction = 'uk-en', referenceTranslation = null, explanationLocale, signal, onPartial }) => {
+            const request = { type: 'review', originalSentence, userAnswer, direction, referenceTranslation, explanationLocale };
+            return parseReview(await completeReview(request, { signal, onPartial }), userAnswer);
+        },
+
+        // Non-translation exercises of one kind (see exercises/exerciseKinds.js)
+        generateExercises: async ({ kind, tenses, themes, count, usedSentences, excludeSentences = [], signal }) => {
+            const text = await send({ type: 'exercises', kind, tenses, themes, count, excludeSentences }, { signal });
+            return parseExercises(text, kind, usedSentences).slice(0, count);
+        },
+
+        // Only transformations need a model review; other kinds are graded locally
+        reviewExercise: async ({ exercise, userAnswer, explanationLocale, signal, onPartial }) => {
+            return parseReview(await completeReview({ type: 'exerciseReview', exercise, userAnswer, explanationLocale }, { signal, onPartial }), userAnswer);
+        }
+    };
+};
+
+export default createTextProvider;
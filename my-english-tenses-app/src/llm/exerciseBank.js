@@ -0,0 +1,31 @@
+// Bundled exercises for the offline mock provider (see exercises/exerciseSchema.js).
+// Gap items serve both 'gap-fill' and 'choose-form'.
+export const gapExercises = [
+    { sentence: "She ___ (work) in a hospital.", answer: "works", tense: "Present Simple", options: ["works", "is working", "has worked", "worked"] },
+    { sentence: "Look! The children ___ (play) in the garden.", answer: "are playing", tense: "Present Continuous", options: ["play", "are playing", "have played", "were playing"] },
+    { sentence: "I ___ (already / finish) my homework.", answer: "have already finished", tense: "Present Perfect", acceptedAnswers: ["'ve already finished"], options: ["already finished", "have already finished", "had already finished", "am already finishing"] },
+    { sentence: "It ___ (rain) for two hours now.", answer: "has been raining", tense: "Present Perfect Continuous", options: ["is raining", "rained", "has been raining", "had been raining"] },
+    { sentence: "We ___ (go) to the sea last summer.", answer: "went", tense: "Past Simple", options: ["go", "have gone", "went", "had gone"] },
+    { sentence: "I ___ (sleep) when you called.", answer: "was sleeping", tense: "Past Continuous", options: ["slept", "was sleeping", "have slept", "am sleeping"] },
+    { sentence: "The train ___ (leave) before we arrived.", answer: "had left", tense: "Past Perfect", options: ["left", "has left", "had left", "was leaving"] },
+    { sentence: "She ___ (work) there for five years before she quit.", answer: "had been working", tense: "Past Perfect Continuous", options: ["has been working", "had been working", "was working", "worked"] },
+    { sentence: "I think it ___ (be) sunny tomorrow.", answer: "will be", tense: "Future Simple", acceptedAnswers: ["'ll be"], options: ["is", "will be", "was", "will have been"] },
+    { sentence: "This time tomorrow I ___ (fly) to Paris.", answer: "will be flying", tense: "Future Continuous", options: ["will fly", "will be flying", "am flying", "will have flown"] },
+    { sentence: "I ___ (finish) the project by Friday.", answer: "will have finished", tense: "Future Perfect", options: ["will finish", "will have finished", "have finished", "will be finishing"] },
+    { sentence: "By June I ___ (work) here for ten years.", answer: "will have been working", tense: "Future Perfect Continuous", options: ["will work", "will have worked", "will have been working", "have been working"] }
+];
+
+export const transformExercises = [
+    { sentence: "I finish work at six.", targetTense: "Past Simple", answer: "I finished work at six." },
+    { sentence: "She reads a book.", targetTense: "Present Continuous", answer: "She is reading a book." },
+    { sentence: "They build a house.", targetTense: "Present Perfect", answer: "They have built a house." },
+    { sentence: "He waits for the bus.", targetTense: "Present Perfect Continuous", answer: "He has been waiting for the bus." },
+    { sentence: "We watch TV.", targetTense: "Past Continuous", answer: "We were watching TV." },
+    { sentence: "She cooked dinner.", targetTense: "Past Perfect", answer: "She had cooked dinner." },
+    { sentence: "They walked all day.", targetTense: "Past Perfect Continuous", answer: "They had been walking all day." },
+    { sentence: "I call my friend.", targetTense: "Future Simple", answer: "I will call my friend." },
+    { sentence: "She works all evening.", targetTense: "Future Continuous", answer: "She will be working all evening." },
+    { sentence: "We finished the report.", targetTense: "Future Perfect", answer: "We will have finished the report." },
+    { sentence: "He studies for six hours.", targetTense: "Future Perfect Continuous", answer: "He will have been studying for six hours." },
+    { sentence: "I am eating an apple.", targetTense: "Present Simple", answer: "I eat an apple." }
+];
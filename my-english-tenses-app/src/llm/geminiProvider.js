@@ -0,0 +1,51 @@
+import createTextProvider from './createTextProvider';
+import { createApiError } from './retry';
+import { readEventStream } from './sse';
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const textOf = (result) => result.candidates?.[0]?.content?.parts?.[0]?.text;
+
+// Google Gemini via the generateContent REST endpoint, or streamGenerateContent
+// when the caller wants the text as it is produced (`onText`)
+const createGeminiProvider = ({ apiKey, model = 'gemini-2.0-flash' }) => {
+    const complete = async (prompt, { json = false, signal, onText } = {}) => {
+        const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
+        if (json) {
+            payload.generationConfig = { responseMimeType: 'application/json' };
+        }
+        const apiUrl = onText
+            ? `${GEMINI_API_BASE}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+            : `${GEMINI_API_BASE}/${model}:generateContent?key=${apiKey}`;
+
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await createApiError(response);
+        }
+
+        if (onText) {
+            let text = '';
+            await readEventStream(response, ({ data }) => {
+                text += textOf(JSON.parse(data)) || '';
+                onText(text);
+            });
+            return text;
+        }
+
+        const text = textOf(await response.json());
+        if (typeof text !== 'string') {
+            throw new Error("Unexpected response structure from Gemini or no content generated.");
+        }
+        return text;
+    };
+
+    return createTextProvider('gemini', complete, { origin: GEMINI_API_BASE });
+};
+
+export default createGeminiProvider;
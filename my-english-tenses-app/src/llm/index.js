@@ -0,0 +1,39 @@
+import createGeminiProvider from './geminiProvider';
+import createOpenAiProvider from './openAiProvider';
+import createMockProvider from './mockProvider';
+import createProxyProvider from './proxyProvider';
+
+// Providers selectable on the settings screen; labels are in the i18n catalogues under `settings.providers`
+export const availableProviders = ['proxy', 'gemini', 'openai', 'mock'];
+
+export const defaultProviderId = process.env.REACT_APP_LLM_PROVIDER || 'proxy';
+
+// Creates a provider by id; connection settings come from REACT_APP_* variables.
+// `getIdToken` (the Firebase user's) identifies the user to our API server for rate limiting.
+export const createProvider = (id, { getIdToken } = {}) => {
+    switch (id) {
+        case 'proxy':
+            return createProxyProvider({
+                baseUrl: process.env.REACT_APP_API_BASE_URL || '',
+                getIdToken
+            });
+        case 'gemini':
+            if (!process.env.REACT_APP_GEMINI_API_KEY) {
+                throw new Error("REACT_APP_GEMINI_API_KEY is not set. Use the app server provider instead.");
+            }
+            return createGeminiProvider({
+                apiKey: process.env.REACT_APP_GEMINI_API_KEY,
+                model: process.env.REACT_APP_GEMINI_MODEL || 'gemini-2.0-flash'
+            });
+        case 'openai':
+            return createOpenAiProvider({
+                baseUrl: process.env.REACT_APP_OPENAI_BASE_URL || 'http://localhost:11434/v1',
+                apiKey: process.env.REACT_APP_OPENAI_API_KEY,
+                model: process.env.REACT_APP_OPENAI_MODEL || 'llama3.1'
+            });
+        case 'mock':
+            return createMockProvider();
+        default:
+            throw new Error(`Unknown LLM provider: ${id}`);
+    }
+};
@@ -0,0 +1,191 @@
+import { parseSentenceLines } from './parsing';
+import createMockProvider from './mockProvider';
+import createTextProvider from './createTextProvider';
+import { generateByPlan } from './planGeneration';
+import { generateSentenceSet } from './sentencePipeline';
+import { withRetry } from './retry';
+import util from 'util';
+import createProxyProvider from './proxyProvider';
+import { normaliseTenseName } from '../tenses';
+
+test('parses "Sentence [Tense]" lines and skips duplicates', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const used = new Set();
+    const result = parseSentenceLines('Я їм яблуко. [Present Simple]\nзайвий рядок\nЯ їм яблуко. [Present Simple]\nЯ спав. [Past Simple]', used);
+    expect(result).toEqual([
+        { sentence: 'Я їм яблуко.', tense: 'Present Simple' },
+        { sentence: 'Я спав.', tense: 'Past Simple' }
+    ]);
+    expect(used).toEqual(new Set(['я їм яблуко', 'я спав']));
+});
+
+test('mock provider generates deterministically across requested tenses', async () => {
+    const provider = createMockProvider();
+    const request = { tenses: ['Past Simple', 'Future Simple'], count: 3 };
+    const first = await provider.generateSentences({ ...request, usedSentences: new Set() });
+    const second = await provider.generateSentences({ ...request, usedSentences: new Set() });
+    expect(first).toEqual(second);
+    expect(first.map(item => item.tense)).toEqual(['Past Simple', 'Future Simple', 'Past Simple']);
+});
+
+test('mock provider gives a tense repeated in the plan a different sentence each time', async () => {
+    const provider = createMockProvider();
+    const plan = ['Past Simple', 'Future Simple', 'Past Simple', 'Future Simple'];
+    const result = await provider.generateSentences({ plan, count: plan.length, usedSentences: new Set() });
+    expect(result.map(item => item.tense)).toEqual(plan);
+    expect(new Set(result.map(item => item.sentence)).size).toBe(plan.length);
+});
+
+test('mock provider reviews answers against the reference translation', async () => {
+    const provider = createMockProvider();
+    const correct = await provider.reviewAnswer({ originalSentence: 'Я подзвоню тобі завтра.', userAnswer: 'i will call you tomorrow' });
+    const wrong = await provider.reviewAnswer({ originalSentence: 'Я подзвоню тобі завтра.', userAnswer: 'I call you tomorrow.' });
+    expect(correct).toMatchObject({ isCorrect: true, errors: [] });
+    expect(wrong).toMatchObject({
+        isCorrect: false,
+        correctedSentence: 'I will call you tomorrow.',
+        errors: [{ start: 1, end: 1, text: '', correction: 'will' }]
+    });
+});
+
+test('an imported reference translation is used for the review', async () => {
+    const provider = createMockProvider();
+    const review = await provider.reviewAnswer({ originalSentence: 'Я вже поїв.', userAnswer: 'I ate.', referenceTranslation: 'I have already eaten.' });
+    expect(review).toMatchObject({ isCorrect: false, correctedSentence: 'I have already eaten.' });
+
+    const complete = jest.fn().mockResolvedValue('{"isCorrect": true, "correctedSentence": "I ate.", "errors": [], "explanation": ""}');
+    await createTextProvider('test', complete).reviewAnswer({ originalSentence: 'Я поїв.', userAnswer: 'I ate.', referenceTranslation: 'I have eaten.' });
+    expect(complete).toHaveBeenCalledWith(expect.stringContaining('Еталонний переклад: "I have eaten."'), { json: true, kind: 'review' });
+});
+
+test('text providers send prompts through the complete function', async () => {
+    const complete = jest.fn().mockResolvedValue('Я їм яблуко. [Present Simple]');
+    const provider = createTextProvider('test', complete);
+    const result = await provider.generateSentences({ tenses: ['Present Simple'], themes: 'їжа', count: 1, usedSentences: new Set() });
+    expect(complete).toHaveBeenCalledWith(expect.stringContaining('Тема речень: їжа.'), { kind: 'generate' });
+    expect(result).toEqual([{ sentence: 'Я їм яблуко.', tense: 'Present Simple' }]);
+});
+
+test('regenerates slots whose returned tense does not match the plan', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = {
+        generateSentences: jest.fn()
+            .mockResolvedValueOnce([{ sentence: 'A', tense: 'past simple' }, { sentence: 'B', tense: 'Present Simple' }])
+            .mockResolvedValueOnce([{ sentence: 'C', tense: 'Future Simple' }])
+    };
+    const result = await generateByPlan(provider, { plan: ['Past Simple', 'Future Simple'], usedSentences: new Set() });
+    expect(result).toEqual([{ sentence: 'A', tense: 'Past Simple' }, { sentence: 'C', tense: 'Future Simple' }]);
+    expect(provider.generateSentences).toHaveBeenLastCalledWith(expect.objectContaining({ plan: ['Future Simple'], count: 1 }));
+});
+
+test('tolerates numbering, quotes and odd tense labels', () => {
+    const result = parseSentenceLines('1. "Я спав. [past simple]"\n\n- Я співатиму.  [Future-Simple tense]');
+    expect(result).toEqual([
+        { sentence: 'Я спав.', tense: 'past simple' },
+        { sentence: 'Я співатиму.', tense: 'Future-Simple tense' }
+    ]);
+    expect(result.map(item => normaliseTenseName(item.tense))).toEqual(['Past Simple', 'Future Simple']);
+    expect(normaliseTenseName('Present Indefinite')).toBeNull();
+});
+
+test('retries rate-limited calls with backoff and gives up on client errors', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sleep = jest.fn().mockResolvedValue();
+    const rateLimited = Object.assign(new Error('API error: 429'), { status: 429 });
+    const call = jest.fn().mockRejectedValueOnce(rateLimited).mockResolvedValueOnce('ok');
+    await expect(withRetry(call, { sleep })).resolves.toBe('ok');
+    expect(sleep).toHaveBeenCalledTimes(1);
+
+    const badRequest = Object.assign(new Error('API error: 400'), { status: 400 });
+    const failing = jest.fn().mockRejectedValue(badRequest);
+    await expect(withRetry(failing, { sleep })).rejects.toBe(badRequest);
+    expect(failing).toHaveBeenCalledTimes(1);
+});
+
+test('pipeline rejects unknown tenses and tops up to the requested count', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = {
+        generateSentences: jest.fn()
+            .mockResolvedValueOnce([{ sentence: 'A', tense: 'past simple' }, { sentence: 'B', tense: 'Aorist' }])
+            .mockResolvedValueOnce([{ sentence: 'C', tense: 'Past Simple' }, { sentence: 'D', tense: 'Past Simple' }])
+    };
+    const result = await generateSentenceSet(provider, { tenses: ['Past Simple'], count: 3, usedSentences: new Set() });
+    expect(result).toEqual([
+        { sentence: 'A', tense: 'Past Simple' },
+        { sentence: 'C', tense: 'Past Simple' },
+        { sentence: 'D', tense: 'Past Simple' }
+    ]);
+    expect(provider.generateSentences).toHaveBeenLastCalledWith(expect.objectContaining({ count: 2 }));
+});
+
+test('generation prompts list previously seen sentences as exclusions', async () => {
+    const complete = jest.fn().mockResolvedValue('');
+    const provider = createTextProvider('test', complete);
+    await provider.generateSentences({ tenses: ['Past Simple'], count: 1, usedSentences: new Set(), excludeSentences: ['Я спав.'] });
+    expect(complete).toHaveBeenCalledWith(expect.stringContaining('"Я спав."'), { kind: 'generate' });
+});
+
+test('mock provider supports the English to Ukrainian direction', async () => {
+    const provider = createMockProvider();
+    const [item] = await provider.generateSentences({ tenses: ['Future Simple'], count: 1, usedSentences: new Set(), direction: 'en-uk' });
+    expect(item).toEqual({ sentence: 'I will call you tomorrow.', tense: 'Future Simple' });
+    const review = await provider.reviewAnswer({ originalSentence: item.sentence, userAnswer: 'Я подзвоню тобі завтра', direction: 'en-uk' });
+    expect(review.isCorrect).toBe(true);
+});
+
+// fetch response whose body arrives in the given chunks
+const streamedResponse = (chunks) => {
+    const encoded = chunks.map(chunk => new util.TextEncoder().encode(chunk));
+    return {
+        ok: true,
+        body: {
+            getReader: () => ({
+                read: async () => (encoded.length > 0 ? { done: false, value: encoded.shift() } : { done: true }),
+                cancel: jest.fn().mockResolvedValue()
+            })
+        }
+    };
+};
+
+test('proxy reviews are streamed as partial reviews', async () => {
+    // jsdom has no TextDecoder
+    global.TextDecoder = global.TextDecoder || util.TextDecoder;
+    const review = JSON.stringify({ isCorrect: false, correctedSentence: 'I slept.', errors: [], explanation: 'Past Simple.' });
+    const event = (text) => `data: ${JSON.stringify({ text })}\n\n`;
+    // Chunk boundaries fall inside events
+    const body = event(review.slice(0, 20)) + event(review.slice(20)) + 'event: done\ndata: {}\n\n';
+    global.fetch = jest.fn().mockResolvedValue(streamedResponse([body.slice(0, 30), body.slice(30, 70), body.slice(70)]));
+    const controller = new AbortController();
+    const onPartial = jest.fn();
+
+    const result = await createProxyProvider({ getIdToken: async () => 'id-token' }).reviewAnswer({ originalSentence: 'Я спав.', userAnswer: 'I sleep.', signal: controller.signal, onPartial });
+    expect(global.fetch).toHaveBeenCalledWith('/api/review/stream', expect.objectContaining({ signal: controller.signal }));
+    // The server builds the prompt from the request's parameters
+    const [, { headers, body: requestBody }] = global.fetch.mock.calls[0];
+    expect(headers.Authorization).toBe('Bearer id-token');
+    expect(JSON.parse(requestBody)).toEqual({ type: 'review', originalSentence: 'Я спав.', userAnswer: 'I sleep.', direction: 'uk-en', referenceTranslation: null });
+    expect(onPartial).toHaveBeenCalledTimes(2);
+    expect(onPartial.mock.calls[0][0]).toMatchObject({ isCorrect: false, correctedSentence: '' });
+    expect(result).toMatchObject({ isCorrect: false, correctedSentence: 'I slept.', explanation: 'Past Simple.' });
+
+    global.fetch = jest.fn().mockResolvedValue(streamedResponse([event('{"isC'), 'event: error\ndata: {"status":429,"error":{"message":"slow down"}}\n\n']));
+    await expect(createProxyProvider({}).reviewAnswer({ originalSentence: 'Я спав.', userAnswer: 'I sleep.', onPartial }))
+        .rejects.toMatchObject({ status: 429 });
+    delete global.fetch;
+});
+
+test('cancelled requests are not retried', async () => {
+    const controller = new AbortController();
+    const aborted = Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+    const call = jest.fn().mockRejectedValue(aborted);
+    await expect(withRetry(call, { signal: controller.signal })).rejects.toBe(aborted);
+    expect(call).toHaveBeenCalledTimes(1);
+
+    // A cancellation during the backoff stops before the next attempt
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const failing = jest.fn().mockRejectedValue(Object.assign(new Error('API error: 503'), { status: 503 }));
+    const sleep = jest.fn(async () => controller.abort());
+    await expect(withRetry(failing, { sleep, signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(failing).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,124 @@
+import sentenceBank from './sentenceBank';
+import { diffToErrors } from '../review/diff';
+import { normaliseSentence } from './parsing';
+import { gapExercises, transformExercises } from './exerciseBank';
+import { tenseOptions } from '../exercises/exerciseKinds';
+import { createTranslator } from '../i18n';
+
+// Sentence shown to the learner and the expected answer for a bank entry
+const sidesOf = (item, direction) => (
+    direction === 'en-uk'
+        ? { source: item.translation, target: item.sentence }
+        : { source: item.sentence, target: item.translation }
+);
+
+// Bank exercises of a kind, in the shape of exercises/exerciseSchema.js
+const exercisesOfKind = (kind, bank) => {
+    switch (kind) {
+        case 'gap-fill':
+            return gapExercises.map(({ options, ...item }) => ({ kind, ...item, acceptedAnswers: item.acceptedAnswers || [] }));
+        case 'choose-form':
+            return gapExercises.map(({ acceptedAnswers, ...item }) => ({ kind, ...item }));
+        case 'identify-tense':
+            return bank.map(item => ({ kind, sentence: item.translation, answer: item.tense, tense: item.tense, options: tenseOptions(item.tense) }));
+        case 'transform':
+            return transformExercises.map(item => ({ kind, ...item, tense: item.targetTense }));
+        default:
+            return [];
+    }
+};
+
+// Deterministic offline provider backed by the bundled sentence bank.
+// Useful for working without network access and in tests.
+const createMockProvider = ({ bank = sentenceBank } = {}) => ({
+    id: 'mock',
+
+    // Takes sentences round-robin across the requested tenses, in bank order.
+    // A plan is followed slot by slot.
+    generateSentences: async ({ tenses, count, usedSentences = new Set(), plan, direction = 'uk-en' }) => {
+        const isUnused = (item) => !usedSentences.has(normaliseSentence(sidesOf(item, direction).source));
+        const take = (item) => {
+            const { source } = sidesOf(item, direction);
+            usedSentences.add(normaliseSentence(source));
+            return { sentence: source, tense: item.tense };
+        };
+
+        if (plan) {
+            // Each pick is marked as used before the next slot, so a tense
+            // that repeats in the plan gets a different sentence each time
+            return plan.flatMap(tense => {
+                const item = bank.find(candidate => candidate.tense === tense && isUnused(candidate));
+                return item ? [take(item)] : [];
+            });
+        }
+        const queues = tenses.map(tense => bank.filter(item => item.tense === tense && isUnused(item)));
+        const result = [];
+        while (result.length < count && queues.some(queue => queue.length > 0)) {
+            for (const queue of queues) {
+                if (result.length >= count) break;
+                const item = queue.shift();
+                if (item) {
+                    result.push(take(item));
+                }
+            }
+        }
+        return result;
+    },
+
+    // Compares the answer with the reference translation word by word; the
+    // bank's translation is used unless the sentence comes with its own
+    reviewAnswer: async ({ originalSentence, userAnswer, direction = 'uk-en', referenceTranslation = null, explanationLocale }) => {
+        const t = createTranslator(explanationLocale);
+        const entry = bank.find(item => sidesOf(item, direction).source === originalSentence);
+        const target = referenceTranslation || (entry && sidesOf(entry, direction).target);
+        if (!target) {
+            return {
+                isCorrect: null,
+                correctedSentence: '',
+                errors: [],
+                explanation: t('localReview.noReference')
+            };
+        }
+        if (normaliseSentence(userAnswer) === normaliseSentence(target)) {
+            return { isCorrect: true, correctedSentence: userAnswer.trim(), errors: [], explanation: t('localReview.noErrors') };
+        }
+        return {
+            isCorrect: false,
+            correctedSentence: target,
+            errors: diffToErrors(userAnswer, target),
+            explanation: entry
+                ? t('localReview.differsFromReferenceTense', { tense: entry.tense })
+                : t('localReview.differsFromReference')
+        };
+    },
+
+    // Takes exercises of the kind round-robin across the requested tenses
+    generateExercises: async ({ kind, tenses, count, usedSentences = new Set() }) => {
+        const available = exercisesOfKind(kind, bank);
+        const queues = tenses.map(tense =>
+            available.filter(item => item.tense === tense && !usedSentences.has(normaliseSentence(item.sentence)))
+        );
+        const result = [];
+        while (result.length < count && queues.some(queue => queue.length > 0)) {
+            for (const queue of queues) {
+                if (result.length >= count) break;
+                const item = queue.shift();
+                if (item) {
+                    usedSentences.add(normaliseSentence(item.sentence));
+                    result.push(item);
+                }
+            }
+        }
+        return result;
+    },
+
+    // Transformations that don't match the reference are compared word by word
+    reviewExercise: async ({ exercise, userAnswer, explanationLocale }) => ({
+        isCorrect: false,
+        correctedSentence: exercise.answer,
+        errors: diffToErrors(userAnswer, exercise.answer, 'tense'),
+        explanation: createTranslator(explanationLocale)('localReview.expectedTense', { tense: exercise.targetTense })
+    })
+});
+
+export default createMockProvider;
@@ -0,0 +1,52 @@
+import createTextProvider from './createTextProvider';
+import { createApiError } from './retry';
+import { readEventStream } from './sse';
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself,
+// or a local one such as Ollama, LM Studio or llama.cpp server.
+// With `onText` the completion is streamed.
+const createOpenAiProvider = ({ baseUrl, apiKey, model }) => {
+    const complete = async (prompt, { json = false, signal, onText } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                ...(json && { response_format: { type: 'json_object' } }),
+                ...(onText && { stream: true })
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await createApiError(response);
+        }
+
+        if (onText) {
+            let text = '';
+            await readEventStream(response, ({ data }) => {
+                if (data === '[DONE]') return;
+                text += JSON.parse(data).choices?.[0]?.delta?.content || '';
+                onText(text);
+            });
+            return text;
+        }
+
+        const result = await response.json();
+        const text = result.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error("Unexpected response structure from the model server or no content generated.");
+        }
+        return text;
+    };
+
+    return createTextProvider('openai', complete, { origin: baseUrl });
+};
+
+export default createOpenAiProvider;
@@ -0,0 +1,40 @@
+// Comparison key for a sentence: case, punctuation and extra spaces are ignored
+export const normaliseSentence = (text) => text
+    .toLowerCase()
+    .replace(/[’ʼ`]/g, "'")
+    .replace(/[^\p{L}\p{N}\s']/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Parses model output in the "Sentence [Tense Name]" line format.
+// Numbering, bullets and wrapping quotes are tolerated; empty lines are ignored.
+// Lines that don't match or repeat an already used sentence are skipped;
+// usedSentences holds normaliseSentence() keys and is updated in place.
+export const parseSentenceLines = (rawText, usedSentences = new Set()) => {
+    const parsedSentences = [];
+    const lines = rawText.trim().split('\n');
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim()
+            .replace(/^(?:\d+[.)]|[-*•])\s*/, '') // Leading "1." / "2)" / "-" / "*"
+            .replace(/^["“«]|["”»]$/g, '')
+            .trim();
+        if (!line) continue;
+
+        const match = line.match(/^(.*\S)\s*\[([^\]]+)\]$/); // Matches "Sentence [Tense Name]"
+        if (match) {
+            const sentenceText = match[1].replace(/["”»]$/, '').trim();
+            const tenseText = match[2].trim();
+            const key = normaliseSentence(sentenceText);
+            if (!usedSentences.has(key)) {
+                usedSentences.add(key);
+                parsedSentences.push({ sentence: sentenceText, tense: tenseText });
+            } else {
+                console.log(`Skipping duplicate sentence: "${sentenceText}"`);
+            }
+        } else {
+            console.warn("Could not parse sentence line:", rawLine);
+        }
+    }
+    return parsedSentences;
+};
@@ -0,0 +1,36 @@
+import { normaliseTenseName } from '../tenses';
+
+// Generates sentences following a tense plan. Sentences whose [Tense] tag
+// doesn't match an open slot of the plan are discarded and the open slots are
+// requested again, up to maxAttempts times. Returns sentences in plan order;
+// slots that could not be filled are left out.
+export const generateByPlan = async (provider, { plan, themes, usedSentences, excludeSentences, direction, maxAttempts = 3 }) => {
+    const slots = plan.map(tense => ({ tense, sentence: null }));
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const open = slots.filter(slot => !slot.sentence);
+        if (open.length === 0) break;
+
+        const generated = await provider.generateSentences({
+            tenses: [...new Set(open.map(slot => slot.tense))],
+            themes,
+            count: open.length,
+            usedSentences,
+            excludeSentences,
+            direction,
+            plan: open.map(slot => slot.tense)
+        });
+
+        for (const item of generated) {
+            const tense = normaliseTenseName(item.tense);
+            const slot = open.find(candidate => !candidate.sentence && candidate.tense === tense);
+            if (slot) {
+                slot.sentence = { sentence: item.sentence, tense };
+            } else {
+                console.warn(`Discarding sentence with unrequested tense [${item.tense}]: "${item.sentence}"`);
+            }
+        }
+    }
+
+    return slots.filter(slot => slot.sentence).map(slot => slot.sentence);
+};
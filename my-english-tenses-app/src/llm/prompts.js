@@ -0,0 +1,164 @@
+import { reviewErrorCategories } from '../review/reviewSchema';
+import { defaultLocale, isSupportedLocale, locales } from '../i18n';
+
+// Prompt builders shared by all text-completion providers
+
+// Language of the generated sentences per translation direction
+const sourceLanguage = {
+    'uk-en': {
+        language: 'українською мовою',
+        format: '"Речення українською [Назва Часу]"',
+        example: '"Я їм яблуко. [Present Simple]"'
+    },
+    'en-uk': {
+        language: 'англійською мовою',
+        format: '"Sentence in English [Назва Часу]"',
+        example: '"I eat an apple. [Present Simple]"'
+    }
+};
+
+// Tells the model which sentences the learner has already seen
+const exclusionsPrompt = (excludeSentences) => (
+    excludeSentences.length > 0
+        ? ` Не повторюй і не перефразовуй ці речення, користувач їх уже бачив: ${excludeSentences.map(sentence => `"${sentence}"`).join('; ')}.`
+        : ''
+);
+
+export const buildGenerationPrompt = (tenses, themes, numberOfSentences, excludeSentences = [], direction = 'uk-en') => {
+    const tensesPrompt = tenses.join(', ');
+    const source = sourceLanguage[direction];
+
+    let prompt = `Створи ${numberOfSentences} простих, унікальних речень ${source.language}. Кожне речення має відповідати одному з граматичних часів: ${tensesPrompt}. Надай лише речення, кожне на новому рядку, без зайвого тексту чи нумерації. Кожне речення повинно бути у форматі ${source.format}. Наприклад: ${source.example}.`;
+
+    if (themes) {
+        prompt += ` Тема речень: ${themes}.`;
+    }
+    return prompt + exclusionsPrompt(excludeSentences);
+};
+
+// Asks for one sentence per plan entry, in plan order
+export const buildPlannedGenerationPrompt = (plan, themes, excludeSentences = [], direction = 'uk-en') => {
+    const planList = plan.map((tense, index) => `${index + 1}. ${tense}`).join('; ');
+    const source = sourceLanguage[direction];
+
+    let prompt = `Створи ${plan.length} простих, унікальних речень ${source.language} — по одному для кожного пункту плану, у тому ж порядку: ${planList}. Надай лише речення, кожне на новому рядку, без зайвого тексту чи нумерації. Кожне речення повинно бути у форматі ${source.format}, де Назва Часу — час із відповідного пункту плану. Наприклад: ${source.example}.`;
+
+    if (themes) {
+        prompt += ` Тема речень: ${themes}.`;
+    }
+    return prompt + exclusionsPrompt(excludeSentences);
+};
+
+// What is being checked, per translation direction
+const reviewIntro = {
+    'uk-en': (original, answer) =>
+        `Оригінальне речення українською: "${original}". Відповідь користувача англійською: "${answer}". ` +
+        `Перевір переклад і поверни лише JSON без markdown та зайвого тексту за схемою: `,
+    'en-uk': (original, answer) =>
+        `Оригінальне речення англійською: "${original}". Переклад користувача українською: "${answer}". ` +
+        `Перевір, чи переклад правильно передає зміст і граматичний час оригіналу та чи він граматично правильний українською, і поверни лише JSON без markdown та зайвого тексту за схемою: `
+};
+
+const correctedSentenceHint = {
+    'uk-en': 'граматично правильна версія речення англійською',
+    'en-uk': 'правильний переклад українською, якомога ближчий до відповіді користувача'
+};
+
+// A reference translation is one accepted answer, not the only one
+const referenceHint = (referenceTranslation) => (referenceTranslation
+    ? `Еталонний переклад: "${referenceTranslation}". Інші правильні переклади з тим самим часом також приймай. `
+    : '');
+
+// "українською": the language review explanations are asked for, by locale (i18n/index.js)
+const explanationLanguage = (locale) => locales[isSupportedLocale(locale) ? locale : defaultLocale].promptName;
+
+export const buildReviewPrompt = (originalSentence, userAnswer, direction = 'uk-en', referenceTranslation = null, explanationLocale = defaultLocale) =>
+    reviewIntro[direction](originalSentence, userAnswer) +
+    referenceHint(referenceTranslation) +
+    `{"isCorrect": boolean, "correctedSentence": string, "errors": [{"start": number, "end": number, "text": string, "category": string, "correction": string, "explanation": string}], "explanation": string}. ` +
+    `isCorrect — чи речення написане правильно; correctedSentence — ${correctedSentenceHint[direction]} (або відповідь користувача, якщо помилок немає). ` +
+    `Для кожної помилки: text — помилковий фрагмент точно як у відповіді користувача, start і end — його позиції символів у відповіді (з 0, end не включно), ` +
+    `category — одне з: ${reviewErrorCategories.join(', ')}; correction — правильний варіант фрагмента; explanation — стисле пояснення ${explanationLanguage(explanationLocale)}. ` +
+    `Поле explanation верхнього рівня — загальний коментар ${explanationLanguage(explanationLocale)}. Якщо помилок немає, errors — порожній масив.`;
+
+// Item format and task per exercise kind (see exercises/exerciseSchema.js)
+const exerciseTasks = {
+    'gap-fill': {
+        task: 'англійських речень для вправи "заповніть пропуск": у кожному реченні дієслово-присудок замінено на ___, а після пропуску в дужках подано його початкову форму',
+        item: '{"sentence": "She ___ (work) in a hospital.", "answer": "works", "tense": "Present Simple"}'
+    },
+    'choose-form': {
+        task: 'англійських речень для вправи "оберіть правильний час": у кожному реченні дієслово замінено на ___ з початковою формою в дужках, і є 4 варіанти форми цього дієслова в різних часах, лише один з яких правильний за контекстом',
+        item: '{"sentence": "By next June, I ___ (work) here for ten years.", "options": ["will have been working", "have worked", "am working", "will work"], "answer": "will have been working", "tense": "Future Perfect Continuous"}'
+    },
+    'identify-tense': {
+        task: 'англійських речень для вправи "визначте час речення"; час має однозначно визначатися з форми дієслова',
+        item: '{"sentence": "They had finished the work before lunch.", "tense": "Past Perfect"}'
+    },
+    'transform': {
+        task: 'англійських речень для вправи "трансформація": речення в одному часі, яке треба переписати в іншому часі (targetTense) зі списку',
+        item: '{"sentence": "I finish work at six.", "targetTense": "Past Perfect", "answer": "I had finished work at six."}'
+    }
+};
+
+export const buildExercisePrompt = (kind, tenses, themes, count, excludeSentences = []) => {
+    const { task, item } = exerciseTasks[kind];
+
+    let prompt = `Створи ${count} простих, унікальних ${task}. Використовуй лише ці граматичні часи: ${tenses.join(', ')}. ` +
+        `Поверни лише JSON-масив без markdown та зайвого тексту, кожен елемент у форматі: ${item}. Назви часів пиши англійською, як у списку.`;
+
+    if (themes) {
+        prompt += ` Тема речень: ${themes}.`;
+    }
+    return prompt + exclusionsPrompt(excludeSentences);
+};
+
+// Review of a transformation that differs from the reference answer
+export const buildTransformReviewPrompt = (exercise, userAnswer, explanationLocale = defaultLocale) =>
+    `Завдання: переписати англійське речення "${exercise.sentence}" у часі ${exercise.targetTense}. Еталонна відповідь: "${exercise.answer}". ` +
+    `Відповідь користувача: "${userAnswer}". Перевір, чи відповідь правильна (допускаються інші правильні варіанти, що зберігають зміст і мають час ${exercise.targetTense}), і поверни лише JSON без markdown та зайвого тексту за схемою: ` +
+    `{"isCorrect": boolean, "correctedSentence": string, "errors": [{"start": number, "end": number, "text": string, "category": string, "correction": string, "explanation": string}], "explanation": string}. ` +
+    `correctedSentence — правильний варіант, якомога ближчий до відповіді користувача. ` +
+    `Для кожної помилки: text — помилковий фрагмент точно як у відповіді користувача, start і end — його позиції символів у відповіді (з 0, end не включно), ` +
+    `category — одне з: ${reviewErrorCategories.join(', ')}; correction — правильний варіант фрагмента; explanation — стисле пояснення ${explanationLanguage(explanationLocale)}. ` +
+    `Поле explanation верхнього рівня — загальний коментар ${explanationLanguage(explanationLocale)}.`;
+
+// Structured requests { type, ...params }: what a backend that builds the
+// prompts itself (our API server, server/requests.js) is sent instead of a
+// prompt. `endpoint` is the server route, `json` whether the reply is JSON.
+const requestTypes = {
+    sentences: {
+        endpoint: 'generate',
+        json: false,
+        prompt: ({ tenses, themes, count, plan, excludeSentences, direction }) => (plan
+            ? buildPlannedGenerationPrompt(plan, themes, excludeSentences, direction)
+            : buildGenerationPrompt(tenses, themes, count, excludeSentences, direction))
+    },
+    exercises: {
+        endpoint: 'generate',
+        json: true,
+        prompt: ({ kind, tenses, themes, count, excludeSentences }) => buildExercisePrompt(kind, tenses, themes, count, excludeSentences)
+    },
+    review: {
+        endpoint: 'review',
+        json: true,
+        prompt: ({ originalSentence, userAnswer, direction, referenceTranslation, explanationLocale }) =>
+            buildReviewPrompt(originalSentence, userAnswer, direction, referenceTranslation, explanationLocale)
+    },
+    exerciseReview: {
+        endpoint: 'review',
+        json: true,
+        prompt: ({ exercise, userAnswer, explanationLocale }) => buildTransformReviewPrompt(exercise, userAnswer, explanationLocale)
+    }
+};
+
+export const requestEndpoint = (type) => (Object.prototype.hasOwnProperty.call(requestTypes, type) ? requestTypes[type].endpoint : null);
+
+// Exercise kinds the model generates (the others are built locally)
+export const generatedExerciseKinds = Object.keys(exerciseTasks);
+
+// { prompt, json, endpoint } for a request
+export const buildRequestPrompt = ({ type, ...params }) => {
+    const { prompt, ...options } = requestTypes[type];
+    return { prompt: prompt(params), ...options };
+};
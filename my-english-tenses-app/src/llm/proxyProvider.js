@@ -0,0 +1,58 @@
+import createTextProvider from './createTextProvider';
+import { createApiError } from './retry';
+import { readEventStream } from './sse';
+
+// Our own backend (see server/): structured requests (no prompts) are sent to
+// /api/generate or /api/review; the server builds the prompt and calls the
+// model with its own API key.
+// With `onText` the streaming variant (/api/review/stream) is used; it sends
+// { text } events with the new text, then "done", or an "error" event if the
+// model fails.
+// `getIdToken` resolves to the signed-in user's Firebase ID token, sent for
+// per-user rate limiting; the server refuses requests without one.
+const createProxyProvider = ({ baseUrl = '', getIdToken }) => {
+    const complete = async (request, { kind = 'generate', signal, onText } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        const idToken = getIdToken && await getIdToken();
+        if (idToken) {
+            headers.Authorization = `Bearer ${idToken}`;
+        }
+
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/api/${kind}${onText ? '/stream' : ''}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(request),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await createApiError(response);
+        }
+
+        if (onText) {
+            let text = '';
+            await readEventStream(response, ({ event, data }) => {
+                if (event === 'done') return;
+                const message = JSON.parse(data);
+                if (event === 'error') {
+                    const error = new Error(`API error: ${message.status} - ${message.error?.message || 'Unknown error'}`);
+                    error.status = message.status;
+                    throw error;
+                }
+                text += message.text || '';
+                onText(text);
+            });
+            return text;
+        }
+
+        const result = await response.json();
+        if (typeof result.text !== 'string') {
+            throw new Error("Unexpected response structure from the API server.");
+        }
+        return result.text;
+    };
+
+    return createTextProvider('proxy', complete, { origin: baseUrl, remotePrompts: true });
+};
+
+export default createProxyProvider;
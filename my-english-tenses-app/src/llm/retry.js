@@ -0,0 +1,40 @@
+// Retries a provider call on rate limiting (429), server errors and network
+// failures with exponential backoff. Other HTTP errors and cancellation
+// (an aborted `signal`) fail immediately.
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Error of a request cancelled through an AbortController
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export const isRetryableError = (error) =>
+    error.status === undefined ? error instanceof TypeError : error.status === 429 || error.status >= 500;
+
+export const withRetry = async (call, { retries = 3, baseDelayMs = 500, sleep = defaultSleep, signal } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await call();
+        } catch (error) {
+            if (attempt >= retries || !isRetryableError(error)) throw error;
+            const delay = error.retryAfterMs ?? baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs;
+            console.warn(`Request failed (${error.message}), retrying in ${Math.round(delay)} ms`);
+            await sleep(delay);
+            if (signal?.aborted) {
+                // signal.throwIfAborted() is missing in older browsers
+                throw signal.reason || new DOMException('The operation was aborted.', 'AbortError');
+            }
+        }
+    }
+};
+
+// Error for a non-OK HTTP response, carrying the status and Retry-After hint
+export const createApiError = async (response) => {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(`API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    error.status = response.status;
+    const retryAfter = Number(response.headers?.get?.('Retry-After'));
+    if (retryAfter > 0) {
+        error.retryAfterMs = retryAfter * 1000;
+    }
+    return error;
+};
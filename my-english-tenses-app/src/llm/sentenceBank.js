@@ -0,0 +1,65 @@
+// Bundled sentences for the offline mock provider.
+// Each entry has the Ukrainian sentence, its tense and a reference English translation.
+const sentenceBank = [
+    { sentence: "Я їм яблуко щоранку.", tense: "Present Simple", translation: "I eat an apple every morning." },
+    { sentence: "Вона працює в лікарні.", tense: "Present Simple", translation: "She works in a hospital." },
+    { sentence: "Ми часто ходимо в кіно.", tense: "Present Simple", translation: "We often go to the cinema." },
+    { sentence: "Потяг відправляється о восьмій.", tense: "Present Simple", translation: "The train leaves at eight." },
+
+    { sentence: "Я зараз читаю книгу.", tense: "Present Continuous", translation: "I am reading a book now." },
+    { sentence: "Діти граються в саду.", tense: "Present Continuous", translation: "The children are playing in the garden." },
+    { sentence: "Він зараз готує вечерю.", tense: "Present Continuous", translation: "He is cooking dinner now." },
+    { sentence: "Ми зараз чекаємо на автобус.", tense: "Present Continuous", translation: "We are waiting for the bus now." },
+
+    { sentence: "Я вже закінчив домашнє завдання.", tense: "Present Perfect", translation: "I have already finished my homework." },
+    { sentence: "Вона ніколи не була в Лондоні.", tense: "Present Perfect", translation: "She has never been to London." },
+    { sentence: "Ми щойно купили нову машину.", tense: "Present Perfect", translation: "We have just bought a new car." },
+    { sentence: "Вони вже бачили цей фільм.", tense: "Present Perfect", translation: "They have already seen this film." },
+
+    { sentence: "Я вивчаю англійську вже три роки.", tense: "Present Perfect Continuous", translation: "I have been learning English for three years." },
+    { sentence: "Вона чекає на тебе з ранку.", tense: "Present Perfect Continuous", translation: "She has been waiting for you since morning." },
+    { sentence: "Ми живемо тут з 2015 року.", tense: "Present Perfect Continuous", translation: "We have been living here since 2015." },
+    { sentence: "Дощ іде вже дві години.", tense: "Present Perfect Continuous", translation: "It has been raining for two hours." },
+
+    { sentence: "Вчора я відвідав бабусю.", tense: "Past Simple", translation: "I visited my grandmother yesterday." },
+    { sentence: "Вона купила сукню минулого тижня.", tense: "Past Simple", translation: "She bought a dress last week." },
+    { sentence: "Ми поїхали до моря влітку.", tense: "Past Simple", translation: "We went to the sea in summer." },
+    { sentence: "Він написав листа другові.", tense: "Past Simple", translation: "He wrote a letter to his friend." },
+
+    { sentence: "Я спав, коли ти подзвонив.", tense: "Past Continuous", translation: "I was sleeping when you called." },
+    { sentence: "Вони дивилися телевізор о дев'ятій вечора.", tense: "Past Continuous", translation: "They were watching TV at nine in the evening." },
+    { sentence: "Вона готувала обід, коли прийшли гості.", tense: "Past Continuous", translation: "She was cooking lunch when the guests came." },
+    { sentence: "Ми гуляли парком, коли почався дощ.", tense: "Past Continuous", translation: "We were walking in the park when it started to rain." },
+
+    { sentence: "Я вже поїв, коли ти прийшов.", tense: "Past Perfect", translation: "I had already eaten when you came." },
+    { sentence: "Потяг відійшов до того, як ми приїхали на вокзал.", tense: "Past Perfect", translation: "The train had left before we arrived at the station." },
+    { sentence: "Вона ніколи раніше не бачила снігу.", tense: "Past Perfect", translation: "She had never seen snow before." },
+    { sentence: "Вони закінчили роботу до обіду.", tense: "Past Perfect", translation: "They had finished the work before lunch." },
+
+    { sentence: "Я чекав дві години, перш ніж він прийшов.", tense: "Past Perfect Continuous", translation: "I had been waiting for two hours before he came." },
+    { sentence: "Вона працювала там п'ять років, перш ніж звільнилася.", tense: "Past Perfect Continuous", translation: "She had been working there for five years before she quit." },
+    { sentence: "Ми йшли цілий день і дуже втомилися.", tense: "Past Perfect Continuous", translation: "We had been walking all day and were very tired." },
+    { sentence: "Він навчався годину, коли вимкнули світло.", tense: "Past Perfect Continuous", translation: "He had been studying for an hour when the lights went out." },
+
+    { sentence: "Я подзвоню тобі завтра.", tense: "Future Simple", translation: "I will call you tomorrow." },
+    { sentence: "Вона допоможе нам із переїздом.", tense: "Future Simple", translation: "She will help us with the move." },
+    { sentence: "Ми поїдемо до Києва наступного місяця.", tense: "Future Simple", translation: "We will go to Kyiv next month." },
+    { sentence: "Думаю, завтра буде сонячно.", tense: "Future Simple", translation: "I think it will be sunny tomorrow." },
+
+    { sentence: "Завтра о цій порі я летітиму до Парижа.", tense: "Future Continuous", translation: "This time tomorrow I will be flying to Paris." },
+    { sentence: "Вона працюватиме весь вечір.", tense: "Future Continuous", translation: "She will be working all evening." },
+    { sentence: "О восьмій ми вечерятимемо.", tense: "Future Continuous", translation: "We will be having dinner at eight." },
+    { sentence: "Діти спатимуть, коли ми повернемося.", tense: "Future Continuous", translation: "The children will be sleeping when we come back." },
+
+    { sentence: "Я закінчу проєкт до п'ятниці.", tense: "Future Perfect", translation: "I will have finished the project by Friday." },
+    { sentence: "До кінця року вона прочитає двадцять книжок.", tense: "Future Perfect", translation: "She will have read twenty books by the end of the year." },
+    { sentence: "Вони побудують міст до літа.", tense: "Future Perfect", translation: "They will have built the bridge by summer." },
+    { sentence: "До твого приходу ми вже приготуємо вечерю.", tense: "Future Perfect", translation: "We will have cooked dinner by the time you come." },
+
+    { sentence: "У червні я працюватиму тут уже десять років.", tense: "Future Perfect Continuous", translation: "In June I will have been working here for ten years." },
+    { sentence: "До вечора вона вчитиметься вже шість годин.", tense: "Future Perfect Continuous", translation: "By evening she will have been studying for six hours." },
+    { sentence: "Наступного року ми житимемо в цьому місті вже п'ять років.", tense: "Future Perfect Continuous", translation: "Next year we will have been living in this city for five years." },
+    { sentence: "О третій він вестиме машину вже чотири години.", tense: "Future Perfect Continuous", translation: "At three he will have been driving for four hours." }
+];
+
+export default sentenceBank;
@@ -0,0 +1,51 @@
+import { normaliseTenseName } from '../tenses';
+import { generateByPlan } from './planGeneration';
+import { withRetry } from './retry';
+
+// Keeps only sentences tagged with one of the requested tenses, under the canonical tense name
+const acceptRequestedTenses = (items, tenses) => items.flatMap(item => {
+    const tense = normaliseTenseName(item.tense);
+    if (!tense || !tenses.includes(tense)) {
+        console.warn(`Rejecting sentence with unknown or unrequested tense [${item.tense}]: "${item.sentence}"`);
+        return [];
+    }
+    return [{ sentence: item.sentence, tense }];
+});
+
+// Generates `count` sentences: every provider call is retried on API errors,
+// tense labels are validated, and follow-up requests top the set up until the
+// count is reached or maxRounds requests were made. May return fewer sentences
+// than requested if the model keeps failing; callers should use the real length.
+// Aborting `signal` cancels the request in flight and stops the loop.
+export const generateSentenceSet = async (provider, { tenses, themes, count, usedSentences, excludeSentences = [], direction, plan = null, maxRounds = 4, retry, signal }) => {
+    const reliableProvider = {
+        ...provider,
+        generateSentences: (request) => withRetry(() => provider.generateSentences({ ...request, signal }), { ...retry, signal })
+    };
+
+    if (plan) {
+        return generateByPlan(reliableProvider, { plan, themes, usedSentences, excludeSentences, direction, maxAttempts: maxRounds });
+    }
+
+    const sentences = [];
+    for (let round = 0; round < maxRounds && sentences.length < count; round++) {
+        const missing = count - sentences.length;
+        const generated = await reliableProvider.generateSentences({ tenses, themes, count: missing, usedSentences, excludeSentences, direction });
+        sentences.push(...acceptRequestedTenses(generated, tenses).slice(0, missing));
+    }
+    return sentences;
+};
+
+// Same retry and top-up loop for non-translation exercises. Tense labels are
+// validated while parsing; exercises outside the requested tenses are dropped.
+export const generateExerciseSet = async (provider, { kind, tenses, themes, count, usedSentences, excludeSentences = [], maxRounds = 4, retry, signal }) => {
+    const exercises = [];
+    for (let round = 0; round < maxRounds && exercises.length < count; round++) {
+        const missing = count - exercises.length;
+        const generated = await withRetry(() => provider.generateExercises({
+            kind, tenses, themes, count: missing, usedSentences, excludeSentences, signal
+        }), { ...retry, signal });
+        exercises.push(...generated.filter(exercise => tenses.includes(exercise.tense)).slice(0, missing));
+    }
+    return exercises;
+};
@@ -0,0 +1,40 @@
+// Reads a server-sent events response (text/event-stream) as it arrives and
+// calls `onEvent({ event, data })` for every event; `event` is 'message'
+// unless the server names it. Resolves when the stream ends; an error thrown
+// by `onEvent` cancels the stream and rejects.
+export const readEventStream = async (response, onEvent) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = 'message';
+    let data = [];
+
+    const dispatchLine = (line) => {
+        if (line === '') {
+            if (data.length > 0) onEvent({ event, data: data.join('\n') });
+            event = 'message';
+            data = [];
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).replace(/^ /, ''));
+        } else if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        }
+        // Comments (":") and other fields are ignored
+    };
+
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+            const lines = buffer.split(/\r\n|\r|\n/);
+            buffer = done ? '' : lines.pop();
+            lines.forEach(dispatchLine);
+            if (done) break;
+        }
+        dispatchLine('');
+    } catch (error) {
+        // An error thrown by onEvent stops reading; the rest of the stream is dropped
+        reader.cancel().catch(() => {});
+        throw error;
+    }
+};
@@ -0,0 +1,209 @@
+import { canAdvance, currentItem, initialPracticeState, practiceReducer } from './practiceReducer';
+import { restorablePracticeState } from './practiceDraft';
+import { defaultPracticeOptions, prepareSessionItems, reviewPracticeItem, validateSessionOptions } from './sessionFlow';
+import { parseSessionLink, sessionLinkParams } from './sessionLink';
+import { MAX_IMPORTED_SENTENCES, parseSentenceImport } from './sentenceImport';
+import { sessionReportHtml, sessionToCsv, sessionToJson } from './sessionExport';
+import { buildSession } from '../storage/sessions';
+import createMockProvider from '../llm/mockProvider';
+import createLocalStore from '../storage/localStore';
+import { createTranslator } from '../i18n';
+
+const items = [
+    { originalSentence: 'Я спав.', tenseUsed: 'Past Simple', userAnswer: '', geminiReview: null },
+    { originalSentence: 'Я сплю.', tenseUsed: 'Present Simple', userAnswer: '', geminiReview: null }
+];
+const review = { isCorrect: true, correctedSentence: 'I slept.', errors: [], explanation: '' };
+
+const run = (actions, state = initialPracticeState) => actions.reduce(practiceReducer, state);
+
+const started = () => run([
+    { type: 'generationStarted', settings: { tenses: ['Past Simple'] } },
+    { type: 'sessionStarted', id: 's1', startedAt: '2025-01-01T10:00:00.000Z', items }
+]);
+
+test('walks a session from generation to the last review', () => {
+    let state = started();
+    expect(state).toMatchObject({ status: 'answering', index: 0, session: { id: 's1', settings: { tenses: ['Past Simple'] } } });
+
+    state = run([{ type: 'answerChanged', answer: 'I slept.' }, { type: 'reviewRequested' }], state);
+    expect(state.status).toBe('reviewing');
+    expect(canAdvance(state)).toBe(false);
+
+    state = run([{ type: 'reviewReceived', sessionId: 's1', review, answeredAt: 'now' }], state);
+    expect(currentItem(state)).toMatchObject({ userAnswer: 'I slept.', geminiReview: review, answeredAt: 'now' });
+
+    state = run([{ type: 'nextSentence' }], state);
+    expect(state).toMatchObject({ status: 'answering', index: 1, answer: '' });
+    expect(run([{ type: 'sessionFinished', session: {} }], state)).toBe(state);
+});
+
+test('ignores actions that do not fit the current status', () => {
+    const state = started();
+    expect(run([{ type: 'nextSentence' }], state)).toBe(state);
+    expect(run([{ type: 'sessionStarted', id: 'x', items: [] }], state)).toBe(state);
+    const reviewing = run([{ type: 'answerChanged', answer: 'I slept.' }, { type: 'reviewRequested' }], state);
+    expect(run([{ type: 'reviewReceived', sessionId: 'other', review }], reviewing)).toBe(reviewing);
+    expect(run([{ type: 'generationFailed', error: 'x' }], initialPracticeState)).toBe(initialPracticeState);
+});
+
+test('a streamed review fills in until it is received or cancelled', () => {
+    const reviewing = run([{ type: 'answerChanged', answer: 'I sleep.' }, { type: 'reviewRequested' }], started());
+    const draft = { isCorrect: false, correctedSentence: 'I sl', errors: [], explanation: '' };
+    let state = run([{ type: 'reviewProgress', sessionId: 's1', index: 0, review: draft }], reviewing);
+    expect(state.reviewDraft).toBe(draft);
+    expect(run([{ type: 'reviewProgress', sessionId: 's1', index: 1, review: draft }], reviewing)).toBe(reviewing);
+
+    expect(run([{ type: 'reviewReceived', sessionId: 's1', review }], state)).toMatchObject({ reviewDraft: null, status: 'reviewing' });
+    state = run([{ type: 'reviewCancelled' }], state);
+    expect(state).toMatchObject({ status: 'answering', answer: 'I sleep.', reviewDraft: null });
+
+    const generating = run([{ type: 'generationStarted', settings: {} }]);
+    expect(run([{ type: 'generationCancelled' }], generating)).toMatchObject({ status: 'idle', session: null });
+});
+
+test('a pending request is dropped when the state is restored', () => {
+    const reviewing = run([{ type: 'answerChanged', answer: 'I slept.' }, { type: 'reviewRequested' }], started());
+    expect(restorablePracticeState(reviewing)).toMatchObject({ status: 'answering', answer: 'I slept.' });
+    expect(restorablePracticeState({ ...reviewing, status: 'generating' }).status).toBe('idle');
+    expect(restorablePracticeState({ status: 'unknown' })).toBe(initialPracticeState);
+    expect(restorablePracticeState(null)).toBe(initialPracticeState);
+});
+
+test('validates the start-screen options', () => {
+    expect(validateSessionOptions({ tenses: [], numSentences: 3 })).toMatch(/оберіть/);
+    expect(validateSessionOptions({ tenses: [], numSentences: 3 }, 3)).toBe('');
+    expect(validateSessionOptions({ tenses: ['Past Simple'], numSentences: NaN })).toMatch(/більшою за нуль/);
+});
+
+test('prepares due items first and generated sentences after them', async () => {
+    const store = createLocalStore({ appId: 'app', userId: 'flow', storage: window.localStorage });
+    const dueItems = [{ originalSentence: 'Я бачив його.', tenseUsed: 'Past Simple', direction: 'uk-en' }];
+    const sessionItems = await prepareSessionItems({
+        provider: createMockProvider(),
+        store,
+        dueItems,
+        options: { tenses: ['Past Simple'], themes: '', numSentences: 3, exerciseKind: 'translation', directionMode: 'uk-en', adaptiveMode: false, includeDueItems: true }
+    });
+    expect(sessionItems).toHaveLength(3);
+    expect(sessionItems[0]).toMatchObject({ originalSentence: 'Я бачив його.', fromReviewQueue: true });
+    sessionItems.slice(1).forEach(item => expect(item).toMatchObject({ tenseUsed: 'Past Simple', kind: 'translation', direction: 'uk-en' }));
+});
+
+test('a translation in the wrong tense is reviewed without the model', async () => {
+    const provider = { reviewAnswer: jest.fn() };
+    const item = { originalSentence: 'Я з\'їв яблуко.', tenseUsed: 'Present Perfect', direction: 'uk-en' };
+    const local = await reviewPracticeItem({ provider, item, answer: 'I ate an apple.' });
+    expect(local).toMatchObject({ isCorrect: false, source: 'local' });
+    expect(provider.reviewAnswer).not.toHaveBeenCalled();
+
+    provider.reviewAnswer.mockResolvedValue(review);
+    await reviewPracticeItem({ provider, item, answer: 'I ate an apple.', localTenseCheck: false });
+    expect(provider.reviewAnswer).toHaveBeenCalledTimes(1);
+});
+
+test('session links carry the options and, optionally, the exact sentences', () => {
+    const options = { ...defaultPracticeOptions, tenses: ['Future Simple', 'Past Simple'], themes: 'подорожі', showTenseInPractice: false, directionMode: 'mixed' };
+    const params = Object.fromEntries(new URLSearchParams(new URLSearchParams(sessionLinkParams(options)).toString()));
+    expect(parseSessionLink(params)).toEqual({
+        options: { tenses: ['Past Simple', 'Future Simple'], themes: 'подорожі', numSentences: 5, showTenseInPractice: false, directionMode: 'mixed', exerciseKind: 'translation' },
+        items: null
+    });
+
+    const shared = parseSessionLink(sessionLinkParams(options, [{ ...items[0], direction: 'en-uk' }, items[1]]));
+    expect(shared.options.numSentences).toBe(2);
+    expect(shared.items).toEqual([
+        expect.objectContaining({ originalSentence: 'Я спав.', tenseUsed: 'Past Simple', direction: 'en-uk', kind: 'translation', geminiReview: null }),
+        expect.objectContaining({ originalSentence: 'Я сплю.', direction: 'uk-en' })
+    ]);
+});
+
+test('invalid link values are dropped', () => {
+    expect(parseSessionLink({})).toBeNull();
+    expect(parseSessionLink({ tenses: 'Past Simple,Nonsense', n: '500', dir: 'sideways', kind: 'poetry', items: 'not json' })).toEqual({
+        options: { tenses: ['Past Simple'], numSentences: 20 },
+        items: null
+    });
+});
+
+test('link exercises are checked like generated ones', () => {
+    const exercise = { kind: 'choose-form', sentence: 'I ___ (sleep).', options: ['slept', 'sleep'], answer: 'slept', tense: 'Past Simple' };
+    const entries = [
+        { s: 'Я спав.', t: 'Past Simple', e: exercise },
+        { s: 'Я спав.', t: 'Past Simple', e: { kind: 'choose-form' } },
+        { s: 'Я спав.', t: 'Past Simple', e: { ...exercise, options: 'slept' } },
+        { s: 'Я спав.', t: 'Past Simple', e: { kind: 'translation' } }
+    ];
+    const { items: linked } = parseSessionLink({ items: JSON.stringify(entries) });
+    expect(linked).toHaveLength(1);
+    expect(linked[0]).toMatchObject({ kind: 'choose-form', exercise: { options: ['slept', 'sleep'], answer: 'slept' } });
+});
+
+test('sentence lists are imported from CSV with or without a header', () => {
+    const withHeader = parseSentenceImport('\uFEFFЧас;Речення;Переклад\r\npast simple;"Я спав; довго.";I slept for a long time.\r\nNonsense;Без часу;\r\n', 'list.csv');
+    expect(withHeader.items).toEqual([{
+        originalSentence: 'Я спав; довго.',
+        userAnswer: '',
+        geminiReview: null,
+        tenseUsed: 'Past Simple',
+        kind: 'translation',
+        direction: 'uk-en',
+        referenceTranslation: 'I slept for a long time.'
+    }]);
+    expect(withHeader.errors).toEqual([2]);
+    expect(withHeader.truncated).toBe(0);
+
+    const plain = parseSentenceImport('Я сплю.,Present Simple\nI was sleeping.,Past Continuous,Я спав.,en-uk');
+    expect(plain.items.map(item => [item.tenseUsed, item.direction, item.referenceTranslation])).toEqual([
+        ['Present Simple', 'uk-en', undefined],
+        ['Past Continuous', 'en-uk', 'Я спав.']
+    ]);
+    expect(() => parseSentenceImport('just,text')).toThrow();
+});
+
+test('sentences beyond the import limit are counted, not silently dropped', () => {
+    const lines = Array.from({ length: MAX_IMPORTED_SENTENCES + 3 }, (_, index) => `Речення ${index + 1}.,Past Simple`);
+    const imported = parseSentenceImport(lines.join('\n'), 'long.csv');
+    expect(imported.items).toHaveLength(MAX_IMPORTED_SENTENCES);
+    expect(imported.truncated).toBe(3);
+    expect(createTranslator('en')('sentenceImport.truncated', { count: 3, max: MAX_IMPORTED_SENTENCES })).toBe('Only the first 100 sentences were loaded; 3 more were left out.');
+    expect(createTranslator('uk')('sentenceImport.truncated', { count: 5, max: MAX_IMPORTED_SENTENCES })).toBe('Завантажено перші 100 речень, ще 5 речень не ввійшли.');
+});
+
+test('JSON lists and exported sessions can be imported', () => {
+    const list = parseSentenceImport(JSON.stringify([{ sentence: 'Я сплю.', tense: 'Present Simple', translation: 'I sleep.' }]), 'list.json');
+    expect(list.items[0]).toMatchObject({ originalSentence: 'Я сплю.', referenceTranslation: 'I sleep.' });
+    expect(() => parseSentenceImport('{ broken', 'list.json')).toThrow();
+
+    const session = buildSession({
+        id: 's1',
+        startedAt: '2025-01-01T10:00:00.000Z',
+        settings: {},
+        sentences: [{ ...items[0], userAnswer: 'I slept.', geminiReview: review }, { ...items[1], exercise: { kind: 'gap-fill' } }]
+    });
+    const imported = parseSentenceImport(sessionToJson(session));
+    expect(imported.items.map(item => item.originalSentence)).toEqual(['Я спав.']);
+    expect(imported.errors).toEqual([2]);
+});
+
+test('sessions are exported as CSV and an escaped HTML report', () => {
+    const session = buildSession({
+        id: 's1',
+        startedAt: '2025-01-01T10:00:00.000Z',
+        settings: {},
+        sentences: [{
+            ...items[0],
+            userAnswer: 'I <b>sleep</b>.',
+            geminiReview: { isCorrect: false, correctedSentence: 'I slept.', errors: [{ text: 'sleep', category: 'tense', correction: 'slept', explanation: '' }], explanation: 'Минулий час, "slept".' }
+        }]
+    });
+    const [header, row] = sessionToCsv(session).split('\r\n');
+    expect(header).toMatch(/^№,Речення,Час/);
+    expect(row).toContain('1,Я спав.,Past Simple');
+    expect(row).toContain('неправильно,I slept.,Час: sleep,"Минулий час, ""slept""."');
+
+    const html = sessionReportHtml(session);
+    expect(html).toContain('I &lt;b&gt;sleep&lt;/b&gt;.');
+    expect(html).toContain('правильно 0 з 1');
+    expect(html).toContain('<td>Past Simple</td><td>0 з 1</td><td>0%</td>');
+});
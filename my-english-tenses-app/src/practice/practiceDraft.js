@@ -0,0 +1,33 @@
+import { currentItem, initialPracticeState, practiceStatuses } from './practiceReducer';
+
+// Keeps the practice state in sessionStorage so a refresh or a trip through
+// back/forward doesn't lose the running session
+const DRAFT_KEY = 'englishPractice:practiceState';
+
+// Requests can't survive a reload: a pending generation goes back to idle and
+// a pending review lets the learner submit the same answer again
+export const restorablePracticeState = (state) => {
+    if (!practiceStatuses.includes(state?.status)) return initialPracticeState;
+    if (state.status === 'generating') return { ...initialPracticeState, finishedSession: state.finishedSession || null };
+    if (state.status === 'reviewing' && !currentItem(state)?.geminiReview) {
+        return { ...initialPracticeState, ...state, status: 'answering', answer: currentItem(state)?.userAnswer || state.answer, reviewDraft: null };
+    }
+    return { ...initialPracticeState, ...state };
+};
+
+export const loadPracticeState = (storage = window.sessionStorage) => {
+    try {
+        return restorablePracticeState(JSON.parse(storage.getItem(DRAFT_KEY)));
+    } catch (e) {
+        console.error("Failed to restore the practice state:", e);
+        return initialPracticeState;
+    }
+};
+
+export const savePracticeState = (state, storage = window.sessionStorage) => {
+    try {
+        storage.setItem(DRAFT_KEY, JSON.stringify(state));
+    } catch (e) {
+        console.error("Failed to save the practice state:", e);
+    }
+};
@@ -0,0 +1,152 @@
+import { isChallenge } from '../game/challenge';
+
+// Practice session state machine:
+//
+//   idle → generating → answering ⇄ reviewing → finished
+//                ↘ idle (generation failed or cancelled)
+//
+// A review in flight can be cancelled, which goes back to answering with the
+// same answer. Starting a new session abandons the running one. An autosaved session
+// (storage/activeSession.js) can be restored from idle or finished.
+//
+// `items` are the session's sentences:
+// [{ originalSentence, tenseUsed, kind, direction, exercise, fromReviewQueue,
+//    userAnswer, geminiReview (structured review), answeredAt, answerSeconds, timedOut }]
+// While `reviewing`, the current item's review is null until it arrives;
+// `reviewDraft` holds the part of a streamed review received so far.
+//
+// In a timed challenge (game/challenge.js) running out of time while
+// answering reviews the unanswered sentence as timed out: the current one, or
+// with a session budget every remaining one, which ends the session.
+
+export const initialPracticeState = {
+    status: 'idle',
+    session: null, // { id, startedAt, settings } of the running session
+    items: [],
+    index: 0,
+    answer: '',
+    reviewDraft: null,
+    sentenceStartedAt: null, // When the current sentence was shown, for answer times
+    error: '',
+    finishedSession: null // Last completed session, shown on the summary screen
+};
+
+// Actions accepted in each status; anything else leaves the state unchanged
+const allowedActions = {
+    idle: ['generationStarted', 'sessionRestored', 'errorShown', 'reset'],
+    generating: ['generationFailed', 'generationCancelled', 'sessionStarted', 'reset'],
+    answering: ['generationStarted', 'answerChanged', 'reviewRequested', 'timeExpired', 'errorShown', 'reset'],
+    reviewing: ['generationStarted', 'reviewProgress', 'reviewReceived', 'reviewCancelled', 'nextSentence', 'sessionFinished', 'errorShown', 'reset'],
+    finished: ['generationStarted', 'sessionRestored', 'errorShown', 'reset']
+};
+
+export const practiceStatuses = Object.keys(allowedActions);
+
+export const currentItem = (state) => state.items[state.index] || null;
+
+export const isLastItem = (state) => state.index >= state.items.length - 1;
+
+// True while the current answer's review is being requested
+export const isReviewPending = (state) => state.status === 'reviewing' && !currentItem(state)?.geminiReview;
+
+// True while a model request for the session is in flight
+export const isBusy = (state) => state.status === 'generating' || isReviewPending(state);
+
+// The learner can move on once the current answer has its review
+export const canAdvance = (state) => state.status === 'reviewing' && Boolean(currentItem(state)?.geminiReview);
+
+const updateCurrentItem = (state, changes) => state.items.map((item, index) => (
+    index === state.index ? { ...item, ...changes } : item
+));
+
+const secondsBetween = (from, to) => (from && to ? Math.max(0, (Date.parse(to) - Date.parse(from)) / 1000) : null);
+
+export const practiceReducer = (state, action) => {
+    if (!allowedActions[state.status]?.includes(action.type)) return state;
+
+    switch (action.type) {
+        case 'generationStarted':
+            return { ...initialPracticeState, status: 'generating', session: { settings: action.settings }, finishedSession: state.finishedSession };
+        case 'generationFailed':
+            return { ...state, status: 'idle', session: null, error: action.error };
+        case 'generationCancelled':
+            return { ...state, status: 'idle', session: null, error: '' };
+        case 'sessionStarted':
+            return {
+                ...state,
+                status: 'answering',
+                session: { ...state.session, id: action.id, startedAt: action.startedAt },
+                items: action.items,
+                index: 0,
+                answer: '',
+                sentenceStartedAt: action.startedAt,
+                error: ''
+            };
+        case 'sessionRestored': {
+            // A timed sentence keeps its saved start, so a reload doesn't give
+            // it more time; otherwise the sentence's clock restarts
+            const keepsClock = isChallenge(action.state.session?.settings) && action.state.sentenceStartedAt;
+            return {
+                ...initialPracticeState,
+                ...action.state,
+                sentenceStartedAt: keepsClock ? action.state.sentenceStartedAt : action.at || null,
+                error: '',
+                finishedSession: state.finishedSession
+            };
+        }
+        case 'answerChanged':
+            return { ...state, answer: action.answer };
+        case 'reviewRequested':
+            return {
+                ...state,
+                status: 'reviewing',
+                error: '',
+                items: updateCurrentItem(state, {
+                    userAnswer: state.answer,
+                    geminiReview: null,
+                    answerSeconds: secondsBetween(state.sentenceStartedAt, action.at)
+                })
+            };
+        case 'timeExpired': {
+            // `review` is recorded for every sentence that ran out of time
+            const lastTimedOut = state.session.settings?.challengeMode === 'session' ? state.items.length - 1 : state.index;
+            return {
+                ...state,
+                status: 'reviewing',
+                index: lastTimedOut,
+                items: state.items.map((item, index) => (
+                    index >= state.index && index <= lastTimedOut
+                        ? { ...item, userAnswer: index === state.index ? state.answer : '', geminiReview: action.review, answeredAt: action.at, timedOut: true }
+                        : item
+                ))
+            };
+        }
+        case 'reviewProgress':
+            if (action.sessionId !== state.session.id || action.index !== state.index || !isReviewPending(state)) return state;
+            return { ...state, reviewDraft: action.review };
+        case 'reviewReceived':
+            // Ignore reviews that arrive after their session was replaced
+            if (action.sessionId !== state.session.id || currentItem(state)?.geminiReview) return state;
+            return {
+                ...state,
+                error: action.error || '',
+                reviewDraft: null,
+                items: updateCurrentItem(state, { geminiReview: action.review, answeredAt: action.answeredAt })
+            };
+        case 'reviewCancelled':
+            if (!isReviewPending(state)) return state;
+            return { ...state, status: 'answering', answer: currentItem(state).userAnswer, reviewDraft: null };
+        case 'nextSentence':
+            if (!canAdvance(state) || isLastItem(state)) return state;
+            return { ...state, status: 'answering', index: state.index + 1, answer: '', sentenceStartedAt: action.at || null, error: '' };
+        case 'sessionFinished':
+            if (!canAdvance(state)) return state;
+            return { ...initialPracticeState, status: 'finished', finishedSession: action.session };
+        case 'errorShown':
+            return { ...state, error: action.error };
+        case 'reset':
+            return { ...initialPracticeState };
+        default:
+            return state;
+    }
+};
@@ -0,0 +1,58 @@
+import { isLastItem } from './practiceReducer';
+
+// Loads what the practice flow will need before the learner gets there, so
+// moving on doesn't wait: the code of the next screen and an open connection
+// to the model backend.
+
+// Screens loaded on demand (React.lazy in App.js), by route page
+export const screenLoaders = {
+    summary: () => import('../components/SessionSummary'),
+    history: () => import('../components/HistoryScreen'),
+    stats: () => import('../components/StatsDashboard'),
+    progress: () => import('../components/ProgressScreen'),
+    classroom: () => import('../components/ClassroomScreen')
+};
+
+const requestedScreens = new Set();
+
+// Starts loading a screen's code; the browser keeps it for React.lazy
+export const prefetchScreen = (page) => {
+    if (!screenLoaders[page] || requestedScreens.has(page)) return;
+    requestedScreens.add(page);
+    screenLoaders[page]().catch(error => {
+        requestedScreens.delete(page);
+        console.warn(`Failed to prefetch the ${page} screen:`, error);
+    });
+};
+
+const connectedOrigins = new Set();
+
+// Opens the connection (DNS, TLS) to the backend serving `url` ahead of the
+// first request. Same-origin backends are already connected.
+export const preconnect = (url, doc = document) => {
+    let origin;
+    try {
+        origin = new URL(url, window.location.href).origin;
+    } catch (e) {
+        return;
+    }
+    if (origin === window.location.origin || connectedOrigins.has(origin)) return;
+    connectedOrigins.add(origin);
+    const link = doc.createElement('link');
+    link.rel = 'preconnect';
+    link.href = origin;
+    link.crossOrigin = 'anonymous';
+    doc.head.appendChild(link);
+};
+
+// What to prefetch for a practice state (practice/practiceReducer.js):
+// the backend while sentences are generated or answers reviewed, and the
+// summary once the last sentence is on screen
+export const prefetchForPractice = (state, provider) => {
+    if (provider?.origin && ['generating', 'answering', 'reviewing'].includes(state.status)) {
+        preconnect(provider.origin);
+    }
+    if (['answering', 'reviewing'].includes(state.status) && isLastItem(state)) {
+        prefetchScreen('summary');
+    }
+};
@@ -0,0 +1,99 @@
+import { normaliseTenseName } from '../tenses';
+import { defaultDirection, translationDirections } from '../directions';
+import { translate } from '../i18n';
+import { parseCsv } from '../csv';
+
+// Custom sentence lists loaded from a file and practised instead of generated
+// sentences. Every entry has a sentence, its tense and optionally a reference
+// translation that the review compares the answer with.
+//
+// CSV: a header row naming the columns (sentence/речення, tense/час,
+// translation/переклад, direction/напрям), or the columns in that order
+// without a header. JSON: an array of { sentence, tense, translation, direction }
+// or an object with such a `sentences` array; exported sessions
+// (see sessionExport.js) use the stored field names and are accepted too.
+
+export const MAX_IMPORTED_SENTENCES = 100;
+
+const columnAliases = {
+    sentence: ['sentence', 'originalsentence', 'речення'],
+    tense: ['tense', 'tenseused', 'час'],
+    translation: ['translation', 'referencetranslation', 'reference', 'переклад', 'еталон'],
+    direction: ['direction', 'напрям']
+};
+
+const columnOf = (header) => {
+    const key = header.toLowerCase().replace(/[\s_-]/g, '');
+    return Object.keys(columnAliases).find(column => columnAliases[column].includes(key)) || null;
+};
+
+// Session item for one entry, or null when its sentence or tense is unusable
+const toItem = ({ sentence, tense, translation, direction, exercise }) => {
+    const originalSentence = typeof sentence === 'string' ? sentence.trim() : '';
+    const tenseUsed = normaliseTenseName(tense);
+    // Exercises of an exported session aren't translation sentences
+    if (!originalSentence || !tenseUsed || exercise) return null;
+    const referenceTranslation = typeof translation === 'string' ? translation.trim() : '';
+    return {
+        originalSentence,
+        userAnswer: '',
+        geminiReview: null,
+        tenseUsed,
+        kind: 'translation',
+        direction: translationDirections.includes(direction) ? direction : defaultDirection,
+        ...(referenceTranslation ? { referenceTranslation } : {})
+    };
+};
+
+const parseCsvEntries = (text) => {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return [];
+    const headerColumns = rows[0].map(columnOf);
+    const hasHeader = headerColumns.includes('sentence') && headerColumns.includes('tense');
+    const columns = hasHeader ? headerColumns : ['sentence', 'tense', 'translation', 'direction'];
+    return (hasHeader ? rows.slice(1) : rows).map(row =>
+        Object.fromEntries(columns.flatMap((column, index) => (column ? [[column, row[index]]] : []))));
+};
+
+const parseJsonEntries = (text, t) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('sentenceImport.errors.invalidJson'));
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.sentences;
+    if (!Array.isArray(list)) throw new Error(t('sentenceImport.errors.noList'));
+    return list.map(entry => ({
+        sentence: entry?.sentence ?? entry?.originalSentence,
+        tense: entry?.tense ?? entry?.tenseUsed,
+        translation: entry?.translation ?? entry?.referenceTranslation,
+        direction: entry?.direction,
+        exercise: entry?.exercise
+    }));
+};
+
+// Reads a CSV or JSON file's text into { items, errors, truncated }, where
+// `errors` are the 1-based numbers of entries that were skipped and `truncated`
+// the number of valid sentences left out beyond MAX_IMPORTED_SENTENCES. JSON is recognised by the
+// file extension or by the text starting with "[" or "{". Throws when the file
+// can't be read at all, with a message from `t`.
+export const parseSentenceImport = (text, fileName = '', t = translate) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(source);
+    const entries = isJson ? parseJsonEntries(source, t) : parseCsvEntries(source);
+
+    const items = [];
+    const errors = [];
+    entries.forEach((entry, index) => {
+        const item = toItem(entry);
+        if (item) items.push(item);
+        else errors.push(index + 1);
+    });
+    if (items.length === 0) throw new Error(t('sentenceImport.errors.empty'));
+    return {
+        items: items.slice(0, MAX_IMPORTED_SENTENCES),
+        errors,
+        truncated: Math.max(0, items.length - MAX_IMPORTED_SENTENCES)
+    };
+};
@@ -0,0 +1,114 @@
+import { toCsv } from '../csv';
+import { tenseAccuracy } from '../stats/statistics';
+import { sourceLabelFor } from '../exercises/exerciseKinds';
+import { translate } from '../i18n';
+
+// Export of a finished session (storage/sessions.js buildSession) as CSV,
+// JSON or a printable HTML report that the browser can save as PDF.
+// Headings and labels are in the language of the translator `t` (i18n/index.js).
+
+const verdict = (isCorrect, t) => {
+    if (isCorrect === true) return t('sessionExport.correct');
+    if (isCorrect === false) return t('sessionExport.incorrect');
+    return '';
+};
+
+const categoryLabel = (category, t) => t(`errorCategories.${category}`);
+
+const formatErrors = (review, t) =>
+    (review?.errors || []).map(error => `${categoryLabel(error.category, t)}: ${error.text}`).join('; ');
+
+// CSV columns of one answered sentence, shared with the classroom results export
+const sentenceColumns = ['sentence', 'tense', 'task', 'reference', 'answer', 'result', 'corrected', 'errors', 'explanation'];
+
+export const sentenceCsvHeader = (t = translate) => sentenceColumns.map(column => t(`sessionExport.columns.${column}`));
+
+export const sentenceCsvRow = (item, t = translate) => [
+    item.originalSentence,
+    item.tenseUsed,
+    sourceLabelFor(item, t),
+    item.referenceTranslation || '',
+    item.userAnswer,
+    verdict(item.isCorrect, t),
+    item.review?.correctedSentence || '',
+    formatErrors(item.review, t),
+    item.review?.explanation || ''
+];
+
+export const sessionToCsv = (session, t = translate) => toCsv([
+    [t('sessionExport.columns.number'), ...sentenceCsvHeader(t)],
+    ...session.sentences.map((item, index) => [index + 1, ...sentenceCsvRow(item, t)])
+]);
+
+// The stored session as is; its `sentences` can be imported back as a sentence list
+export const sessionToJson = (session) => JSON.stringify(session, null, 2);
+
+// "practice-2025-03-01-10-00.csv" in local time
+export const sessionFileName = (session, extension) => {
+    const date = new Date(session.startedAt);
+    const pad = (value) => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}-${pad(date.getMinutes())}`;
+    return `practice-${stamp}.${extension}`;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const renderSentence = (item, index, t) => {
+    const review = item.review;
+    const errors = (review?.errors || []).map(error => `
+            <li><b>${escapeHtml(categoryLabel(error.category, t))}:</b> ${escapeHtml(error.text)}${error.correction ? ` → ${escapeHtml(error.correction)}` : ''}${error.explanation ? ` — ${escapeHtml(error.explanation)}` : ''}</li>`).join('');
+    return `
+    <section class="sentence ${item.isCorrect === true ? 'correct' : item.isCorrect === false ? 'wrong' : ''}">
+        <p class="meta">${index + 1}. ${escapeHtml(item.tenseUsed)} · ${escapeHtml(sourceLabelFor(item, t))}</p>
+        <p class="source">${escapeHtml(item.originalSentence)}</p>
+        <p><b>${escapeHtml(t('sessionExport.columns.answer'))}:</b> ${escapeHtml(item.userAnswer || '—')} <span class="verdict">${escapeHtml(verdict(item.isCorrect, t))}</span></p>
+        ${item.referenceTranslation ? `<p><b>${escapeHtml(t('sessionExport.columns.reference'))}:</b> ${escapeHtml(item.referenceTranslation)}</p>` : ''}
+        ${review?.correctedSentence ? `<p><b>${escapeHtml(t('sessionExport.columns.corrected'))}:</b> ${escapeHtml(review.correctedSentence)}</p>` : ''}
+        ${errors ? `<ul>${errors}
+        </ul>` : ''}
+        ${review?.explanation ? `<p class="explanation">${escapeHtml(review.explanation)}</p>` : ''}
+    </section>`;
+};
+
+// Standalone HTML page with the score, accuracy per tense and every answer with its review
+export const sessionReportHtml = (session, t = translate) => {
+    const tenseRows = Object.entries(tenseAccuracy([session]))
+        .filter(([, stats]) => stats.total > 0)
+        .map(([tense, { correct, total }]) => `
+            <tr><td>${escapeHtml(tense)}</td><td>${escapeHtml(t('common.outOf', { correct, total }))}</td><td>${Math.round((correct / total) * 100)}%</td></tr>`)
+        .join('');
+    const date = t.formatDate(session.startedAt);
+    return `<!DOCTYPE html>
+<html lang="${t.locale}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('sessionExport.reportTitle'))} — ${escapeHtml(date)}</title>
+<style>
+    body { font-family: 'Inter', Arial, sans-serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    table { border-collapse: collapse; margin: 1rem 0; }
+    td, th { border: 1px solid #d1d5db; padding: 0.25rem 0.75rem; text-align: left; }
+    .sentence { border: 1px solid #e5e7eb; border-left-width: 4px; border-radius: 6px; padding: 0.5rem 1rem; margin: 0.75rem 0; page-break-inside: avoid; }
+    .sentence.correct { border-left-color: #16a34a; }
+    .sentence.wrong { border-left-color: #dc2626; }
+    .meta { color: #6b7280; font-size: 0.875rem; margin: 0; }
+    .source { font-size: 1.125rem; font-weight: 500; }
+    .verdict { color: #6b7280; margin-left: 0.5rem; }
+    .explanation { color: #374151; font-style: italic; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(t('sessionExport.reportTitle'))}</h1>
+    <p>${escapeHtml(t('sessionExport.reportScore', { date, correct: session.correctCount, total: session.sentences.length }))}</p>
+    ${tenseRows ? `<table>
+        <tr><th>${escapeHtml(t('sessionExport.columns.tense'))}</th><th>${escapeHtml(t('sessionExport.columns.correct'))}</th><th>${escapeHtml(t('sessionExport.columns.accuracy'))}</th></tr>${tenseRows}
+    </table>` : ''}
+    ${session.sentences.map((item, index) => renderSentence(item, index, t)).join('')}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,178 @@
+import { defaultDirection, directionsForSession, interleaveByDirection } from '../directions';
+import { generateExerciseSet, generateSentenceSet } from '../llm/sentencePipeline';
+import { withRetry } from '../llm/retry';
+import { normaliseSentence } from '../llm/parsing';
+import { buildTensePlan } from '../stats/tensePlan';
+import { gradeExerciseLocally } from '../exercises/exerciseKinds';
+import { buildTenseMismatchReview, checkAnswerTense } from '../grammar/tenseCheck';
+import { listSessions } from '../storage/sessions';
+import { createTranslator, translate } from '../i18n';
+import { defaultTimeLimits } from '../game/challenge';
+import { loadSeenSentences, recentSeenSentences, recordSeenSentences, seenSentenceKeys } from '../storage/seenSentences';
+
+// Model calls and storage lookups behind the practice flow, kept out of the
+// screens. Errors are thrown; the caller decides how to show them.
+
+// Options picked on the start screen for the next session
+export const defaultPracticeOptions = {
+    tenses: [],
+    themes: '', // Comma-separated, optional
+    numSentences: 5,
+    exerciseKind: 'translation', // See exercises/exerciseKinds.js ('translation' is free translation)
+    directionMode: defaultDirection, // 'uk-en', 'en-uk' or 'mixed'
+    showTenseInPractice: true, // Show the sentence's tense during practice
+    adaptiveMode: false, // Plan the tense of every sentence from past accuracy
+    includeDueItems: true, // Start with spaced-repetition items that are due
+    challengeMode: 'off', // Timed challenge, see game/challenge.js: 'off', 'session' or 'sentence'
+    timeLimitSeconds: defaultTimeLimits.sentence // The challenge's time budget
+};
+
+// Returns the start-screen validation message, or '' when the options are usable
+export const validateSessionOptions = ({ tenses, numSentences, challengeMode = 'off', timeLimitSeconds }, dueCount = 0, t = translate) => {
+    if (!(numSentences > 0)) return t('validation.numSentences');
+    if (tenses.length === 0 && numSentences > dueCount) return t('validation.noTenses');
+    if (challengeMode !== 'off' && !(timeLimitSeconds > 0)) return t('validation.timeLimit');
+    return '';
+};
+
+// Generates translation sentences. Retries, tense validation and top-up requests
+// happen in the pipeline; with a tense plan every sentence's tense is requested
+// and verified explicitly. `directions` holds the translation direction of each
+// sentence; sentences are generated per direction and returned in that order.
+const generateSentences = async (provider, { tenses, themes, count, usedSentences, plan = null, excludeSentences = [], directions = null, signal }) => {
+    const chosenTenses = tenses.length > 0 ? tenses : ["Present Simple"]; // Use all selected tenses or default
+    const sentenceDirections = directions || directionsForSession(defaultDirection, count);
+    const byDirection = {};
+    for (const direction of new Set(sentenceDirections)) {
+        const positions = sentenceDirections.flatMap((item, index) => (item === direction ? [index] : []));
+        byDirection[direction] = await generateSentenceSet(provider, {
+            tenses: chosenTenses,
+            themes,
+            count: positions.length,
+            usedSentences,
+            excludeSentences,
+            direction,
+            plan: plan && positions.map(index => plan[index]),
+            signal
+        });
+    }
+    return interleaveByDirection(sentenceDirections, byDirection);
+};
+
+// Generates non-translation exercises of one kind in the { sentence, tense } shape
+// of generateSentences with the full `exercise` attached
+const generateExercises = async (provider, { kind, tenses, themes, count, usedSentences, excludeSentences = [], signal }) => {
+    const exercises = await generateExerciseSet(provider, { kind, tenses, themes, count, usedSentences, excludeSentences, signal });
+    return exercises.map(exercise => ({ sentence: exercise.sentence, tense: exercise.tense, exercise }));
+};
+
+// Builds the items of a new session: due review items first, freshly generated
+// sentences fill the rest. The review queue and adaptive plan only apply to
+// translation practice. Sentences seen in past sessions are excluded.
+// Aborting `signal` cancels generation with an AbortError.
+export const prepareSessionItems = async ({ provider, store, options, dueItems = [], signal }) => {
+    const { tenses, themes, numSentences, exerciseKind, directionMode, adaptiveMode, includeDueItems } = options;
+    const isTranslation = exerciseKind === 'translation';
+    const sessionDueItems = includeDueItems && isTranslation ? dueItems.slice(0, numSentences) : [];
+    const newSentencesCount = numSentences - sessionDueItems.length;
+
+    let seenEntries = [];
+    try {
+        seenEntries = store ? await loadSeenSentences(store) : [];
+    } catch (error) {
+        console.error("Failed to load seen sentences:", error);
+    }
+    const usedSentences = seenSentenceKeys(seenEntries);
+    sessionDueItems.forEach(item => usedSentences.add(normaliseSentence(item.originalSentence)));
+    const excludeSentences = recentSeenSentences(seenEntries);
+
+    // In adaptive mode weak tenses get more sentences, based on past sessions
+    let plan = null;
+    if (adaptiveMode && isTranslation && newSentencesCount > 0) {
+        let pastSessions = [];
+        try {
+            pastSessions = store ? await listSessions(store) : [];
+        } catch (error) {
+            console.error("Failed to load past sessions for adaptive mode:", error);
+        }
+        plan = buildTensePlan(tenses, pastSessions, newSentencesCount);
+    }
+
+    let generated = [];
+    if (newSentencesCount > 0 && isTranslation) {
+        generated = await generateSentences(provider, {
+            tenses,
+            themes,
+            count: newSentencesCount,
+            usedSentences,
+            plan,
+            excludeSentences,
+            directions: directionsForSession(directionMode, newSentencesCount),
+            signal
+        });
+    } else if (newSentencesCount > 0) {
+        generated = await generateExercises(provider, {
+            kind: exerciseKind,
+            tenses,
+            themes,
+            count: newSentencesCount,
+            usedSentences,
+            excludeSentences,
+            signal
+        });
+    }
+
+    if (store && generated.length > 0) {
+        recordSeenSentences(store, generated.map(item => item.sentence))
+            .catch(error => console.error("Failed to record seen sentences:", error));
+    }
+
+    return [
+        ...sessionDueItems.map(item => ({
+            originalSentence: item.originalSentence,
+            userAnswer: '',
+            geminiReview: null,
+            tenseUsed: item.tenseUsed,
+            kind: 'translation',
+            direction: item.direction || defaultDirection,
+            fromReviewQueue: true
+        })),
+        ...generated.map(item => ({
+            originalSentence: item.sentence,
+            userAnswer: '',
+            geminiReview: null,
+            tenseUsed: item.tense,
+            kind: exerciseKind,
+            direction: item.direction || null,
+            exercise: item.exercise || null
+        }))
+    ];
+};
+
+// Reviews the answer to one session item. Exercises are graded locally when
+// possible; English translations are checked for the expected tense first and
+// only a clear mismatch skips the model. Model reviews can be streamed:
+// `onPartial(review)` gets the review so far (review/reviewSchema.js
+// parsePartialReview). Aborting `signal` cancels the request. Explanations,
+// local or from the model, are written in `explanationLocale`.
+export const reviewPracticeItem = async ({ provider, item, answer, localTenseCheck = true, explanationLocale, signal, onPartial }) => {
+    const { originalSentence, direction, exercise, tenseUsed, referenceTranslation } = item;
+    const t = createTranslator(explanationLocale);
+    if (exercise) {
+        return gradeExerciseLocally(exercise, answer, t)
+            || withRetry(() => provider.reviewExercise({ exercise, userAnswer: answer, explanationLocale: t.locale, signal, onPartial }), { signal });
+    }
+    if (localTenseCheck && (direction || defaultDirection) === 'uk-en') {
+        const tenseCheck = checkAnswerTense(answer, tenseUsed);
+        if (tenseCheck.matches === false) return buildTenseMismatchReview(answer, tenseUsed, tenseCheck.detected, t);
+    }
+    return withRetry(() => provider.reviewAnswer({
+        originalSentence,
+        userAnswer: answer,
+        direction: direction || defaultDirection,
+        referenceTranslation,
+        explanationLocale: t.locale,
+        signal,
+        onPartial
+    }), { signal });
+};
@@ -0,0 +1,93 @@
+import { allTenses, normaliseTenseName } from '../tenses';
+import { directionModes, translationDirections } from '../directions';
+import { isExerciseKind } from '../exercises/exerciseKinds';
+import { normaliseExercise } from '../exercises/exerciseSchema';
+import { buildHash } from '../routing/router';
+import { defaultPracticeOptions } from './sessionFlow';
+
+// Shareable session links: the start-screen options as URL parameters of "#/",
+// optionally with the exact sentence list, so a teacher can send a class a
+// fixed configuration or the very same sentences.
+//
+//   #/?tenses=Past Simple,Future Simple&themes=travel&n=5&tense=0&dir=uk-en&kind=translation&items=[...]
+
+// Options that presets and links carry; the rest are the learner's own choice
+const shareableOptionFields = ['tenses', 'themes', 'numSentences', 'showTenseInPractice', 'directionMode', 'exerciseKind'];
+
+export const pickShareableOptions = (options) =>
+    Object.fromEntries(shareableOptionFields.map(field => [field, options[field] ?? defaultPracticeOptions[field]]));
+
+const MAX_SENTENCES = 20;
+
+// Items travel as { s: sentence, t: tense, d: direction, e: exercise, r: reference translation }
+const encodeItems = (items) => JSON.stringify(items.map(item => ({
+    s: item.originalSentence,
+    t: item.tenseUsed,
+    ...(item.direction ? { d: item.direction } : {}),
+    ...(item.exercise ? { e: item.exercise } : {}),
+    ...(item.referenceTranslation ? { r: item.referenceTranslation } : {})
+})));
+
+const decodeItems = (raw) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (e) {
+        return [];
+    }
+    if (!Array.isArray(parsed)) return [];
+    return parsed.slice(0, MAX_SENTENCES).flatMap(entry => {
+        const sentence = typeof entry?.s === 'string' ? entry.s.trim() : '';
+        const tense = normaliseTenseName(entry?.t);
+        // Exercises get the checks of generated ones; an item with a broken one is dropped
+        const exercise = entry?.e ? normaliseExercise(entry.e.kind, entry.e) : null;
+        if (!sentence || !tense || (entry.e && !exercise)) return [];
+        return [{
+            originalSentence: sentence,
+            userAnswer: '',
+            geminiReview: null,
+            tenseUsed: tense,
+            kind: exercise ? exercise.kind : 'translation',
+            direction: exercise ? null : (translationDirections.includes(entry.d) ? entry.d : 'uk-en'),
+            exercise,
+            ...(!exercise && typeof entry.r === 'string' && entry.r.trim() ? { referenceTranslation: entry.r.trim() } : {})
+        }];
+    });
+};
+
+// URL parameters for the options and, optionally, the session's sentences
+export const sessionLinkParams = (options, items = null) => {
+    const { tenses, themes, numSentences, showTenseInPractice, directionMode, exerciseKind } = pickShareableOptions(options);
+    return {
+        tenses: tenses.join(','),
+        ...(themes ? { themes } : {}),
+        n: String(items ? items.length : numSentences),
+        tense: showTenseInPractice ? '1' : '0',
+        dir: directionMode,
+        kind: exerciseKind,
+        ...(items ? { items: encodeItems(items) } : {})
+    };
+};
+
+// Full link to open in a browser
+export const sessionLinkUrl = (params) =>
+    `${window.location.origin}${window.location.pathname}${buildHash('start', params)}`;
+
+// Reads a link back into { options, items }; unknown or invalid values are
+// dropped. Null when the parameters aren't a session link at all.
+export const parseSessionLink = (params) => {
+    if (!params || !['tenses', 'n', 'dir', 'kind', 'items'].some(key => key in params)) return null;
+    const options = {};
+    if (typeof params.tenses === 'string') {
+        options.tenses = [...new Set(params.tenses.split(',').map(normaliseTenseName).filter(Boolean))]
+            .sort((a, b) => allTenses.indexOf(a) - allTenses.indexOf(b));
+    }
+    if (typeof params.themes === 'string') options.themes = params.themes;
+    const count = parseInt(params.n, 10);
+    if (count > 0) options.numSentences = Math.min(count, MAX_SENTENCES);
+    if (params.tense === '0' || params.tense === '1') options.showTenseInPractice = params.tense === '1';
+    if (directionModes.includes(params.dir)) options.directionMode = params.dir;
+    if (isExerciseKind(params.kind)) options.exerciseKind = params.kind;
+    const items = typeof params.items === 'string' ? decodeItems(params.items) : [];
+    return { options, items: items.length > 0 ? items : null };
+};
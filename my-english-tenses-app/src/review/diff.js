@@ -0,0 +1,85 @@
+// Word-level diff between two sentences (longest common subsequence).
+// Returns [{ type: 'same' | 'removed' | 'added', text, start }], where `start`
+// is the character offset of removed/same tokens in the source sentence.
+
+const tokenize = (text) => {
+    const tokens = [];
+    const regex = /\S+/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        tokens.push({ text: match[0], start: match.index });
+    }
+    return tokens;
+};
+
+// Tokens are compared without case and surrounding punctuation
+const comparable = (token) => token.toLowerCase().replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, '');
+
+export const diffWords = (source, target) => {
+    const a = tokenize(source);
+    const b = tokenize(target);
+
+    // lengths[i][j] = LCS length of a[i:] and b[j:]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = comparable(a[i].text) === comparable(b[j].text)
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (comparable(a[i].text) === comparable(b[j].text)) {
+            parts.push({ type: 'same', text: b[j].text, start: a[i].start });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            parts.push({ type: 'removed', text: a[i].text, start: a[i].start });
+            i++;
+        } else {
+            parts.push({ type: 'added', text: b[j].text, start: null });
+            j++;
+        }
+    }
+    for (; i < a.length; i++) parts.push({ type: 'removed', text: a[i].text, start: a[i].start });
+    for (; j < b.length; j++) parts.push({ type: 'added', text: b[j].text, start: null });
+    return parts;
+};
+
+// Groups consecutive removed/added tokens into error spans over `source`
+export const diffToErrors = (source, target, category = 'other') => {
+    const errors = [];
+    let current = null;
+    let position = 0;
+
+    const flush = () => {
+        if (current) {
+            errors.push(current);
+            current = null;
+        }
+    };
+
+    for (const part of diffWords(source, target)) {
+        if (part.type === 'same') {
+            flush();
+            position = part.start + part.text.length;
+            continue;
+        }
+        if (!current) {
+            current = { start: position, end: position, text: '', category, correction: '', explanation: '' };
+        }
+        if (part.type === 'removed') {
+            if (current.text === '') current.start = part.start;
+            current.end = part.start + part.text.length;
+            current.text = source.slice(current.start, current.end);
+        } else {
+            current.correction = current.correction ? `${current.correction} ${part.text}` : part.text;
+        }
+    }
+    flush();
+    return errors;
+};
@@ -0,0 +1,140 @@
+// Structured answer review returned by every provider:
+// {
+//   isCorrect: boolean | null,        // null when the review could not be obtained
+//   correctedSentence: string,
+//   errors: [{ start, end, text, category, correction, explanation }],
+//   explanation: string               // overall comment in the explanation language (settings.js)
+// }
+// `start`/`end` are character offsets into the user's answer (end exclusive),
+// or null when the model's span could not be located.
+
+// Error categories; their labels are in the i18n catalogues under `errorCategories`
+export const reviewErrorCategories = ['tense', 'article', 'word_order', 'preposition', 'agreement', 'vocabulary', 'spelling', 'punctuation', 'other'];
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Makes sure an error's span actually points at its text in the answer
+const normaliseError = (error, userAnswer) => {
+    if (!error || typeof error !== 'object') return null;
+    const text = typeof error.text === 'string' ? error.text : '';
+    let start = Number.isInteger(error.start) ? error.start : null;
+    let end = Number.isInteger(error.end) ? error.end : null;
+
+    const spanIsValid = start !== null && end !== null && start >= 0 && end >= start && end <= userAnswer.length
+        && (!text || userAnswer.slice(start, end) === text);
+    if (!spanIsValid) {
+        const index = text ? userAnswer.indexOf(text) : -1;
+        start = index >= 0 ? index : null;
+        end = index >= 0 ? index + text.length : null;
+    }
+
+    return {
+        start,
+        end,
+        text: start !== null ? userAnswer.slice(start, end) : text,
+        category: reviewErrorCategories.includes(error.category) ? error.category : 'other',
+        correction: toText(error.correction),
+        explanation: toText(error.explanation)
+    };
+};
+
+// Validates a review object coming from a model, filling in safe defaults
+export const normaliseReview = (data, userAnswer) => {
+    const errors = Array.isArray(data?.errors)
+        ? data.errors.map(error => normaliseError(error, userAnswer)).filter(Boolean)
+        : [];
+    const isCorrect = typeof data?.isCorrect === 'boolean' ? data.isCorrect : errors.length === 0;
+    return {
+        isCorrect,
+        correctedSentence: toText(data?.correctedSentence) || (isCorrect ? userAnswer.trim() : ''),
+        errors,
+        explanation: toText(data?.explanation)
+    };
+};
+
+// Finds a JSON object in model output, with or without a markdown fence
+const extractJson = (rawText) => {
+    const fenced = rawText.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidates = [fenced?.[1], rawText, rawText.match(/\{[\s\S]*\}/)?.[0]];
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            const parsed = JSON.parse(candidate.trim());
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch (e) {
+            // Try the next candidate
+        }
+    }
+    return null;
+};
+
+// Fallback for models that ignore the schema and answer in the old numbered
+// free-text format: "1. Речення написане (не)правильно 2. "corrected" 3. explanation"
+const parseFreeText = (rawText, userAnswer) => {
+    const isCorrect = /написане правильно/i.test(rawText) && !/неправильно/i.test(rawText);
+    const corrected = rawText.match(/2\.[^"“]*["“]([^"”]+)["”]/)?.[1];
+    const explanation = rawText.split(/(?:^|\n)\s*3[.)]?\s+/).slice(1).join(' ').trim();
+    return normaliseReview({
+        isCorrect,
+        correctedSentence: corrected || (isCorrect ? userAnswer : ''),
+        errors: [],
+        explanation: explanation || rawText.trim()
+    }, userAnswer);
+};
+
+// Turns raw model output into a structured review
+export const parseReview = (rawText, userAnswer) => {
+    const data = extractJson(rawText);
+    return data ? normaliseReview(data, userAnswer) : parseFreeText(rawText, userAnswer);
+};
+
+// Value of a string field of unfinished JSON, possibly cut off mid-string
+const partialString = (json, key) => {
+    const raw = json.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`))?.[1];
+    if (raw === undefined) return '';
+    const complete = raw.replace(/\\u[0-9a-fA-F]{0,3}$/, ''); // Drop a \u escape that was cut off
+    try {
+        return JSON.parse(`"${complete}"`);
+    } catch (e) {
+        return complete;
+    }
+};
+
+// What can already be shown of a JSON review that is still streaming in:
+// the verdict once it is known, the string fields so far and the errors
+// whose objects are complete. Fields that haven't arrived are empty.
+export const parsePartialReview = (rawText, userAnswer) => {
+    // Completed error objects are collapsed, so the keys left are the top-level ones
+    const body = rawText.slice(rawText.indexOf('{') + 1);
+    const errorObjects = [];
+    const topLevel = body.replace(/\{[^{}]*\}/g, (chunk) => {
+        errorObjects.push(chunk);
+        return '{}';
+    });
+    // While the errors array is open, later top-level fields can't have started
+    const openErrors = topLevel.search(/"errors"\s*:\s*\[[^\]]*$/);
+    const fields = openErrors === -1 ? topLevel : topLevel.slice(0, openErrors);
+    const isCorrect = fields.match(/"isCorrect"\s*:\s*(true|false)/)?.[1];
+
+    const errors = errorObjects.flatMap(chunk => {
+        try {
+            return [normaliseError(JSON.parse(chunk), userAnswer)];
+        } catch (e) {
+            return [];
+        }
+    }).filter(Boolean);
+    return {
+        isCorrect: isCorrect ? isCorrect === 'true' : null,
+        correctedSentence: partialString(fields, 'correctedSentence'),
+        errors,
+        explanation: partialString(fields, 'explanation')
+    };
+};
+
+// Review shown when no provider response could be obtained
+export const createFailedReview = (message) => ({
+    isCorrect: null,
+    correctedSentence: '',
+    errors: [],
+    explanation: message
+});
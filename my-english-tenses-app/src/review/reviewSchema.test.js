@@ -0,0 +1,59 @@
+import { parsePartialReview, parseReview } from './reviewSchema';
+import { diffToErrors } from './diff';
+
+const answer = 'I eat apple yesterday.';
+
+test('parses a JSON review and repairs wrong span offsets', () => {
+    const raw = '```json\n' + JSON.stringify({
+        isCorrect: false,
+        correctedSentence: 'I ate an apple yesterday.',
+        errors: [
+            { start: 2, end: 5, text: 'eat', category: 'tense', correction: 'ate', explanation: 'Потрібен Past Simple.' },
+            { start: 0, end: 3, text: 'apple', category: 'articles', correction: 'an apple', explanation: 'Пропущено артикль.' }
+        ],
+        explanation: 'Дві помилки.'
+    }) + '\n```';
+    const review = parseReview(raw, answer);
+    expect(review.isCorrect).toBe(false);
+    expect(review.errors[0]).toMatchObject({ start: 2, end: 5, category: 'tense' });
+    expect(review.errors[1]).toMatchObject({ start: 6, end: 11, text: 'apple', category: 'other' });
+});
+
+test('falls back to the numbered free-text format', () => {
+    const raw = '1. Речення написане неправильно\n2. "I ate an apple yesterday."\n3. Неправильний час.';
+    const review = parseReview(raw, answer);
+    expect(review).toEqual({
+        isCorrect: false,
+        correctedSentence: 'I ate an apple yesterday.',
+        errors: [],
+        explanation: 'Неправильний час.'
+    });
+});
+
+test('builds error spans from a word diff', () => {
+    expect(diffToErrors(answer, 'I ate an apple yesterday.')).toEqual([
+        { start: 2, end: 5, text: 'eat', category: 'other', correction: 'ate an', explanation: '' }
+    ]);
+});
+
+test('reads what has arrived of a streamed JSON review', () => {
+    const full = JSON.stringify({
+        isCorrect: false,
+        correctedSentence: 'I ate an apple yesterday.',
+        errors: [{ start: 2, end: 5, text: 'eat', category: 'tense', correction: 'ate', explanation: 'Потрібен Past Simple.' }],
+        explanation: 'Одна "помилка".'
+    });
+    const at = (marker, extra = 0) => full.slice(0, full.indexOf(marker) + extra);
+
+    expect(parsePartialReview('', answer)).toEqual({ isCorrect: null, correctedSentence: '', errors: [], explanation: '' });
+    expect(parsePartialReview(at('I ate an', 5), answer)).toMatchObject({ isCorrect: false, correctedSentence: 'I ate' });
+
+    // An unfinished error doesn't count, and its explanation isn't the top-level one
+    const midError = parsePartialReview(at('Потрібен', 4), answer);
+    expect(midError).toMatchObject({ correctedSentence: 'I ate an apple yesterday.', errors: [], explanation: '' });
+
+    const midExplanation = parsePartialReview(at('помилка', 3), answer);
+    expect(midExplanation.errors).toEqual([expect.objectContaining({ start: 2, end: 5, category: 'tense' })]);
+    expect(midExplanation.explanation).toBe('Одна "пом');
+    expect(parsePartialReview(full, answer).explanation).toBe('Одна "помилка".');
+});
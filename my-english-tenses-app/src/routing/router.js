@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Hash-based routes ("#/history", "#/practice"), so links can be shared and
+// back/forward work without any server-side rewrites.
+export const pages = ['start', 'practice', 'summary', 'history', 'stats', 'progress', 'settings', 'classroom'];
+
+// "#/history?foo=1" → { page: 'history', params: { foo: '1' } }; unknown pages fall back to start
+export const parseHash = (hash) => {
+    const [path, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+    const name = path.replace(/\/+$/, '');
+    return {
+        page: pages.includes(name) ? name : 'start',
+        params: Object.fromEntries(new URLSearchParams(query))
+    };
+};
+
+export const buildHash = (page, params = {}) => {
+    const path = page === 'start' ? '#/' : `#/${page}`;
+    const query = new URLSearchParams(params).toString();
+    return query ? `${path}?${query}` : path;
+};
+
+// Current route plus navigate(page, params, { replace }) that updates the URL
+export const useHashRoute = () => {
+    const [route, setRoute] = useState(() => parseHash(window.location.hash));
+
+    useEffect(() => {
+        const handleHashChange = () => setRoute(parseHash(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    const navigate = useCallback((page, params = {}, { replace = false } = {}) => {
+        const hash = buildHash(page, params);
+        if (replace) {
+            // replaceState doesn't fire hashchange, so the route is updated here
+            window.history.replaceState(null, '', hash);
+            setRoute(parseHash(hash));
+        } else if (window.location.hash !== hash) {
+            window.location.hash = hash;
+        }
+    }, []);
+
+    return [route, navigate];
+};
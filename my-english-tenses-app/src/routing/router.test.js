@@ -0,0 +1,10 @@
+import { buildHash, parseHash } from './router';
+
+test('routes round-trip through the URL hash', () => {
+    expect(parseHash('#/history')).toEqual({ page: 'history', params: {} });
+    expect(parseHash('#/settings?tab=model')).toEqual({ page: 'settings', params: { tab: 'model' } });
+    expect(parseHash('')).toEqual({ page: 'start', params: {} });
+    expect(parseHash('#/nowhere').page).toBe('start');
+    expect(buildHash('start')).toBe('#/');
+    expect(buildHash('practice', { a: '1' })).toBe('#/practice?a=1');
+});
@@ -0,0 +1,35 @@
+import { defaultProviderId } from './llm';
+import { defaultLocale } from './i18n';
+
+// App preferences edited on the settings screen, kept in localStorage.
+// Per-session options (tenses, themes, count...) stay on the start screen.
+const SETTINGS_KEY = 'englishPractice:settings';
+
+export const defaultSettings = {
+    providerId: defaultProviderId, // LLM backend, see llm/index.js
+    localTenseCheck: true, // Offline first-pass check: a translation in the wrong tense is graded without a model call
+    locale: defaultLocale, // Interface language, see i18n/index.js
+    explanationLocale: '', // Language of review explanations; '' follows the interface language
+    voiceInput: false, // Answers can be spoken on the practice screen, see speech/recognition.js
+    playerName: '' // Name shown in the device leaderboard, see game/leaderboard.js
+};
+
+// Language reviews explain mistakes in
+export const explanationLocaleOf = (settings) => settings.explanationLocale || settings.locale;
+
+export const loadSettings = (storage = window.localStorage) => {
+    try {
+        return { ...defaultSettings, ...JSON.parse(storage.getItem(SETTINGS_KEY)) };
+    } catch (e) {
+        console.error("Failed to read settings:", e);
+        return { ...defaultSettings };
+    }
+};
+
+export const saveSettings = (settings, storage = window.localStorage) => {
+    try {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error("Failed to save settings:", e);
+    }
+};
@@ -0,0 +1,8 @@
+import { isChoiceKind } from '../exercises/exerciseKinds';
+
+// Language of spoken answers and of the corrected sentence read aloud:
+// English, except for translations into Ukrainian
+export const answerSpeechLang = (item) => (item.direction === 'en-uk' ? 'uk-UA' : 'en-US');
+
+// Answers that can be dictated; choice exercises are answered by picking an option
+export const acceptsSpokenAnswer = (item) => !isChoiceKind(item.kind);
@@ -0,0 +1,102 @@
+// Speech-to-text adapters for spoken answers. An adapter is
+// { id, isSupported, start({ lang, onPartial }) } where `start` begins one
+// recognition and returns a session:
+//   result   Promise of the final transcript ('' when nothing was heard)
+//   stop()   finish listening and resolve with what was heard so far
+//   abort()  discard the recognition; `result` rejects with an AbortError
+// Failures reject with an Error whose `code` is a Web Speech API error code
+// ('not-allowed', 'audio-capture', 'network'...).
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const recognitionError = (code) => {
+    const error = new Error(`Speech recognition failed: ${code}`);
+    error.code = code;
+    return error;
+};
+
+// Browser recognition through the Web Speech API (SpeechRecognition, prefixed
+// in Chromium and Safari). Interim results are reported through `onPartial`.
+export const createWebSpeechRecognizer = (win = window) => {
+    const Recognition = win.SpeechRecognition || win.webkitSpeechRecognition;
+    return {
+        id: 'web-speech',
+        isSupported: Boolean(Recognition),
+        start: ({ lang, onPartial }) => {
+            if (!Recognition) {
+                return { result: Promise.reject(recognitionError('not-supported')), stop: () => {}, abort: () => {} };
+            }
+            const recognition = new Recognition();
+            recognition.lang = lang;
+            recognition.interimResults = true;
+            recognition.continuous = false;
+            recognition.maxAlternatives = 1;
+
+            let transcript = '';
+            let aborted = false;
+            const result = new Promise((resolve, reject) => {
+                recognition.onresult = (event) => {
+                    transcript = Array.from(event.results, alternatives => alternatives[0].transcript).join('');
+                    onPartial?.(transcript);
+                };
+                recognition.onerror = (event) => {
+                    // Silence ends the recognition normally, with an empty transcript
+                    if (event.error === 'no-speech') return;
+                    reject(aborted || event.error === 'aborted' ? abortError() : recognitionError(event.error));
+                };
+                recognition.onend = () => {
+                    if (aborted) reject(abortError());
+                    else resolve(transcript.trim());
+                };
+            });
+            recognition.start();
+            return {
+                result,
+                stop: () => recognition.stop(),
+                abort: () => {
+                    aborted = true;
+                    recognition.abort();
+                }
+            };
+        }
+    };
+};
+
+// Scripted recognizer for tests: each `start` "hears" the next of `transcripts`,
+// reporting it word by word through `onPartial` before resolving
+export const createMockRecognizer = (transcripts = []) => {
+    const queue = [...transcripts];
+    return {
+        id: 'mock',
+        isSupported: true,
+        start: ({ onPartial }) => {
+            const transcript = queue.shift() || '';
+            let settle;
+            const result = new Promise((resolve, reject) => {
+                settle = { resolve, reject };
+            });
+            let heard = '';
+            const words = transcript.split(/\s+/).filter(Boolean);
+            const timer = setInterval(() => {
+                if (words.length === 0) {
+                    clearInterval(timer);
+                    settle.resolve(heard);
+                    return;
+                }
+                heard = heard ? `${heard} ${words.shift()}` : words.shift();
+                onPartial?.(heard);
+            }, 0);
+            return {
+                result,
+                stop: () => {
+                    clearInterval(timer);
+                    settle.resolve(heard);
+                },
+                abort: () => {
+                    clearInterval(timer);
+                    settle.reject(abortError());
+                }
+            };
+        }
+    };
+};
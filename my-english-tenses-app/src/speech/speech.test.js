@@ -0,0 +1,115 @@
+import { createMockRecognizer, createWebSpeechRecognizer } from './recognition';
+import { speak } from './synthesis';
+import { acceptsSpokenAnswer, answerSpeechLang } from '.';
+import { isAbortError } from '../llm/retry';
+import { initialPracticeState, practiceReducer } from '../practice/practiceReducer';
+import { reviewPracticeItem } from '../practice/sessionFlow';
+import createMockProvider from '../llm/mockProvider';
+
+// Stand-in for the browser's SpeechRecognition; the test drives its events
+const fakeSpeechWindow = () => {
+    const instances = [];
+    class FakeRecognition {
+        constructor() {
+            instances.push(this);
+            this.start = jest.fn();
+            this.stop = jest.fn(() => this.onend());
+            this.abort = jest.fn(() => {
+                this.onerror({ error: 'aborted' });
+                this.onend();
+            });
+        }
+
+        hear(...transcripts) {
+            this.onresult({ results: transcripts.map(transcript => [{ transcript }]) });
+        }
+    }
+    return { win: { webkitSpeechRecognition: FakeRecognition }, instances };
+};
+
+test('the Web Speech adapter reports interim transcripts and resolves with the final one', async () => {
+    const { win, instances } = fakeSpeechWindow();
+    const recognizer = createWebSpeechRecognizer(win);
+    expect(recognizer.isSupported).toBe(true);
+    expect(createWebSpeechRecognizer({}).isSupported).toBe(false);
+
+    const onPartial = jest.fn();
+    const session = recognizer.start({ lang: 'en-US', onPartial });
+    const [recognition] = instances;
+    expect(recognition).toMatchObject({ lang: 'en-US', interimResults: true });
+    expect(recognition.start).toHaveBeenCalled();
+
+    recognition.hear('I slept');
+    recognition.hear('I slept', ' well. ');
+    session.stop();
+    expect(onPartial.mock.calls).toEqual([['I slept'], ['I slept well. ']]);
+    await expect(session.result).resolves.toBe('I slept well.');
+});
+
+test('recognition failures carry the error code; silence and aborts do not', async () => {
+    const { win, instances } = fakeSpeechWindow();
+    const recognizer = createWebSpeechRecognizer(win);
+
+    const denied = recognizer.start({ lang: 'en-US' });
+    instances[0].onerror({ error: 'not-allowed' });
+    instances[0].onend();
+    await expect(denied.result).rejects.toMatchObject({ code: 'not-allowed' });
+
+    const silent = recognizer.start({ lang: 'en-US' });
+    instances[1].onerror({ error: 'no-speech' });
+    instances[1].onend();
+    await expect(silent.result).resolves.toBe('');
+
+    const aborted = recognizer.start({ lang: 'en-US' });
+    aborted.abort();
+    const error = await aborted.result.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+});
+
+test('a spoken answer goes through the usual review', async () => {
+    const recognizer = createMockRecognizer(['I visit my grandmother yesterday.']);
+    const item = { originalSentence: 'Вчора я відвідав бабусю.', tenseUsed: 'Past Simple', direction: 'uk-en' };
+    let state = practiceReducer(initialPracticeState, { type: 'generationStarted', settings: {} });
+    state = practiceReducer(state, { type: 'sessionStarted', id: 's1', startedAt: 'now', items: [item] });
+
+    const answer = await recognizer.start({
+        lang: answerSpeechLang(item),
+        onPartial: (partial) => { state = practiceReducer(state, { type: 'answerChanged', answer: partial }); }
+    }).result;
+    expect(answer).toBe('I visit my grandmother yesterday.');
+    expect(state.answer).toBe(answer);
+
+    const review = await reviewPracticeItem({ provider: createMockProvider(), item, answer, localTenseCheck: false });
+    expect(review).toMatchObject({ isCorrect: false, correctedSentence: 'I visited my grandmother yesterday.' });
+});
+
+test('answers are spoken in the language they are written in', () => {
+    expect(answerSpeechLang({ direction: 'uk-en' })).toBe('en-US');
+    expect(answerSpeechLang({ direction: 'en-uk' })).toBe('uk-UA');
+    expect(answerSpeechLang({ kind: 'transform', exercise: {} })).toBe('en-US');
+    expect(acceptsSpokenAnswer({ kind: 'translation' })).toBe(true);
+    expect(acceptsSpokenAnswer({ kind: 'choose-form' })).toBe(false);
+});
+
+test('sentences are read aloud with a voice of their language', async () => {
+    const spoken = [];
+    const win = {
+        SpeechSynthesisUtterance: class {
+            constructor(text) {
+                this.text = text;
+            }
+        },
+        speechSynthesis: {
+            cancel: jest.fn(),
+            getVoices: () => [{ lang: 'uk-UA' }, { lang: 'en_GB' }],
+            speak: (utterance) => {
+                spoken.push(utterance);
+                utterance.onend();
+            }
+        }
+    };
+    await speak('I slept.', { lang: 'en-US', rate: 0.7, win });
+    expect(spoken[0]).toMatchObject({ text: 'I slept.', lang: 'en-US', rate: 0.7, voice: { lang: 'en_GB' } });
+    expect(win.speechSynthesis.cancel).toHaveBeenCalled();
+    await expect(speak('I slept.', { lang: 'en-US', win: {} })).rejects.toThrow('not supported');
+});
@@ -0,0 +1,39 @@
+// Reads sentences aloud with the Web Speech API (speechSynthesis) for
+// listening practice
+
+export const isSpeechSynthesisSupported = (win = window) => Boolean(win.speechSynthesis && win.SpeechSynthesisUtterance);
+
+// Installed voice for a language tag, preferring an exact match ('en-US')
+// over one of the same language ('en-GB')
+const voiceFor = (voices, lang) => {
+    const normalise = (tag) => tag.replace('_', '-').toLowerCase();
+    const language = normalise(lang).split('-')[0];
+    return voices.find(voice => normalise(voice.lang) === normalise(lang))
+        || voices.find(voice => normalise(voice.lang).split('-')[0] === language)
+        || null;
+};
+
+// Speaks `text`, interrupting whatever is being read. Resolves when reading
+// ends or is interrupted. `rate` below 1 reads slower.
+export const speak = (text, { lang, rate = 1, win = window } = {}) => new Promise((resolve, reject) => {
+    if (!isSpeechSynthesisSupported(win)) {
+        reject(new Error('Speech synthesis is not supported in this browser'));
+        return;
+    }
+    const synth = win.speechSynthesis;
+    synth.cancel();
+    const utterance = new win.SpeechSynthesisUtterance(text);
+    utterance.lang = lang;
+    utterance.rate = rate;
+    utterance.voice = voiceFor(synth.getVoices(), lang);
+    utterance.onend = () => resolve();
+    utterance.onerror = (event) => {
+        if (event.error === 'interrupted' || event.error === 'canceled') resolve();
+        else reject(new Error(`Speech synthesis failed: ${event.error}`));
+    };
+    synth.speak(utterance);
+});
+
+export const stopSpeaking = (win = window) => {
+    if (isSpeechSynthesisSupported(win)) win.speechSynthesis.cancel();
+};
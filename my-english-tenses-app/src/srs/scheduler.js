@@ -0,0 +1,71 @@
+// SM-2 style scheduling for sentences the learner got wrong.
+// A queue item:
+// { id, originalSentence, tenseUsed, direction, correctedSentence,
+//   repetitions, interval (days), easeFactor, dueAt, lastReviewedAt }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+const INITIAL_EASE_FACTOR = 2.5;
+
+// Stable document id for a sentence (djb2 hash of the normalised text)
+export const sentenceId = (sentence) => {
+    const text = sentence.toLowerCase().replace(/\s+/g, ' ').trim();
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return `s${hash.toString(16)}`;
+};
+
+// Maps a review to SM-2 answer quality (0-5); null when there is nothing to grade
+export const reviewQuality = (review) => {
+    if (!review || review.isCorrect === null) return null;
+    if (review.isCorrect) return 4;
+    return review.errors.length > 1 ? 1 : 2;
+};
+
+// Applies one graded repetition to an item and returns the updated item
+export const scheduleNext = (item, quality, now = new Date()) => {
+    let { repetitions, interval, easeFactor } = item;
+
+    if (quality < 3) {
+        repetitions = 0;
+        interval = 1;
+    } else {
+        repetitions += 1;
+        if (repetitions === 1) {
+            interval = 1;
+        } else if (repetitions === 2) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+    }
+    easeFactor = Math.max(MIN_EASE_FACTOR, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+        ...item,
+        repetitions,
+        interval,
+        easeFactor,
+        lastReviewedAt: now.toISOString(),
+        dueAt: new Date(now.getTime() + interval * DAY_MS).toISOString()
+    };
+};
+
+// New queue item for a sentence answered incorrectly
+export const createQueueItem = ({ originalSentence, tenseUsed, direction = 'uk-en', correctedSentence }, quality, now = new Date()) =>
+    scheduleNext({
+        id: sentenceId(originalSentence),
+        originalSentence,
+        tenseUsed,
+        direction,
+        correctedSentence: correctedSentence || '',
+        repetitions: 0,
+        interval: 0,
+        easeFactor: INITIAL_EASE_FACTOR,
+        lastReviewedAt: null,
+        dueAt: null
+    }, quality, now);
+
+export const isDue = (item, now = new Date()) => new Date(item.dueAt) <= now;
@@ -0,0 +1,30 @@
+import { createQueueItem, isDue, reviewQuality, scheduleNext, sentenceId } from './scheduler';
+
+const now = new Date('2025-03-01T12:00:00.000Z');
+
+test('wrong answers are queued for the next day', () => {
+    const item = createQueueItem({ originalSentence: 'Я спав.', tenseUsed: 'Past Simple' }, 1, now);
+    expect(item).toMatchObject({ id: sentenceId('я  спав.'), repetitions: 0, interval: 1 });
+    expect(item.dueAt).toBe('2025-03-02T12:00:00.000Z');
+    expect(isDue(item, now)).toBe(false);
+    expect(isDue(item, new Date('2025-03-02T12:00:00.000Z'))).toBe(true);
+});
+
+test('intervals grow with correct answers and reset on mistakes', () => {
+    let item = createQueueItem({ originalSentence: 'Я спав.', tenseUsed: 'Past Simple' }, 2, now);
+    item = scheduleNext(item, 4, now);
+    expect(item.interval).toBe(1);
+    item = scheduleNext(item, 4, now);
+    expect(item.interval).toBe(6);
+    item = scheduleNext(item, 4, now);
+    expect(item.interval).toBe(Math.round(6 * item.easeFactor));
+    item = scheduleNext(item, 1, now);
+    expect(item).toMatchObject({ repetitions: 0, interval: 1 });
+    expect(item.easeFactor).toBeGreaterThanOrEqual(1.3);
+});
+
+test('maps reviews to answer quality', () => {
+    expect(reviewQuality({ isCorrect: true, errors: [] })).toBe(4);
+    expect(reviewQuality({ isCorrect: false, errors: [{}] })).toBe(2);
+    expect(reviewQuality({ isCorrect: null, errors: [] })).toBeNull();
+});
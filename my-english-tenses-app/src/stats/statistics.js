@@ -0,0 +1,82 @@
+import { availableTenses, allTenses } from '../tenses';
+
+// Statistics over stored sessions (see storage/sessions.js).
+// Only sentences with a definite review verdict (isCorrect true/false) are counted.
+
+const gradedSentences = (sessions) =>
+    sessions.flatMap(session => session.sentences.filter(item => typeof item.isCorrect === 'boolean'));
+
+const dayOf = (isoString) => isoString.slice(0, 10);
+
+export const accuracy = ({ correct, total }) => (total > 0 ? correct / total : null);
+
+// { [tense]: { correct, total } } for all twelve tenses
+export const tenseAccuracy = (sessions) => {
+    const result = Object.fromEntries(allTenses.map(tense => [tense, { correct: 0, total: 0 }]));
+    for (const item of gradedSentences(sessions)) {
+        if (!result[item.tenseUsed]) continue;
+        result[item.tenseUsed].total += 1;
+        if (item.isCorrect) result[item.tenseUsed].correct += 1;
+    }
+    return result;
+};
+
+// Per-day accuracy of each tense group, oldest day first:
+// [{ day, groups: { 'Present Tenses': { correct, total }, ... } }]
+export const groupTrends = (sessions) => {
+    const groupOf = Object.fromEntries(availableTenses.flatMap(group => group.tenses.map(tense => [tense, group.group])));
+    const days = {};
+    for (const session of sessions) {
+        const day = dayOf(session.startedAt);
+        days[day] = days[day] || Object.fromEntries(availableTenses.map(group => [group.group, { correct: 0, total: 0 }]));
+        for (const item of gradedSentences([session])) {
+            const group = groupOf[item.tenseUsed];
+            if (!group) continue;
+            days[day][group].total += 1;
+            if (item.isCorrect) days[day][group].correct += 1;
+        }
+    }
+    return Object.keys(days).sort().map(day => ({ day, groups: days[day] }));
+};
+
+// Error categories from reviews, most frequent first: [{ category, count }]
+export const errorCategoryCounts = (sessions) => {
+    const counts = {};
+    for (const session of sessions) {
+        for (const item of session.sentences) {
+            for (const error of item.review?.errors || []) {
+                counts[error.category] = (counts[error.category] || 0) + 1;
+            }
+        }
+    }
+    return Object.entries(counts)
+        .map(([category, count]) => ({ category, count }))
+        .sort((a, b) => b.count - a.count);
+};
+
+// Practice day streaks and the longest run of correct answers
+export const streaks = (sessions, today = new Date()) => {
+    const days = [...new Set(sessions.map(session => dayOf(session.startedAt)))].sort();
+    const dayNumber = (day) => Math.round(new Date(`${day}T00:00:00Z`).getTime() / 86400000);
+
+    let longestDays = 0;
+    let run = 0;
+    days.forEach((day, index) => {
+        run = index > 0 && dayNumber(day) - dayNumber(days[index - 1]) === 1 ? run + 1 : 1;
+        longestDays = Math.max(longestDays, run);
+    });
+
+    // The current streak is still alive if the last practice was today or yesterday
+    const todayNumber = dayNumber(dayOf(today.toISOString()));
+    const currentDays = days.length > 0 && todayNumber - dayNumber(days[days.length - 1]) <= 1 ? run : 0;
+
+    let longestCorrect = 0;
+    let correctRun = 0;
+    const chronological = [...sessions].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    for (const item of gradedSentences(chronological)) {
+        correctRun = item.isCorrect ? correctRun + 1 : 0;
+        longestCorrect = Math.max(longestCorrect, correctRun);
+    }
+
+    return { currentDays, longestDays, longestCorrect };
+};
@@ -0,0 +1,33 @@
+import { errorCategoryCounts, groupTrends, streaks, tenseAccuracy } from './statistics';
+
+const sentence = (tenseUsed, isCorrect, categories = []) => ({
+    tenseUsed,
+    isCorrect,
+    review: { errors: categories.map(category => ({ category })) }
+});
+
+const sessions = [
+    { startedAt: '2025-03-01T09:00:00.000Z', sentences: [sentence('Past Simple', true), sentence('Past Perfect', false, ['tense', 'article'])] },
+    { startedAt: '2025-03-02T09:00:00.000Z', sentences: [sentence('Past Simple', true), sentence('Future Simple', false, ['tense'])] },
+    { startedAt: '2025-03-04T09:00:00.000Z', sentences: [sentence('Future Simple', true), sentence('Present Simple', null)] }
+];
+
+test('counts accuracy per tense across all twelve tenses', () => {
+    const result = tenseAccuracy(sessions);
+    expect(Object.keys(result)).toHaveLength(12);
+    expect(result['Past Simple']).toEqual({ correct: 2, total: 2 });
+    expect(result['Future Simple']).toEqual({ correct: 1, total: 2 });
+    expect(result['Present Simple']).toEqual({ correct: 0, total: 0 });
+});
+
+test('groups accuracy by day and tense group', () => {
+    const trends = groupTrends(sessions);
+    expect(trends.map(entry => entry.day)).toEqual(['2025-03-01', '2025-03-02', '2025-03-04']);
+    expect(trends[0].groups['Past Tenses']).toEqual({ correct: 1, total: 2 });
+});
+
+test('ranks error categories and computes streaks', () => {
+    expect(errorCategoryCounts(sessions)).toEqual([{ category: 'tense', count: 2 }, { category: 'article', count: 1 }]);
+    expect(streaks(sessions, new Date('2025-03-05T10:00:00.000Z'))).toEqual({ currentDays: 1, longestDays: 2, longestCorrect: 1 });
+    expect(streaks(sessions, new Date('2025-03-08T10:00:00.000Z')).currentDays).toBe(0);
+});
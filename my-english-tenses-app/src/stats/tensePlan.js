@@ -0,0 +1,46 @@
+import { tenseAccuracy } from './statistics';
+
+// Weakest weight a mastered tense can get, so it still comes up now and then
+const MIN_WEIGHT = 0.15;
+
+// Practice weight of a tense: share of mistakes, smoothed so that tenses with
+// few answers count as roughly 50% and are not over- or under-sampled
+export const tenseWeight = ({ correct, total }) => Math.max(MIN_WEIGHT, 1 - (correct + 1) / (total + 2));
+
+// Number of sentences per tense, proportional to weight (largest remainder).
+// Every tense gets at least one sentence when count allows it.
+export const allocateSentences = (tenses, stats, count) => {
+    const weights = tenses.map(tense => tenseWeight(stats[tense] || { correct: 0, total: 0 }));
+    const guaranteed = count >= tenses.length ? 1 : 0;
+    const remaining = count - guaranteed * tenses.length;
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const exact = weights.map(weight => (remaining * weight) / totalWeight);
+    const counts = exact.map(value => guaranteed + Math.floor(value));
+    let leftover = count - counts.reduce((sum, value) => sum + value, 0);
+    const byRemainder = exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder || weights[b.index] - weights[a.index]);
+    for (const { index } of byRemainder) {
+        if (leftover === 0) break;
+        counts[index] += 1;
+        leftover -= 1;
+    }
+    return Object.fromEntries(tenses.map((tense, index) => [tense, counts[index]]));
+};
+
+// Per-sentence tense plan from past sessions: weak tenses get more sentences.
+// Tenses are interleaved so the same one does not come up many times in a row.
+export const buildTensePlan = (tenses, sessions, count) => {
+    const allocation = allocateSentences(tenses, tenseAccuracy(sessions), count);
+    const plan = [];
+    while (plan.length < count) {
+        const next = tenses
+            .filter(tense => allocation[tense] > 0)
+            .sort((a, b) => allocation[b] - allocation[a])
+            .find(tense => tense !== plan[plan.length - 1]) || tenses.find(tense => allocation[tense] > 0);
+        allocation[next] -= 1;
+        plan.push(next);
+    }
+    return plan;
+};
@@ -0,0 +1,21 @@
+import { allocateSentences, buildTensePlan } from './tensePlan';
+
+const stats = {
+    'Past Simple': { correct: 9, total: 10 },
+    'Past Perfect': { correct: 1, total: 10 },
+    'Future Simple': { correct: 0, total: 0 }
+};
+
+test('weak tenses get more sentences, mastered ones still get one', () => {
+    const allocation = allocateSentences(['Past Simple', 'Past Perfect', 'Future Simple'], stats, 10);
+    expect(allocation['Past Perfect']).toBeGreaterThan(allocation['Future Simple']);
+    expect(allocation['Future Simple']).toBeGreaterThan(allocation['Past Simple']);
+    expect(allocation['Past Simple']).toBeGreaterThanOrEqual(1);
+    expect(Object.values(allocation).reduce((a, b) => a + b, 0)).toBe(10);
+});
+
+test('plan has the requested length and avoids repeats where possible', () => {
+    const plan = buildTensePlan(['Past Simple', 'Future Simple'], [], 6);
+    expect(plan).toHaveLength(6);
+    plan.slice(1).forEach((tense, index) => expect(tense).not.toBe(plan[index]));
+});
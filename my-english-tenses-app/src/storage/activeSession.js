@@ -0,0 +1,30 @@
+import { restorablePracticeState } from '../practice/practiceDraft';
+
+// The unfinished practice session, autosaved so it can be continued after a
+// reload or on another device. One document, "activeSession/current", holding
+// the practice state (see practice/practiceReducer.js) and when it was saved.
+const ACTIVE_SESSION = 'activeSession';
+const CURRENT = 'current';
+
+// Only sessions in progress are worth resuming
+export const isResumable = (state) => state?.status === 'answering' || state?.status === 'reviewing';
+
+// Saves the parts of the practice state needed to continue. Firestore rejects
+// undefined fields, so the state goes through JSON first.
+export const saveActiveSession = (store, state, now = new Date()) => {
+    const { status, session, items, index, answer, sentenceStartedAt } = state;
+    return store.put(ACTIVE_SESSION, CURRENT, JSON.parse(JSON.stringify({
+        state: { status, session, items, index, answer, sentenceStartedAt },
+        savedAt: now.toISOString()
+    })));
+};
+
+// Returns { state, savedAt } ready for the reducer, or null when there is nothing to continue
+export const loadActiveSession = async (store) => {
+    const saved = await store.get(ACTIVE_SESSION, CURRENT);
+    if (!saved || !isResumable(saved.state)) return null;
+    const state = restorablePracticeState(saved.state);
+    return isResumable(state) && state.items.length > 0 ? { state, savedAt: saved.savedAt } : null;
+};
+
+export const clearActiveSession = (store) => store.remove(ACTIVE_SESSION, CURRENT);
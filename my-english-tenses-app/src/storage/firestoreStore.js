@@ -0,0 +1,34 @@
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, where } from 'firebase/firestore';
+
+// Document store backed by Firestore. User data lives under
+// artifacts/{appId}/users/{userId}/{collection}/{id}; data shared between
+// users (classes, assignments) under artifacts/{appId}/public/data/{collection}/{id}
+const createFirestoreStore = ({ db, appId, userId, shared = false }) => {
+    const basePath = shared ? ['artifacts', appId, 'public', 'data'] : ['artifacts', appId, 'users', userId];
+    const collectionRef = (name) => collection(db, ...basePath, name);
+
+    return {
+        kind: 'firestore',
+
+        get: async (name, id) => {
+            const snapshot = await getDoc(doc(collectionRef(name), id));
+            return snapshot.exists() ? snapshot.data() : null;
+        },
+
+        list: async (name, filters = {}) => {
+            const constraints = Object.entries(filters).map(([field, value]) => where(field, '==', value));
+            const snapshot = await getDocs(query(collectionRef(name), ...constraints));
+            return snapshot.docs.map(item => item.data());
+        },
+
+        put: async (name, id, data) => {
+            await setDoc(doc(collectionRef(name), id), data);
+        },
+
+        remove: async (name, id) => {
+            await deleteDoc(doc(collectionRef(name), id));
+        }
+    };
+};
+
+export default createFirestoreStore;
@@ -0,0 +1,32 @@
+import createFirestoreStore from './firestoreStore';
+import createLocalStore from './localStore';
+
+const LOCAL_USER_ID_KEY = 'englishPractice:localUserId';
+
+// Stable user id for running without Firebase auth, kept across reloads
+export const getLocalUserId = () => {
+    let id = window.localStorage.getItem(LOCAL_USER_ID_KEY);
+    if (!id) {
+        id = crypto.randomUUID();
+        window.localStorage.setItem(LOCAL_USER_ID_KEY, id);
+    }
+    return id;
+};
+
+// Picks Firestore when a database is available, localStorage otherwise.
+// All stores expose get/list/put/remove(collection, id, data); list(collection, filters)
+// returns only the documents whose fields equal all of `filters` ({ classId: 'c1' }),
+// which Firestore answers with a query instead of sending the whole collection.
+export const createStore = ({ db, appId, userId }) => {
+    if (!userId) return null;
+    return db ? createFirestoreStore({ db, appId, userId }) : createLocalStore({ appId, userId });
+};
+
+// Store shared by everyone using this browser, such as the device leaderboard;
+// always localStorage, even with Firestore configured
+export const createDeviceStore = ({ appId }) => createLocalStore({ appId, userId: 'device' });
+
+// Store for data shared between users, such as classes and assignments.
+// Without Firestore it falls back to localStorage, i.e. one shared device.
+export const createSharedStore = ({ db, appId }) =>
+    (db ? createFirestoreStore({ db, appId, shared: true }) : createLocalStore({ appId, userId: 'public' }));
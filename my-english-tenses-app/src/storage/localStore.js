@@ -0,0 +1,38 @@
+// Document store backed by localStorage, used when Firebase is not configured.
+// Each collection is one JSON object keyed by document id.
+const createLocalStore = ({ appId, userId, storage = window.localStorage }) => {
+    const keyFor = (name) => `${appId}:${userId}:${name}`;
+
+    const readCollection = (name) => {
+        try {
+            return JSON.parse(storage.getItem(keyFor(name))) || {};
+        } catch (e) {
+            console.error(`Failed to read local collection "${name}":`, e);
+            return {};
+        }
+    };
+
+    const writeCollection = (name, documents) => {
+        storage.setItem(keyFor(name), JSON.stringify(documents));
+    };
+
+    return {
+        kind: 'local',
+
+        get: async (name, id) => readCollection(name)[id] || null,
+
+        list: async (name, filters = {}) => Object.values(readCollection(name))
+            .filter(item => Object.entries(filters).every(([field, value]) => item[field] === value)),
+
+        put: async (name, id, data) => {
+            writeCollection(name, { ...readCollection(name), [id]: data });
+        },
+
+        remove: async (name, id) => {
+            const { [id]: removed, ...rest } = readCollection(name);
+            writeCollection(name, rest);
+        }
+    };
+};
+
+export default createLocalStore;
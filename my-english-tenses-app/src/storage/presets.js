@@ -0,0 +1,22 @@
+import { pickShareableOptions } from '../practice/sessionLink';
+
+// Named practice presets in the "presets" collection:
+// { id, name, options: { tenses, themes, numSentences, showTenseInPractice, directionMode, exerciseKind }, savedAt }
+// The id is derived from the name, so saving under an existing name replaces that preset.
+const PRESETS = 'presets';
+
+const presetId = (name) => encodeURIComponent(name.trim().toLowerCase());
+
+// Sorted by name
+export const listPresets = async (store) => {
+    const presets = await store.list(PRESETS);
+    return presets.sort((a, b) => a.name.localeCompare(b.name, 'uk'));
+};
+
+export const savePreset = async (store, name, options, now = new Date()) => {
+    const preset = { id: presetId(name), name: name.trim(), options: pickShareableOptions(options), savedAt: now.toISOString() };
+    await store.put(PRESETS, preset.id, preset);
+    return preset;
+};
+
+export const deletePreset = (store, id) => store.remove(PRESETS, id);
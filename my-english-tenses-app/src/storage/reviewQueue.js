@@ -0,0 +1,35 @@
+import { createQueueItem, isDue, reviewQuality, scheduleNext, sentenceId } from '../srs/scheduler';
+
+// Spaced-repetition queue of sentences answered incorrectly, in the "reviewQueue" collection
+const REVIEW_QUEUE = 'reviewQueue';
+
+// Items due for repetition, most overdue first
+export const listDueItems = async (store, now = new Date()) => {
+    const items = await store.list(REVIEW_QUEUE);
+    return items
+        .filter(item => isDue(item, now))
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+};
+
+// Records a reviewed answer: reschedules a queued sentence, or queues a new
+// one when it was answered incorrectly
+export const recordReviewResult = async (store, { originalSentence, tenseUsed, direction }, review) => {
+    const quality = reviewQuality(review);
+    if (quality === null) return;
+
+    const id = sentenceId(originalSentence);
+    const existing = await store.get(REVIEW_QUEUE, id);
+    if (existing) {
+        await store.put(REVIEW_QUEUE, id, {
+            ...scheduleNext(existing, quality),
+            correctedSentence: review.correctedSentence || existing.correctedSentence
+        });
+    } else if (!review.isCorrect) {
+        await store.put(REVIEW_QUEUE, id, createQueueItem({
+            originalSentence,
+            tenseUsed,
+            direction,
+            correctedSentence: review.correctedSentence
+        }, quality));
+    }
+};
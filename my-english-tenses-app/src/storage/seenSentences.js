@@ -0,0 +1,46 @@
+import { normaliseSentence } from '../llm/parsing';
+
+// Sentences the user has already been given, kept across sessions so new
+// generations avoid them. Stored as a single document to keep reads cheap:
+// seenSentences/index = { entries: [{ key, sentence, lastSeenAt }] }
+const SEEN_SENTENCES = 'seenSentences';
+const INDEX_ID = 'index';
+
+// Upper bound on remembered sentences; the least recently seen are evicted first
+export const SEEN_SENTENCES_CAP = 500;
+
+// How many recent sentences are spelled out in the prompt as exclusions
+export const PROMPT_EXCLUSIONS_LIMIT = 30;
+
+export const loadSeenSentences = async (store) => {
+    const index = await store.get(SEEN_SENTENCES, INDEX_ID);
+    return index?.entries || [];
+};
+
+// Normalised keys for duplicate checks during generation
+export const seenSentenceKeys = (entries) => new Set(entries.map(entry => entry.key));
+
+// Most recently seen sentences, for the prompt
+export const recentSeenSentences = (entries, limit = PROMPT_EXCLUSIONS_LIMIT) =>
+    [...entries]
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+        .slice(0, limit)
+        .map(entry => entry.sentence);
+
+// Merges newly shown sentences into the entries, refreshing ones seen again,
+// and evicts the least recently seen beyond the cap
+export const mergeSeenSentences = (entries, sentences, now = new Date(), cap = SEEN_SENTENCES_CAP) => {
+    const byKey = new Map(entries.map(entry => [entry.key, entry]));
+    for (const sentence of sentences) {
+        const key = normaliseSentence(sentence);
+        byKey.set(key, { key, sentence, lastSeenAt: now.toISOString() });
+    }
+    return [...byKey.values()]
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+        .slice(0, cap);
+};
+
+export const recordSeenSentences = async (store, sentences) => {
+    const entries = await loadSeenSentences(store);
+    await store.put(SEEN_SENTENCES, INDEX_ID, { entries: mergeSeenSentences(entries, sentences) });
+};
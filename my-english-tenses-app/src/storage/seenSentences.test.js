@@ -0,0 +1,17 @@
+import createLocalStore from './localStore';
+import { loadSeenSentences, mergeSeenSentences, recentSeenSentences, recordSeenSentences, seenSentenceKeys } from './seenSentences';
+
+test('normalises sentences and evicts the least recently seen beyond the cap', () => {
+    let entries = mergeSeenSentences([], ['Я їм яблуко.', 'Я спав.'], new Date('2025-01-01T00:00:00Z'), 2);
+    entries = mergeSeenSentences(entries, ['я їм яблуко', 'Ми гуляли.'], new Date('2025-01-02T00:00:00Z'), 2);
+    expect(seenSentenceKeys(entries)).toEqual(new Set(['я їм яблуко', 'ми гуляли']));
+    expect(recentSeenSentences(entries, 1)).toHaveLength(1);
+});
+
+test('seen sentences persist in the user store', async () => {
+    const store = createLocalStore({ appId: 'app', userId: 'seen', storage: window.localStorage });
+    await recordSeenSentences(store, ['Я спав.']);
+    await recordSeenSentences(store, ['Я спав!', 'Ми гуляли.']);
+    const entries = await loadSeenSentences(store);
+    expect(entries.map(entry => entry.key).sort()).toEqual(['ми гуляли', 'я спав']);
+});
@@ -0,0 +1,35 @@
+// Completed practice sessions, one document per session in the "sessions" collection
+const SESSIONS = 'sessions';
+
+export const saveSession = (store, session) => store.put(SESSIONS, session.id, session);
+
+export const getSession = (store, id) => store.get(SESSIONS, id);
+
+// Newest first
+export const listSessions = async (store) => {
+    const sessions = await store.list(SESSIONS);
+    return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+// Builds the stored session from the practice state
+export const buildSession = ({ id, startedAt, settings, sentences }) => ({
+    id,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    settings,
+    sentences: sentences.map(item => ({
+        originalSentence: item.originalSentence,
+        tenseUsed: item.tenseUsed,
+        kind: item.kind || 'translation',
+        direction: item.direction || 'uk-en',
+        exercise: item.exercise || null,
+        referenceTranslation: item.referenceTranslation || null,
+        userAnswer: item.userAnswer,
+        review: item.geminiReview,
+        isCorrect: item.geminiReview?.isCorrect ?? null,
+        answeredAt: item.answeredAt || null,
+        answerSeconds: item.answerSeconds ?? null, // Time taken to answer, see practice/practiceReducer.js
+        timedOut: Boolean(item.timedOut) // Ran out of time in a timed challenge
+    })),
+    correctCount: sentences.filter(item => item.geminiReview?.isCorrect === true).length
+});
@@ -0,0 +1,70 @@
+import createLocalStore from './localStore';
+import { buildSession, listSessions, saveSession } from './sessions';
+import { deletePreset, listPresets, savePreset } from './presets';
+import { clearActiveSession, loadActiveSession, saveActiveSession } from './activeSession';
+
+const sentence = (isCorrect) => ({
+    originalSentence: 'Я спав.',
+    tenseUsed: 'Past Simple',
+    userAnswer: 'I slept.',
+    geminiReview: { isCorrect, correctedSentence: 'I slept.', errors: [], explanation: '' }
+});
+
+test('local store keeps collections per app and user', async () => {
+    const store = createLocalStore({ appId: 'app', userId: 'u1', storage: window.localStorage });
+    const other = createLocalStore({ appId: 'app', userId: 'u2', storage: window.localStorage });
+    await store.put('items', 'a', { value: 1 });
+    expect(await store.get('items', 'a')).toEqual({ value: 1 });
+    expect(await other.list('items')).toEqual([]);
+    await store.remove('items', 'a');
+    expect(await store.list('items')).toEqual([]);
+});
+
+test('sessions are saved and listed newest first', async () => {
+    const store = createLocalStore({ appId: 'app', userId: 'u3', storage: window.localStorage });
+    const settings = { tenses: ['Past Simple'], themes: '', numSentences: 2 };
+    await saveSession(store, buildSession({ id: 'old', startedAt: '2025-01-01T10:00:00.000Z', settings, sentences: [sentence(true)] }));
+    await saveSession(store, buildSession({ id: 'new', startedAt: '2025-02-01T10:00:00.000Z', settings, sentences: [sentence(true), sentence(false)] }));
+
+    const sessions = await listSessions(store);
+    expect(sessions.map(session => session.id)).toEqual(['new', 'old']);
+    expect(sessions[0].correctCount).toBe(1);
+    expect(sessions[0].sentences[1]).toMatchObject({ isCorrect: false, userAnswer: 'I slept.' });
+});
+
+test('the unfinished session is autosaved and restored with its pending answer', async () => {
+    const store = createLocalStore({ appId: 'app', userId: 'u4', storage: window.localStorage });
+    const reviewed = { ...sentence(false), userAnswer: 'I sleep.' };
+    const pending = { ...sentence(null), userAnswer: 'I slep', geminiReview: null };
+    await saveActiveSession(store, {
+        status: 'reviewing',
+        session: { id: 's1', startedAt: '2025-01-01T10:00:00.000Z', settings: {} },
+        items: [reviewed, pending],
+        index: 1,
+        answer: 'I slep',
+        error: 'ignored'
+    }, new Date('2025-01-01T10:05:00.000Z'));
+
+    const saved = await loadActiveSession(store);
+    expect(saved.savedAt).toBe('2025-01-01T10:05:00.000Z');
+    expect(saved.state).toMatchObject({ status: 'answering', index: 1, answer: 'I slep', error: '' });
+    expect(saved.state.items[0].geminiReview.isCorrect).toBe(false);
+
+    await clearActiveSession(store);
+    expect(await loadActiveSession(store)).toBeNull();
+});
+
+test('presets are saved by name and keep only the shareable options', async () => {
+    const store = createLocalStore({ appId: 'app', userId: 'u5', storage: window.localStorage });
+    const options = { tenses: ['Past Simple'], themes: 'спорт', numSentences: 8, showTenseInPractice: false, directionMode: 'en-uk', exerciseKind: 'translation', adaptiveMode: true };
+    await savePreset(store, 'Спорт ', options);
+    await savePreset(store, 'Анкета', { ...options, numSentences: 3 });
+    await savePreset(store, 'спорт', { ...options, numSentences: 10 });
+
+    const presets = await listPresets(store);
+    expect(presets.map(preset => preset.name)).toEqual(['Анкета', 'спорт']);
+    expect(presets[1].options).toEqual({ tenses: ['Past Simple'], themes: 'спорт', numSentences: 10, showTenseInPractice: false, directionMode: 'en-uk', exerciseKind: 'translation' });
+
+    await deletePreset(store, presets[0].id);
+    expect(await listPresets(store)).toHaveLength(1);
+});
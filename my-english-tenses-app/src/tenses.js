@@ -0,0 +1,27 @@
+// Available tenses for selection, structured by time groups
+export const availableTenses = [
+    {
+        group: "Present Tenses",
+        tenses: ["Present Simple", "Present Continuous", "Present Perfect", "Present Perfect Continuous"]
+    },
+    {
+        group: "Past Tenses",
+        tenses: ["Past Simple", "Past Continuous", "Past Perfect", "Past Perfect Continuous"]
+    },
+    {
+        group: "Future Tenses",
+        tenses: ["Future Simple", "Future Continuous", "Future Perfect", "Future Perfect Continuous"]
+    }
+];
+
+// Flat list of all twelve tense names
+export const allTenses = availableTenses.flatMap(group => group.tenses);
+
+// Collapses case, hyphens, extra spaces and a trailing "tense" for comparison
+const tenseKey = (name) => name.toLowerCase().replace(/[-_]/g, ' ').replace(/\btense\b/g, '').replace(/\s+/g, ' ').trim();
+
+const tensesByKey = Object.fromEntries(allTenses.map(tense => [tenseKey(tense), tense]));
+
+// Maps a tense label from model output ("past-simple", "Past Simple tense") to
+// its canonical name in availableTenses, or null if it isn't one of the twelve
+export const normaliseTenseName = (label) => (typeof label === 'string' ? tensesByKey[tenseKey(label)] || null : null);